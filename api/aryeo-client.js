@@ -0,0 +1,264 @@
+const { URL } = require("url");
+
+class AryeoError extends Error {
+  constructor(message, { status = null, body = "", code = "aryeo_error", retryAfterMs = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.body = body;
+    this.code = code;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+class AryeoConfigError extends AryeoError {}
+class AryeoHttpError extends AryeoError {}
+class AryeoNotFoundError extends AryeoHttpError {}
+class AryeoIncludeRejectedError extends AryeoHttpError {}
+class AryeoRateLimitError extends AryeoHttpError {}
+class AryeoTimeoutError extends AryeoError {}
+class AryeoNetworkError extends AryeoError {}
+class AryeoCircuitOpenError extends AryeoError {}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function parseRetryAfterMs(headerValue) {
+  if (!headerValue) return null;
+  const seconds = Number(headerValue);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const dateMs = new Date(headerValue).getTime();
+  return Number.isNaN(dateMs) ? null : Math.max(0, dateMs - Date.now());
+}
+
+function isIncludeRejection(status, bodyText) {
+  if (status !== 400 && status !== 422) return false;
+  return bodyText.includes("Requested include(s)") || bodyText.includes("not allowed");
+}
+
+function httpErrorFor(status, bodyText, retryAfterMs) {
+  const message = `Aryeo API ${status}: ${bodyText.slice(0, 300)}`;
+  const details = { status, body: bodyText, retryAfterMs };
+  if (status === 404) return new AryeoNotFoundError(message, { ...details, code: "not_found" });
+  if (status === 429) return new AryeoRateLimitError(message, { ...details, code: "rate_limited" });
+  if (isIncludeRejection(status, bodyText)) return new AryeoIncludeRejectedError(message, { ...details, code: "include_rejected" });
+  return new AryeoHttpError(message, { ...details, code: status >= 500 ? "upstream_error" : "bad_request" });
+}
+
+function isRetryable(error) {
+  if (error instanceof AryeoTimeoutError || error instanceof AryeoNetworkError) return true;
+  return error instanceof AryeoHttpError && error.status >= 500;
+}
+
+function createAryeoClient({
+  apiBase,
+  apiToken,
+  timeoutMs = 10000,
+  maxRetries = 2,
+  retryBaseMs = 300,
+  maxRetryAfterMs = 30000,
+  circuitFailureThreshold = 5,
+  circuitCooldownMs = 30000,
+  recentErrorLimit = 20,
+  fetchImpl = (...args) => fetch(...args)
+}) {
+  const circuit = {
+    state: "closed",
+    consecutive_failures: 0,
+    opened_at: null
+  };
+
+  function beforeRequest() {
+    if (circuit.state === "closed") return;
+    const openedForMs = Date.now() - new Date(circuit.opened_at).getTime();
+    if (circuit.state === "half_open" || openedForMs < circuitCooldownMs) {
+      throw new AryeoCircuitOpenError("Aryeo is temporarily unavailable (circuit open)", {
+        code: "circuit_open",
+        retryAfterMs: Math.max(1000, circuitCooldownMs - openedForMs)
+      });
+    }
+    // Cooldown is over: let one trial request through to probe Aryeo.
+    circuit.state = "half_open";
+  }
+
+  function recordSuccess() {
+    circuit.state = "closed";
+    circuit.consecutive_failures = 0;
+    circuit.opened_at = null;
+  }
+
+  const recentErrors = [];
+
+  // Keeps the last few failures for the admin dashboard. Not-found answers and include
+  // fallbacks are routine, so they are left out.
+  function rememberError(error, url) {
+    if (error instanceof AryeoNotFoundError || error instanceof AryeoIncludeRejectedError) return;
+    recentErrors.push({
+      at: new Date().toISOString(),
+      path: url.pathname,
+      code: error.code || "aryeo_error",
+      status: error.status ?? null,
+      message: String(error.message || error).slice(0, 300)
+    });
+    if (recentErrors.length > recentErrorLimit) recentErrors.shift();
+  }
+
+  function recordFailure(error) {
+    // Only upstream health problems count; 4xx answers mean Aryeo is up.
+    if (!isRetryable(error)) {
+      if (circuit.state === "half_open") recordSuccess();
+      return;
+    }
+    circuit.consecutive_failures += 1;
+    if (circuit.state === "half_open" || circuit.consecutive_failures >= circuitFailureThreshold) {
+      circuit.state = "open";
+      circuit.opened_at = new Date().toISOString();
+    }
+  }
+
+  function transportError(error) {
+    if (error?.name === "TimeoutError" || error?.name === "AbortError") {
+      return new AryeoTimeoutError(`Aryeo API timed out after ${timeoutMs}ms`, { code: "timeout" });
+    }
+    return new AryeoNetworkError(`Aryeo API unreachable: ${error?.message || error}`, { code: "network_error" });
+  }
+
+  async function requestOnce(url) {
+    let response;
+    try {
+      response = await fetchImpl(url, {
+        headers: {
+          Authorization: `Bearer ${apiToken}`,
+          Accept: "application/json"
+        },
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (error) {
+      throw transportError(error);
+    }
+
+    if (!response.ok) {
+      const bodyText = await response.text().catch(() => "");
+      throw httpErrorFor(response.status, bodyText, parseRetryAfterMs(response.headers.get("retry-after")));
+    }
+
+    let bodyText;
+    try {
+      bodyText = await response.text();
+    } catch (error) {
+      throw transportError(error);
+    }
+    try {
+      return JSON.parse(bodyText);
+    } catch {
+      // A 2xx that isn't JSON (e.g. a proxy's HTML page) is still an upstream failure, not a crash.
+      throw new AryeoHttpError(`Aryeo API ${response.status} sent a body that is not JSON: ${bodyText.slice(0, 300)}`, {
+        status: response.status,
+        body: bodyText,
+        code: "bad_response"
+      });
+    }
+  }
+
+  async function request(resource, searchParams = {}) {
+    if (!apiToken) {
+      throw new AryeoConfigError("Missing ARYEO_API_TOKEN. Add it to your environment before calling Aryeo.", { code: "not_configured" });
+    }
+
+    const url = new URL(`${apiBase}${resource}`);
+    Object.entries(searchParams).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== "") {
+        url.searchParams.set(key, String(value));
+      }
+    });
+
+    for (let attempt = 0; ; attempt += 1) {
+      beforeRequest();
+      try {
+        const payload = await requestOnce(url);
+        recordSuccess();
+        return payload;
+      } catch (error) {
+        recordFailure(error);
+        rememberError(error, url);
+        const canRetry = attempt < maxRetries && circuit.state !== "open";
+
+        if (error instanceof AryeoRateLimitError) {
+          const waitMs = error.retryAfterMs ?? retryBaseMs * 2 ** attempt;
+          if (!canRetry || waitMs > maxRetryAfterMs) throw error;
+          await sleep(waitMs);
+          continue;
+        }
+
+        if (!canRetry || !isRetryable(error)) throw error;
+        // Full jitter: a random wait up to the exponential ceiling.
+        await sleep(Math.random() * retryBaseMs * 2 ** attempt);
+      }
+    }
+  }
+
+  async function requestWithIncludeFallback(resource, searchParams = {}, fallbackIncludes = []) {
+    const params = { ...searchParams };
+    const includeCandidates = [];
+
+    if (typeof params.include === "string" && params.include.trim()) {
+      includeCandidates.push(params.include.trim());
+    }
+    fallbackIncludes.forEach((candidate) => {
+      if (typeof candidate === "string" && candidate.trim()) {
+        includeCandidates.push(candidate.trim());
+      }
+    });
+    includeCandidates.push("");
+
+    let lastError;
+    for (const includeValue of includeCandidates) {
+      try {
+        const nextParams = { ...params };
+        if (includeValue) {
+          nextParams.include = includeValue;
+        } else {
+          delete nextParams.include;
+        }
+        return await request(resource, nextParams);
+      } catch (error) {
+        lastError = error;
+        if (!(error instanceof AryeoIncludeRejectedError) || !includeValue) {
+          throw error;
+        }
+      }
+    }
+
+    throw lastError || new AryeoError("Aryeo request failed");
+  }
+
+  function getCircuitState() {
+    return { ...circuit };
+  }
+
+  // Newest first.
+  function getRecentErrors() {
+    return [...recentErrors].reverse();
+  }
+
+  return {
+    request,
+    requestWithIncludeFallback,
+    getCircuitState,
+    getRecentErrors
+  };
+}
+
+module.exports = {
+  createAryeoClient,
+  AryeoError,
+  AryeoConfigError,
+  AryeoHttpError,
+  AryeoNotFoundError,
+  AryeoIncludeRejectedError,
+  AryeoRateLimitError,
+  AryeoTimeoutError,
+  AryeoNetworkError,
+  AryeoCircuitOpenError
+};
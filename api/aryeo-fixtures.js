@@ -0,0 +1,199 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { URL } = require("url");
+
+const ORDERS_FIXTURE_FILE = "orders.json";
+const SECRET_KEY_PATTERN = /(token|secret|password|api_key|signature|credential)/i;
+const EMAIL_KEY_PATTERN = /email/i;
+const PHONE_KEY_PATTERN = /(phone|mobile|sms)/i;
+const NAME_KEY_PATTERN = /^(name|first_name|last_name|full_name|display_name|contact_name|customer_name|agent_name)$/i;
+// These always name a person, wherever they appear; a bare "name" only does inside a person container.
+const PERSON_NAME_KEY_PATTERN = /(^|_)(first|middle|last|full|legal|contact|customer|client|agent|owner|seller|buyer|photographer)_?name$/i;
+// A string stored under a person key ("agent", "delivery_contact") is that person's name or details.
+const PERSON_VALUE_KEY_PATTERN = /(^|_)(customer|client|agent|contact|owner|seller|buyer|photographer)$/i;
+const STREET_KEY_PATTERN = /^(street_address|street|address_1|address_2|address_line_1|address_line_2|unparsed_address)$/i;
+const ADDRESS_KEY_PATTERN = /^(address|full_address|formatted_address|display_address)$/i;
+const FREE_TEXT_KEY_PATTERN = /(notes?|instructions?|description|comments?|message|memo|remarks)$/i;
+const COORDINATE_KEY_PATTERN = /^(lat|lng|lon|long|latitude|longitude)$/i;
+// A house number followed by a street name, e.g. "9 Real Rd" or "123 Main Street, Ocala, FL".
+const STREET_VALUE_PATTERN = /^\s*\d+[a-z]?\s+[\w .'-]*\b(street|st|road|rd|avenue|ave|drive|dr|lane|ln|court|ct|boulevard|blvd|way|place|pl|circle|cir|terrace|ter|trail|trl|parkway|pkwy|highway|hwy|loop|run|path|square|sq)\b/i;
+const EMAIL_VALUE_PATTERN = /[^\s@<>"]+@[^\s@<>"]+\.[a-z]{2,}/gi;
+const PHONE_VALUE_PATTERN = /(\+?1[\s.-]?)?\(?\b\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/g;
+const PERSON_CONTAINER_PATTERN = /(customer|client|agent|user|contact|owner|seller|buyer|team_member|creator|photographer)/i;
+const SIGNED_QUERY_PARAM_PATTERN = /^(x-amz-[a-z-]+|signature|sig|token|expires|key-pair-id|policy)$/i;
+
+function jsonResponse(statusCode, payload) {
+  return new Response(typeof payload === "string" ? payload : JSON.stringify(payload), {
+    status: statusCode,
+    headers: { "Content-Type": "application/json" }
+  });
+}
+
+function readOrdersFixture(fixturesDir) {
+  const filePath = path.join(fixturesDir, ORDERS_FIXTURE_FILE);
+  if (!fs.existsSync(filePath)) return { allowed_includes: null, orders: [] };
+  const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  return {
+    allowed_includes: Array.isArray(parsed.allowed_includes) ? parsed.allowed_includes : null,
+    orders: Array.isArray(parsed.orders) ? parsed.orders : []
+  };
+}
+
+function writeOrdersFixture(fixturesDir, fixture) {
+  if (!fs.existsSync(fixturesDir)) fs.mkdirSync(fixturesDir, { recursive: true });
+  fs.writeFileSync(path.join(fixturesDir, ORDERS_FIXTURE_FILE), `${JSON.stringify(fixture, null, 2)}\n`, "utf8");
+}
+
+function rejectedIncludes(url, allowedIncludes) {
+  if (!allowedIncludes) return [];
+  const requested = String(url.searchParams.get("include") || "")
+    .split(",")
+    .map((value) => value.trim())
+    .filter(Boolean);
+  return requested.filter((value) => !allowedIncludes.includes(value));
+}
+
+// Serves /orders and /orders/:id from fixtures on disk with the same response shapes as Aryeo.
+function createFixtureFetch(fixturesDir) {
+  return async (input) => {
+    const url = new URL(String(input));
+    const { allowed_includes: allowedIncludes, orders } = readOrdersFixture(fixturesDir);
+    const resourcePath = url.pathname.replace(/^.*?(\/orders(?:\/[^/]+)?)\/?$/, "$1");
+
+    const rejected = rejectedIncludes(url, allowedIncludes);
+    if (rejected.length) {
+      return jsonResponse(400, {
+        message: `Requested include(s) \`${rejected.join(",")}\` are not allowed. Allowed include(s) are \`${allowedIncludes.join(",")}\`.`
+      });
+    }
+
+    if (resourcePath === "/orders") {
+      const page = Math.max(1, Number(url.searchParams.get("page") || 1));
+      const pageSize = Math.max(1, Number(url.searchParams.get("page_size") || 25));
+      const start = (page - 1) * pageSize;
+      return jsonResponse(200, {
+        data: orders.slice(start, start + pageSize),
+        meta: {
+          current_page: page,
+          per_page: pageSize,
+          total: orders.length,
+          last_page: Math.max(1, Math.ceil(orders.length / pageSize))
+        }
+      });
+    }
+
+    const detailMatch = resourcePath.match(/^\/orders\/([^/]+)$/);
+    if (detailMatch) {
+      const orderId = decodeURIComponent(detailMatch[1]);
+      const order = orders.find((candidate) => String(candidate?.id) === orderId);
+      if (!order) return jsonResponse(404, { message: "Resource not found." });
+      return jsonResponse(200, { data: order });
+    }
+
+    return jsonResponse(404, { message: `No fixture for ${url.pathname}` });
+  };
+}
+
+function pseudonym(value, prefix) {
+  return `${prefix}${crypto.createHash("sha256").update(String(value)).digest("hex").slice(0, 6)}`;
+}
+
+function scrubUrl(value) {
+  try {
+    const parsed = new URL(value);
+    [...parsed.searchParams.keys()].forEach((key) => {
+      if (SIGNED_QUERY_PARAM_PATTERN.test(key)) parsed.searchParams.delete(key);
+    });
+    return parsed.toString();
+  } catch {
+    return value;
+  }
+}
+
+// Keep a stable, unique house number so address matching still has something to work with.
+function sampleStreet(value) {
+  return `${parseInt(pseudonym(value, ""), 16) % 9000 + 100} Sample St`;
+}
+
+// Swaps the street line of a one-line address and keeps the city, state and ZIP after it.
+function scrubAddressLine(value) {
+  const [street, ...rest] = value.split(",");
+  return [sampleStreet(street.trim()), ...rest].join(",");
+}
+
+function scrubValue(key, value, insidePerson) {
+  if (SECRET_KEY_PATTERN.test(key)) return "[redacted]";
+  if (EMAIL_KEY_PATTERN.test(key)) return `${pseudonym(value, "client-")}@example.com`;
+  if (PHONE_KEY_PATTERN.test(key)) return "555-0100";
+  if (PERSON_NAME_KEY_PATTERN.test(key) || PERSON_VALUE_KEY_PATTERN.test(key) || (insidePerson && NAME_KEY_PATTERN.test(key))) {
+    return pseudonym(value, "Sample ");
+  }
+  if (STREET_KEY_PATTERN.test(key)) return scrubAddressLine(value);
+  if (FREE_TEXT_KEY_PATTERN.test(key)) return value ? "[redacted]" : value;
+  if (COORDINATE_KEY_PATTERN.test(key)) return scrubCoordinate(value);
+  if (/^https?:\/\//.test(value)) return scrubUrl(value);
+  if (ADDRESS_KEY_PATTERN.test(key) || STREET_VALUE_PATTERN.test(value)) return scrubAddressLine(value);
+  // Contact details can also turn up inside any other text.
+  return value.replace(EMAIL_VALUE_PATTERN, "client@example.com").replace(PHONE_VALUE_PATTERN, "555-0100");
+}
+
+// Two decimals is about a kilometre: enough for a map of the area, not for finding the house.
+function scrubCoordinate(value) {
+  const number = Number(value);
+  if (value === "" || value === null || !Number.isFinite(number)) return value;
+  const rounded = Math.round(number * 100) / 100;
+  return typeof value === "string" ? String(rounded) : rounded;
+}
+
+function scrubEntry(key, value, insidePerson) {
+  if (typeof value === "string") return scrubValue(key, value, insidePerson);
+  if (typeof value === "number" && COORDINATE_KEY_PATTERN.test(key)) return scrubCoordinate(value);
+  // Lists take their key from the parent, so ["9 Real Rd"] under "notes" is still free text.
+  if (Array.isArray(value)) return value.map((item) => scrubEntry(key, item, insidePerson));
+  if (value && typeof value === "object") return scrubAryeoPayload(value, insidePerson || PERSON_CONTAINER_PATTERN.test(key));
+  return value;
+}
+
+// Replaces tokens and personal data in an Aryeo payload before it is written to a fixture. Keys decide
+// most of it; addresses, emails and phone numbers are also caught by their shape under any key.
+function scrubAryeoPayload(payload, insidePerson = false) {
+  if (Array.isArray(payload)) return payload.map((item) => scrubEntry("", item, insidePerson));
+  if (!payload || typeof payload !== "object") return payload;
+
+  const scrubbed = {};
+  Object.entries(payload).forEach(([key, value]) => {
+    scrubbed[key] = scrubEntry(key, value, insidePerson);
+  });
+  return scrubbed;
+}
+
+// Passes requests through to Aryeo and merges every order it sees into the fixtures.
+function createRecordingFetch(fixturesDir, liveFetch = (...args) => fetch(...args)) {
+  return async (input, init) => {
+    const response = await liveFetch(input, init);
+    if (!response.ok) return response;
+
+    const url = new URL(String(input));
+    if (!/\/orders(\/[^/]+)?\/?$/.test(url.pathname)) return response;
+
+    const payload = await response.clone().json().catch(() => null);
+    const items = Array.isArray(payload?.data) ? payload.data : (payload?.data ? [payload.data] : []);
+    if (!items.length) return response;
+
+    const fixture = readOrdersFixture(fixturesDir);
+    const ordersById = new Map(fixture.orders.map((order) => [String(order.id), order]));
+    items.forEach((order) => {
+      if (!order?.id) return;
+      ordersById.set(String(order.id), scrubAryeoPayload(order));
+    });
+    writeOrdersFixture(fixturesDir, { ...fixture, orders: [...ordersById.values()] });
+    return response;
+  };
+}
+
+module.exports = {
+  createFixtureFetch,
+  createRecordingFetch,
+  scrubAryeoPayload
+};
@@ -0,0 +1,124 @@
+const fs = require("fs");
+
+const WEEKDAY_KEYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+function loadSchedule(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+// Offset of timeZone from UTC at the given instant, in ms (e.g. -4h for New York in summer).
+function timeZoneOffsetMs(instantMs, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit"
+  }).formatToParts(new Date(instantMs)).map((part) => [part.type, part.value]));
+  const asUtc = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute), Number(parts.second));
+  return asUtc - Math.floor(instantMs / 1000) * 1000;
+}
+
+// "2026-10-20" + "09:30" wall-clock time in timeZone -> epoch ms.
+function zonedTimeToMs(date, time, timeZone) {
+  const [year, month, day] = date.split("-").map(Number);
+  const [hour, minute] = time.split(":").map(Number);
+  const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+  // Two passes settle the offset on DST transition days.
+  let guess = wallAsUtc - timeZoneOffsetMs(wallAsUtc, timeZone);
+  guess = wallAsUtc - timeZoneOffsetMs(guess, timeZone);
+  return guess;
+}
+
+function zonedDateString(instantMs, timeZone) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(new Date(instantMs));
+}
+
+function addDays(date, days) {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function isDateString(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(value || "")) && !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime());
+}
+
+// Minutes one shoot needs: the photo session plus any add-ons.
+function shootDurationMinutes(schedule, addOns = []) {
+  const unknown = addOns.filter((key) => key === "photos" || !(key in schedule.package_minutes));
+  if (unknown.length) return { error: `Unknown add-on(s): ${unknown.join(", ")}` };
+  const minutes = [...new Set(addOns)].reduce((sum, key) => sum + schedule.package_minutes[key], schedule.package_minutes.photos);
+  return { minutes };
+}
+
+// Existing appointments padded with buffer and travel time on both sides.
+function blockedIntervals(schedule, appointments) {
+  const padMs = (schedule.buffer_minutes + schedule.travel_minutes) * MINUTE_MS;
+  return appointments
+    .map((appointment) => {
+      const start = new Date(appointment.start_at).getTime();
+      if (Number.isNaN(start)) return null;
+      const end = new Date(appointment.end_at || "").getTime();
+      const finish = Number.isNaN(end) || end <= start ? start + schedule.default_appointment_minutes * MINUTE_MS : end;
+      return { start: start - padMs, end: finish + padMs };
+    })
+    .filter(Boolean);
+}
+
+// appointments: [{ start_at, end_at? }]. Returns { error } or { timezone, duration_minutes, days }.
+function computeAvailability(schedule, { from, to, addOns = [], appointments = [], now = Date.now() }) {
+  const timeZone = schedule.timezone;
+  const today = zonedDateString(now, timeZone);
+  const fromDate = from || today;
+  if (!isDateString(fromDate) || (to && !isDateString(to))) return { error: "from and to must be dates (YYYY-MM-DD)" };
+  const toDate = to || addDays(fromDate, 13);
+  if (toDate < fromDate) return { error: "to must be on or after from" };
+  if ((new Date(toDate) - new Date(fromDate)) / DAY_MS + 1 > schedule.max_range_days) {
+    return { error: `Ask for at most ${schedule.max_range_days} days at a time` };
+  }
+
+  const duration = shootDurationMinutes(schedule, addOns);
+  if (duration.error) return duration;
+  const durationMs = duration.minutes * MINUTE_MS;
+  const earliestStart = now + schedule.lead_time_hours * 60 * MINUTE_MS;
+  const blocked = blockedIntervals(schedule, appointments);
+
+  const days = [];
+  for (let date = fromDate; date <= toDate; date = addDays(date, 1)) {
+    const weekday = WEEKDAY_KEYS[new Date(`${date}T12:00:00Z`).getUTCDay()];
+    const hours = schedule.working_hours[weekday];
+    const slots = [];
+    if (hours) {
+      const dayStart = zonedTimeToMs(date, hours[0], timeZone);
+      const dayEnd = zonedTimeToMs(date, hours[1], timeZone);
+      for (let start = dayStart; start + durationMs <= dayEnd; start += schedule.slot_interval_minutes * MINUTE_MS) {
+        const end = start + durationMs;
+        if (start < earliestStart) continue;
+        if (blocked.some((interval) => start < interval.end && end > interval.start)) continue;
+        slots.push({ start: new Date(start).toISOString(), end: new Date(end).toISOString() });
+      }
+    }
+    days.push({ date, weekday, slots });
+  }
+
+  return {
+    timezone: timeZone,
+    duration_minutes: duration.minutes,
+    days,
+    next_open_days: days.filter((day) => day.slots.length).map((day) => day.date)
+  };
+}
+
+module.exports = {
+  loadSchedule,
+  computeAvailability,
+  zonedTimeToMs,
+  zonedDateString,
+  addDays,
+  isDateString
+};
@@ -0,0 +1,134 @@
+const path = require("path");
+
+const FEED_TITLE = "Elevate Real Estate Photography | Recent Shoots";
+const IMAGE_TYPES_BY_EXTENSION = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".gif": "image/gif",
+  ".avif": "image/avif"
+};
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll("\"", "&quot;")
+    .replaceAll("'", "&apos;");
+}
+
+function isoDate(value) {
+  const time = new Date(value || "").getTime();
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+function imageType(url) {
+  try {
+    const parsed = new URL(url);
+    const ext = path.extname(parsed.pathname).toLowerCase();
+    if (IMAGE_TYPES_BY_EXTENSION[ext]) return IMAGE_TYPES_BY_EXTENSION[ext];
+    const format = (parsed.searchParams.get("fm") || parsed.searchParams.get("format") || "").toLowerCase();
+    return IMAGE_TYPES_BY_EXTENSION[`.${format}`] || "image/jpeg";
+  } catch {
+    return "image/jpeg";
+  }
+}
+
+function entryHtml(entry) {
+  const image = entry.image ? `<p><img src="${escapeXml(entry.image)}" alt="${escapeXml(entry.title)}" /></p>` : "";
+  return `${image}<p>${escapeXml(entry.summary)}</p>`;
+}
+
+// urls: [{ loc, lastmod }]
+function renderSitemap(urls) {
+  const items = urls.map((url) => {
+    const lastmod = isoDate(url.lastmod);
+    return [
+      "  <url>",
+      `    <loc>${escapeXml(url.loc)}</loc>`,
+      lastmod ? `    <lastmod>${lastmod}</lastmod>` : "",
+      "  </url>"
+    ].filter(Boolean).join("\n");
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${items.join("\n")}\n</urlset>\n`;
+}
+
+function renderRobots({ siteUrl, disallow = [], allow = [] }) {
+  return [
+    "User-agent: *",
+    ...allow.map((value) => `Allow: ${value}`),
+    ...disallow.map((value) => `Disallow: ${value}`),
+    "",
+    `Sitemap: ${siteUrl}/sitemap.xml`,
+    ""
+  ].join("\n");
+}
+
+// entries: [{ id, title, url, updated, summary, image }], newest first. id is the entry's stable IRI.
+function renderAtomFeed({ siteUrl, entries }) {
+  const updated = isoDate(entries[0]?.updated) || new Date().toISOString();
+  const items = entries.map((entry) => [
+    "  <entry>",
+    `    <id>${escapeXml(entry.id)}</id>`,
+    `    <title>${escapeXml(entry.title)}</title>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(entry.url)}" />`,
+    entry.image ? `    <link rel="enclosure" type="${imageType(entry.image)}" href="${escapeXml(entry.image)}" />` : "",
+    `    <updated>${isoDate(entry.updated) || updated}</updated>`,
+    `    <summary>${escapeXml(entry.summary)}</summary>`,
+    `    <content type="html">${escapeXml(entryHtml(entry))}</content>`,
+    "  </entry>"
+  ].filter(Boolean).join("\n"));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(`${siteUrl}/feed.atom`)}</id>`,
+    `  <title>${escapeXml(FEED_TITLE)}</title>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(`${siteUrl}/feed.atom`)}" />`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(`${siteUrl}/portfolio.html`)}" />`,
+    `  <updated>${updated}</updated>`,
+    "  <author><name>Elevate Real Estate Photography</name></author>",
+    ...items,
+    "</feed>",
+    ""
+  ].join("\n");
+}
+
+function renderRssFeed({ siteUrl, entries }) {
+  const lastBuild = new Date(isoDate(entries[0]?.updated) || Date.now()).toUTCString();
+  const items = entries.map((entry) => [
+    "    <item>",
+    `      <title>${escapeXml(entry.title)}</title>`,
+    `      <link>${escapeXml(entry.url)}</link>`,
+    `      <guid isPermaLink="false">${escapeXml(entry.id)}</guid>`,
+    isoDate(entry.updated) ? `      <pubDate>${new Date(entry.updated).toUTCString()}</pubDate>` : "",
+    `      <description>${escapeXml(entryHtml(entry))}</description>`,
+    entry.image ? `      <enclosure url="${escapeXml(entry.image)}" type="${imageType(entry.image)}" length="0" />` : "",
+    "    </item>"
+  ].filter(Boolean).join("\n"));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    "  <channel>",
+    `    <title>${escapeXml(FEED_TITLE)}</title>`,
+    `    <link>${escapeXml(`${siteUrl}/portfolio.html`)}</link>`,
+    `    <atom:link href="${escapeXml(`${siteUrl}/feed.rss`)}" rel="self" type="application/rss+xml" />`,
+    "    <description>Recently delivered real estate photography shoots.</description>",
+    `    <lastBuildDate>${lastBuild}</lastBuildDate>`,
+    ...items,
+    "  </channel>",
+    "</rss>",
+    ""
+  ].join("\n");
+}
+
+module.exports = {
+  escapeXml,
+  renderSitemap,
+  renderRobots,
+  renderAtomFeed,
+  renderRssFeed
+};
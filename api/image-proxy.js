@@ -0,0 +1,256 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { URL } = require("url");
+
+const PLACEHOLDER_SVG = Buffer.from(
+  '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 10" preserveAspectRatio="xMidYMid slice">'
+  + '<rect width="16" height="10" fill="#1c2026"/>'
+  + '<path d="M5 7l2.2-2.6 1.5 1.7 1.3-1.2L12 7z" fill="#3a414b"/>'
+  + "</svg>"
+);
+// Raster formats only: an SVG served from our origin could run script.
+const RASTER_TYPES = new Set(["image/jpeg", "image/png", "image/webp", "image/avif", "image/gif"]);
+const PLACEHOLDER_ETAG = `"placeholder-${crypto.createHash("sha256").update(PLACEHOLDER_SVG).digest("hex").slice(0, 16)}"`;
+
+class ImageProxyError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+  }
+}
+
+// "images.unsplash.com:w,imgix.net:w" -> Map of host suffix to the width query parameter it understands.
+function parseResizeParams(value) {
+  const params = new Map();
+  String(value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const [host, param] = entry.split(":").map((part) => part.trim().toLowerCase());
+      if (host && param) params.set(host, param);
+    });
+  return params;
+}
+
+function hostMatches(hostname, suffix) {
+  return hostname === suffix || hostname.endsWith(`.${suffix}`);
+}
+
+function createImageProxy({
+  cacheDir,
+  allowedHosts = [],
+  widths = [320, 640, 1024, 1600],
+  resizeParams = new Map(),
+  maxBytes = 15 * 1024 * 1024,
+  maxCacheBytes = 500 * 1024 * 1024,
+  timeoutMs = 10000,
+  maxRedirects = 3,
+  failureTtlMs = 5 * 60 * 1000,
+  fetchImpl = (...args) => fetch(...args)
+}) {
+  const sortedWidths = [...new Set(widths)].filter((width) => width > 0).sort((a, b) => a - b);
+  const inFlight = new Map();
+  const recentFailures = new Map();
+
+  function isAllowedHost(hostname) {
+    const host = String(hostname || "").toLowerCase();
+    return allowedHosts.some((suffix) => hostMatches(host, suffix));
+  }
+
+  function parseSourceUrl(value) {
+    let parsed;
+    try {
+      parsed = new URL(String(value || ""));
+    } catch {
+      throw new ImageProxyError("A valid image url is required", 400);
+    }
+    if (!/^https?:$/.test(parsed.protocol)) throw new ImageProxyError("Only http(s) image urls are supported", 400);
+    if (!isAllowedHost(parsed.hostname)) throw new ImageProxyError("Image host is not allowed", 403);
+    return parsed;
+  }
+
+  // Snap to the smallest variant that covers the request so arbitrary widths can't fill the cache.
+  function variantWidth(requested) {
+    const width = Number(requested);
+    if (!Number.isFinite(width) || width <= 0 || !sortedWidths.length) return null;
+    return sortedWidths.find((candidate) => candidate >= width) || sortedWidths[sortedWidths.length - 1];
+  }
+
+  function resizeParamFor(hostname) {
+    for (const [suffix, param] of resizeParams) {
+      if (hostMatches(hostname.toLowerCase(), suffix)) return param;
+    }
+    return null;
+  }
+
+  // Hosts that can't resize share one cached original across every width.
+  function upstreamRequest(source, width) {
+    const param = width ? resizeParamFor(source.hostname) : null;
+    if (!param) return { upstreamUrl: source.toString(), variant: "full" };
+    const upstream = new URL(source.toString());
+    upstream.searchParams.set(param, String(width));
+    return { upstreamUrl: upstream.toString(), variant: `w${width}` };
+  }
+
+  function cachePaths(key) {
+    return {
+      bodyFile: path.join(cacheDir, `${key}.bin`),
+      metaFile: path.join(cacheDir, `${key}.json`)
+    };
+  }
+
+  function readCached(key) {
+    const { bodyFile, metaFile } = cachePaths(key);
+    try {
+      const meta = JSON.parse(fs.readFileSync(metaFile, "utf8"));
+      // Entries cached before the raster-only rule are fetched again.
+      if (!RASTER_TYPES.has(meta.content_type)) return null;
+      return { ...meta, body: fs.readFileSync(bodyFile), placeholder: false };
+    } catch {
+      return null;
+    }
+  }
+
+  function writeCached(key, entry) {
+    const { bodyFile, metaFile } = cachePaths(key);
+    if (!fs.existsSync(cacheDir)) fs.mkdirSync(cacheDir, { recursive: true });
+    fs.writeFileSync(bodyFile, entry.body);
+    fs.writeFileSync(metaFile, JSON.stringify({
+      source_url: entry.source_url,
+      content_type: entry.content_type,
+      etag: entry.etag,
+      bytes: entry.body.length,
+      fetched_at: entry.fetched_at
+    }), "utf8");
+  }
+
+  // Follows redirects by hand so every hop is checked against the allowlist before it is requested.
+  async function fetchAllowed(url, init = {}) {
+    let target = new URL(url);
+    for (let hop = 0; ; hop += 1) {
+      if (!/^https?:$/.test(target.protocol) || !isAllowedHost(target.hostname)) {
+        throw new ImageProxyError(hop ? "Image redirected to a host that is not allowed" : "Image host is not allowed", hop ? 502 : 403);
+      }
+      let response;
+      try {
+        response = await fetchImpl(target.toString(), { ...init, redirect: "manual" });
+      } catch (error) {
+        throw new ImageProxyError(`Image fetch failed: ${error?.message || error}`, 502);
+      }
+      const location = response.headers.get("location");
+      if (response.status < 300 || response.status >= 400 || !location) return response;
+      response.body?.cancel().catch(() => {});
+      if (hop >= maxRedirects) throw new ImageProxyError("Image redirected too many times", 502);
+      target = new URL(location, target);
+    }
+  }
+
+  async function fetchUpstream(upstreamUrl) {
+    const response = await fetchAllowed(upstreamUrl, {
+      headers: { Accept: "image/avif,image/webp,image/jpeg,image/png" },
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (!response.ok) throw new ImageProxyError(`Image upstream returned ${response.status}`, 502);
+
+    const contentType = String(response.headers.get("content-type") || "").split(";")[0].trim().toLowerCase();
+    if (!RASTER_TYPES.has(contentType)) throw new ImageProxyError(`Upstream is not a supported image (${contentType || "unknown"})`, 502);
+    if (Number(response.headers.get("content-length")) > maxBytes) throw new ImageProxyError("Image is too large", 502);
+
+    const body = Buffer.from(await response.arrayBuffer());
+    if (body.length > maxBytes) throw new ImageProxyError("Image is too large", 502);
+    return { body, contentType };
+  }
+
+  function placeholder(reason) {
+    return {
+      body: PLACEHOLDER_SVG,
+      content_type: "image/svg+xml",
+      etag: PLACEHOLDER_ETAG,
+      placeholder: true,
+      reason
+    };
+  }
+
+  async function getImage(sourceValue, requestedWidth) {
+    const source = parseSourceUrl(sourceValue);
+    const { upstreamUrl, variant } = upstreamRequest(source, variantWidth(requestedWidth));
+    const key = crypto.createHash("sha256").update(`${source.toString()}|${variant}`).digest("hex");
+
+    const cached = readCached(key);
+    if (cached) return cached;
+
+    const failure = recentFailures.get(key);
+    if (failure && Date.now() - failure.at < failureTtlMs) return placeholder(failure.reason);
+
+    if (!inFlight.has(key)) {
+      inFlight.set(key, (async () => {
+        const { body, contentType } = await fetchUpstream(upstreamUrl);
+        const entry = {
+          source_url: source.toString(),
+          content_type: contentType,
+          etag: `"${crypto.createHash("sha256").update(body).digest("hex").slice(0, 32)}"`,
+          fetched_at: new Date().toISOString(),
+          body
+        };
+        writeCached(key, entry);
+        recentFailures.delete(key);
+        return { ...entry, placeholder: false };
+      })().finally(() => inFlight.delete(key)));
+    }
+
+    try {
+      return await inFlight.get(key);
+    } catch (error) {
+      if (!(error instanceof ImageProxyError)) throw error;
+      recentFailures.set(key, { at: Date.now(), reason: error.message });
+      return placeholder(error.message);
+    }
+  }
+
+  // Deletes the least recently fetched images once the cache grows past maxCacheBytes.
+  function pruneCache() {
+    if (!fs.existsSync(cacheDir)) return;
+    const entries = fs.readdirSync(cacheDir)
+      .filter((name) => name.endsWith(".json"))
+      .map((name) => {
+        try {
+          const meta = JSON.parse(fs.readFileSync(path.join(cacheDir, name), "utf8"));
+          return { key: name.slice(0, -5), bytes: Number(meta.bytes) || 0, fetchedAt: new Date(meta.fetched_at).getTime() || 0 };
+        } catch {
+          return { key: name.slice(0, -5), bytes: 0, fetchedAt: 0 };
+        }
+      })
+      .sort((a, b) => a.fetchedAt - b.fetchedAt);
+
+    let total = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+    for (const entry of entries) {
+      if (total <= maxCacheBytes) break;
+      const { bodyFile, metaFile } = cachePaths(entry.key);
+      fs.rmSync(bodyFile, { force: true });
+      fs.rmSync(metaFile, { force: true });
+      total -= entry.bytes;
+    }
+
+    const now = Date.now();
+    recentFailures.forEach((failure, key) => {
+      if (now - failure.at >= failureTtlMs) recentFailures.delete(key);
+    });
+  }
+
+  return {
+    getImage,
+    fetchAllowed,
+    pruneCache,
+    isAllowedHost,
+    widths: sortedWidths
+  };
+}
+
+module.exports = {
+  createImageProxy,
+  parseResizeParams,
+  ImageProxyError
+};
@@ -0,0 +1,107 @@
+const crypto = require("crypto");
+
+const FIELD_LIMITS = { name: 100, email: 254, phone: 30, address: 200, message: 2000 };
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function signFormTimestamp(secret, issuedAt) {
+  return crypto.createHmac("sha256", secret).update(`lead-form.${issuedAt}`).digest("base64url");
+}
+
+// The token only proves when the form was rendered, so it carries no personal data.
+function createFormToken(secret, now = Date.now()) {
+  const issuedAt = Math.floor(now / 1000);
+  return `${issuedAt}.${signFormTimestamp(secret, issuedAt)}`;
+}
+
+// Returns { ok: true } or { ok: false, reason } where reason is "invalid", "too_fast" or "expired".
+function checkFormToken(secret, token, { minSeconds, maxSeconds, now = Date.now() }) {
+  const [issuedAtRaw, signature] = String(token || "").split(".");
+  const issuedAt = Number(issuedAtRaw);
+  if (!Number.isInteger(issuedAt) || !signature) return { ok: false, reason: "invalid" };
+
+  const expected = Buffer.from(signFormTimestamp(secret, issuedAt));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return { ok: false, reason: "invalid" };
+  }
+
+  const elapsed = now / 1000 - issuedAt;
+  if (elapsed < minSeconds) return { ok: false, reason: "too_fast" };
+  if (elapsed > maxSeconds) return { ok: false, reason: "expired" };
+  return { ok: true };
+}
+
+function textValue(value) {
+  return String(Array.isArray(value) ? value[0] ?? "" : value ?? "").trim();
+}
+
+// input is a parsed JSON body or form fields; services may be a list or a single value.
+// Returns { lead, errors } where errors maps field names to messages.
+function validateLead(input, { services: allowedServices = [], today }) {
+  const errors = {};
+  const values = {};
+  ["name", "email", "phone", "address", "preferred_date", "message"].forEach((field) => {
+    values[field] = textValue(input[field]);
+  });
+
+  Object.entries(FIELD_LIMITS).forEach(([field, limit]) => {
+    if (values[field].length > limit) errors[field] = `Keep this under ${limit} characters.`;
+  });
+
+  if (!values.name) errors.name = "Please enter your name.";
+  if (!values.address) errors.address = "Please enter the property address.";
+  if (!values.email && !values.phone) {
+    errors.email = "Please enter an email or a phone number.";
+  }
+  if (values.email && !errors.email && !EMAIL_PATTERN.test(values.email)) {
+    errors.email = "Please enter a valid email address.";
+  }
+  const phoneDigits = values.phone.replace(/\D/g, "");
+  if (values.phone && !errors.phone && (phoneDigits.length < 10 || phoneDigits.length > 15)) {
+    errors.phone = "Please enter a valid phone number.";
+  }
+
+  const sqftRaw = textValue(input.sqft).replace(/,/g, "");
+  const sqft = sqftRaw ? Number(sqftRaw) : null;
+  if (sqftRaw && (!Number.isInteger(sqft) || sqft < 1 || sqft > 100000)) {
+    errors.sqft = "Square footage must be a whole number.";
+  }
+
+  if (values.preferred_date) {
+    const parsed = new Date(`${values.preferred_date}T00:00:00Z`);
+    if (!DATE_PATTERN.test(values.preferred_date) || Number.isNaN(parsed.getTime())) {
+      errors.preferred_date = "Please pick a valid date.";
+    } else if (today && values.preferred_date < today) {
+      errors.preferred_date = "Please pick a date that has not passed.";
+    }
+  }
+
+  const services = [...new Set((Array.isArray(input.services) ? input.services : [input.services])
+    .map((value) => textValue(value))
+    .filter(Boolean))];
+  if (services.some((service) => !allowedServices.includes(service))) {
+    errors.services = "Please choose from the listed services.";
+  }
+
+  if (Object.keys(errors).length) return { lead: null, errors };
+  return {
+    lead: {
+      name: values.name,
+      email: values.email || null,
+      phone: values.phone || null,
+      address: values.address,
+      sqft,
+      preferred_date: values.preferred_date || null,
+      services,
+      message: values.message || null
+    },
+    errors: {}
+  };
+}
+
+module.exports = {
+  createFormToken,
+  checkFormToken,
+  validateLead
+};
@@ -0,0 +1,210 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const tls = require("tls");
+
+// Transports take { channel, to, subject, text, headers } and resolve once the message is handed off.
+// Anything they throw is retried by the outbox.
+
+function encodeHeader(value) {
+  const text = String(value || "").replace(/[\r\n]+/g, " ");
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, "utf8").toString("base64")}?=`;
+}
+
+// A CR or LF in an address or header would let message data add headers or SMTP commands of its own.
+function assertSingleLine(label, value) {
+  if (/[\r\n]/.test(String(value ?? ""))) throw new Error(`${label} must not contain line breaks`);
+}
+
+function formatEmail(message, from) {
+  const domain = String(from).split("@")[1]?.replace(/>.*$/, "") || "localhost";
+  const headers = {
+    From: from,
+    To: message.to,
+    Subject: encodeHeader(message.subject),
+    Date: new Date().toUTCString(),
+    "Message-ID": `<${crypto.randomUUID()}@${domain}>`,
+    "MIME-Version": "1.0",
+    "Content-Type": "text/plain; charset=utf-8",
+    "Content-Transfer-Encoding": "base64",
+    ...message.headers
+  };
+  const body = Buffer.from(message.text, "utf8").toString("base64").replace(/.{1,76}/g, "$&\r\n");
+  return `${Object.entries(headers).map(([key, value]) => `${key}: ${value}`).join("\r\n")}\r\n\r\n${body}`;
+}
+
+// Collects SMTP replies, including multi-line ones ("250-..." continued by a final "250 ...").
+function createReplyReader(socket) {
+  let buffer = "";
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  const settle = () => {
+    while (replies.length && waiting.length) waiting.shift().resolve(replies.shift());
+    if (failure) while (waiting.length) waiting.shift().reject(failure);
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString("utf8");
+    let index;
+    while ((index = buffer.indexOf("\r\n")) >= 0) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        replies.push({ code: Number(line.slice(0, 3)), text: lines.map((entry) => entry.slice(4)).join("\n") });
+        lines = [];
+      }
+    }
+    settle();
+  };
+  const onEnd = (error) => {
+    failure = error instanceof Error ? error : new Error("SMTP connection closed");
+    settle();
+  };
+
+  socket.on("data", onData);
+  socket.on("error", onEnd);
+  socket.on("close", onEnd);
+
+  return {
+    next() {
+      return new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject });
+        settle();
+      });
+    },
+    detach() {
+      socket.off("data", onData);
+      socket.off("error", onEnd);
+      socket.off("close", onEnd);
+    }
+  };
+}
+
+// Credentials are only sent over TLS (SMTP_SECURE or STARTTLS) unless allowInsecureAuth is set.
+function createSmtpTransport({
+  host,
+  port = 587,
+  secure = false,
+  user = "",
+  pass = "",
+  from,
+  allowInsecureAuth = false,
+  heloName = os.hostname(),
+  timeoutMs = 15000
+}) {
+  if (!host || !from) throw new Error("SMTP transport needs a host and a from address");
+  assertSingleLine("The from address", from);
+
+  async function send(message) {
+    assertSingleLine("The recipient", message.to);
+    Object.entries(message.headers || {}).forEach(([key, value]) => {
+      assertSingleLine("Header names", key);
+      assertSingleLine(`The ${key} header`, value);
+    });
+
+    let socket = secure
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error("SMTP connection timed out")));
+    let reader = createReplyReader(socket);
+
+    const expect = async (codes) => {
+      const reply = await reader.next();
+      if (!codes.includes(reply.code)) throw new Error(`SMTP ${reply.code}: ${reply.text}`);
+      return reply;
+    };
+    const command = async (line, codes) => {
+      socket.write(`${line}\r\n`);
+      return expect(codes);
+    };
+
+    let encrypted = secure;
+    try {
+      await expect([220]);
+      let ehlo = await command(`EHLO ${heloName}`, [250]);
+      if (!secure && /^STARTTLS$/im.test(ehlo.text)) {
+        await command("STARTTLS", [220]);
+        reader.detach();
+        socket = tls.connect({ socket, servername: host });
+        socket.setTimeout(timeoutMs, () => socket.destroy(new Error("SMTP connection timed out")));
+        reader = createReplyReader(socket);
+        ehlo = await command(`EHLO ${heloName}`, [250]);
+        encrypted = true;
+      }
+      if (user) {
+        if (!encrypted && !allowInsecureAuth) {
+          throw new Error("SMTP server offered no TLS; not sending credentials in the clear (set SMTP_ALLOW_INSECURE_AUTH=1 to allow)");
+        }
+        await command(`AUTH PLAIN ${Buffer.from(`\u0000${user}\u0000${pass}`).toString("base64")}`, [235]);
+      }
+
+      const envelopeFrom = String(from).match(/<([^>]+)>/)?.[1] || from;
+      await command(`MAIL FROM:<${envelopeFrom}>`, [250]);
+      await command(`RCPT TO:<${message.to}>`, [250, 251]);
+      await command("DATA", [354]);
+      // Dot-stuffing: a line starting with "." would otherwise end the message early.
+      const data = formatEmail(message, from).replace(/^\./gm, "..");
+      await command(`${data.replace(/\r\n$/, "")}\r\n.`, [250]);
+      await command("QUIT", [221]).catch(() => {});
+    } finally {
+      reader.detach();
+      // Nothing is waiting on the socket any more; late errors must not crash the process.
+      socket.on("error", () => {});
+      socket.destroy();
+    }
+  }
+
+  return { name: "smtp", send };
+}
+
+// Posts { to, from, body } as JSON to any SMS gateway that accepts it; any 2xx counts as sent.
+function createHttpSmsTransport({ url, token = "", from = "", timeoutMs = 10000, fetchImpl = (...args) => fetch(...args) }) {
+  if (!url) throw new Error("HTTP SMS transport needs a gateway url");
+
+  async function send(message) {
+    const response = await fetchImpl(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: JSON.stringify({ to: message.to, from, body: message.text }),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (!response.ok) {
+      const detail = await response.text().catch(() => "");
+      throw new Error(`SMS gateway returned ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ""}`);
+    }
+  }
+
+  return { name: "http-sms", send };
+}
+
+// Writes each message to its own file so local runs can inspect what would have been sent.
+function createFileTransport({ dir, from = "" }) {
+  async function send(message) {
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const fileName = `${stamp}-${message.channel}-${crypto.randomBytes(3).toString("hex")}`;
+    if (message.channel === "email") {
+      fs.writeFileSync(path.join(dir, `${fileName}.eml`), formatEmail(message, from || "notifications@localhost"), "utf8");
+    } else {
+      fs.writeFileSync(path.join(dir, `${fileName}.json`), `${JSON.stringify({ to: message.to, from, body: message.text }, null, 2)}\n`, "utf8");
+    }
+  }
+
+  return { name: "file", send };
+}
+
+module.exports = {
+  createSmtpTransport,
+  createHttpSmsTransport,
+  createFileTransport,
+  formatEmail
+};
@@ -0,0 +1,281 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Who each event is for. Customer events go to the order's contact; new orders alert the photographer.
+const NOTIFICATION_EVENTS = {
+  new_order: "photographer",
+  order_scheduled: "customer",
+  order_delivered: "customer"
+};
+const CHANNELS = ["email", "sms"];
+
+function loadTemplates(filePath) {
+  const templates = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  Object.entries(templates).forEach(([event, channels]) => {
+    if (!NOTIFICATION_EVENTS[event]) throw new Error(`Unknown notification event "${event}" in ${filePath}`);
+    Object.entries(channels || {}).forEach(([channel, template]) => {
+      if (!CHANNELS.includes(channel)) throw new Error(`Unknown channel "${channel}" for ${event} in ${filePath}`);
+      if (typeof template?.text !== "string") throw new Error(`${event}.${channel} needs a text template`);
+      if (channel === "email" && typeof template.subject !== "string") throw new Error(`${event}.email needs a subject`);
+    });
+  });
+  return templates;
+}
+
+// {{name}} placeholders; unknown names render as empty strings.
+function renderTemplate(text, context) {
+  return String(text).replace(/\{\{\s*([a-z_]+)\s*\}\}/g, (match, key) => String(context[key] ?? ""));
+}
+
+// Returns { subject, text } or null when the event has no template for that channel.
+function renderMessage(templates, event, channel, context) {
+  const template = templates[event]?.[channel];
+  if (!template) return null;
+  return {
+    subject: channel === "email" ? renderTemplate(template.subject, context).trim() : null,
+    text: renderTemplate(template.text, context)
+  };
+}
+
+function normalizeRecipient(channel, address) {
+  const value = String(address || "").trim();
+  return channel === "sms" ? value.replace(/[^\d+]/g, "") : value.toLowerCase();
+}
+
+// Opt-outs are stored as { "email:agent@example.com": ["order_scheduled"] }; "*" covers every event.
+function createOptOutStore(file) {
+  let entries = {};
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (parsed && typeof parsed.recipients === "object") entries = parsed.recipients;
+  } catch {
+    // Missing or unreadable store: nobody has opted out yet.
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ recipients: entries }, null, 2), "utf8");
+  }
+
+  const keyFor = (channel, address) => `${channel}:${normalizeRecipient(channel, address)}`;
+
+  return {
+    isOptedOut(channel, address, event) {
+      const events = entries[keyFor(channel, address)] || [];
+      return events.includes("*") || events.includes(event);
+    },
+    add(channel, address, events) {
+      const key = keyFor(channel, address);
+      entries[key] = [...new Set([...(entries[key] || []), ...events])].sort();
+      save();
+      return entries[key];
+    },
+    remove(channel, address) {
+      const key = keyFor(channel, address);
+      if (!entries[key]) return false;
+      delete entries[key];
+      save();
+      return true;
+    },
+    list() {
+      return { ...entries };
+    }
+  };
+}
+
+// Messages are written to disk before any send is attempted, so a transport outage or a restart
+// only delays them. Delivery is at least once: a crash mid-send retries that message.
+// Events queued with enqueueEvent are turned into messages by expandEvent(payload) at drain time,
+// and retried like sends when that fails.
+function createOutbox({
+  file,
+  transports,
+  expandEvent = null,
+  isOptedOut = () => false,
+  maxAttempts = 8,
+  retryBaseMs = 60 * 1000,
+  retryMaxMs = 6 * 60 * 60 * 1000,
+  retentionMs = 30 * 24 * 60 * 60 * 1000,
+  logger = console
+}) {
+  let messages = [];
+  let draining = null;
+
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (Array.isArray(parsed.messages)) messages = parsed.messages;
+  } catch {
+    // Missing or corrupted outbox starts empty.
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tempFile = `${file}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({ messages }, null, 2), "utf8");
+    fs.renameSync(tempFile, file);
+  }
+
+  // dedupeKey stops repeated webhooks for the same order and stage from messaging twice.
+  function enqueue({ event, channel, to, subject = null, text, headers = {}, dedupeKey = null }) {
+    if (dedupeKey && messages.some((message) => message.dedupe_key === dedupeKey)) return null;
+    if (isOptedOut(channel, to, event)) return null;
+
+    const now = new Date().toISOString();
+    const message = {
+      id: crypto.randomUUID(),
+      dedupe_key: dedupeKey,
+      event,
+      channel,
+      to,
+      subject,
+      text,
+      headers,
+      status: "pending",
+      attempts: 0,
+      created_at: now,
+      next_attempt_at: now,
+      last_error: null,
+      sent_at: null
+    };
+    messages.push(message);
+    save();
+    return message;
+  }
+
+  // Records a raw event to expand later; channel "event" marks it in stats and the admin list.
+  function enqueueEvent({ event, payload, dedupeKey = null }) {
+    if (dedupeKey && messages.some((message) => message.dedupe_key === dedupeKey)) return null;
+
+    const now = new Date().toISOString();
+    const record = {
+      id: crypto.randomUUID(),
+      dedupe_key: dedupeKey,
+      event,
+      channel: "event",
+      to: null,
+      payload,
+      status: "pending",
+      attempts: 0,
+      created_at: now,
+      next_attempt_at: now,
+      last_error: null,
+      sent_at: null
+    };
+    messages.push(record);
+    save();
+    return record;
+  }
+
+  async function send(message) {
+    if (message.channel !== "event") {
+      const transport = transports[message.channel];
+      if (!transport) throw new Error(`No ${message.channel} transport is configured`);
+      await transport.send(message);
+      return;
+    }
+    if (!expandEvent) throw new Error("No event handler is configured");
+    const expanded = await expandEvent(message.payload);
+    (expanded || []).forEach((next) => enqueue(next));
+  }
+
+  function retryDelayMs(attempts) {
+    return Math.min(retryMaxMs, retryBaseMs * 2 ** (attempts - 1));
+  }
+
+  async function deliver(message) {
+    if (message.channel !== "event" && isOptedOut(message.channel, message.to, message.event)) {
+      message.status = "skipped";
+      message.last_error = "Recipient opted out";
+      return;
+    }
+
+    try {
+      await send(message);
+      message.status = "sent";
+      message.sent_at = new Date().toISOString();
+      message.last_error = null;
+    } catch (error) {
+      message.attempts += 1;
+      message.last_error = String(error?.message || error);
+      if (message.attempts >= maxAttempts) {
+        message.status = "failed";
+        logger.error(`Notification ${message.id} (${message.event} ${message.channel}) failed for good: ${message.last_error}`);
+      } else {
+        message.next_attempt_at = new Date(Date.now() + retryDelayMs(message.attempts)).toISOString();
+        logger.warn(`Notification ${message.id} (${message.event} ${message.channel}) attempt ${message.attempts} failed: ${message.last_error}`);
+      }
+    }
+  }
+
+  function prune() {
+    const cutoff = Date.now() - retentionMs;
+    messages = messages.filter((message) => message.status === "pending" || new Date(message.created_at).getTime() >= cutoff);
+  }
+
+  const isDue = (message) => message.status === "pending" && new Date(message.next_attempt_at).getTime() <= Date.now();
+
+  // Sends every due message one at a time, including ones an expanded event just queued.
+  // Concurrent calls share the same run.
+  function drain() {
+    if (draining) return draining;
+    draining = (async () => {
+      const seen = new Set();
+      for (let due = messages.filter(isDue); due.length; due = messages.filter((message) => isDue(message) && !seen.has(message.id))) {
+        for (const message of due) {
+          seen.add(message.id);
+          await deliver(message);
+          save();
+        }
+      }
+      prune();
+      save();
+    })().finally(() => {
+      draining = null;
+    });
+    return draining;
+  }
+
+  function retryFailed() {
+    const now = new Date().toISOString();
+    let count = 0;
+    messages.forEach((message) => {
+      if (message.status !== "failed") return;
+      Object.assign(message, { status: "pending", attempts: 0, next_attempt_at: now });
+      count += 1;
+    });
+    if (count) save();
+    return count;
+  }
+
+  function stats() {
+    const counts = { pending: 0, sent: 0, failed: 0, skipped: 0 };
+    messages.forEach((message) => {
+      counts[message.status] = (counts[message.status] || 0) + 1;
+    });
+    const pending = messages.filter((message) => message.status === "pending");
+    return {
+      ...counts,
+      oldest_pending_at: pending.length ? pending[0].created_at : null,
+      last_error: [...messages].reverse().find((message) => message.last_error)?.last_error || null
+    };
+  }
+
+  function list({ limit = 50, status = null } = {}) {
+    return messages
+      .filter((message) => !status || message.status === status)
+      .slice(-limit)
+      .reverse();
+  }
+
+  return { enqueue, enqueueEvent, drain, retryFailed, stats, list };
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  loadTemplates,
+  renderTemplate,
+  renderMessage,
+  createOptOutStore,
+  createOutbox
+};
@@ -0,0 +1,230 @@
+const { escapeHtml, formatLocationLabel, shootTitle, shootPageHref, renderShootCard, renderShootDetailPhotos } = require("../shoot-markup");
+
+const SITE_NAME = "Elevate Real Estate Photography";
+
+// JSON inside <script> must not be able to close the tag.
+function jsonLdScript(data) {
+  const json = JSON.stringify(data, null, 2).replaceAll("<", "\\u003c");
+  return `  <script type="application/ld+json">\n${json}\n  </script>\n`;
+}
+
+function replaceTag(html, pattern, replacement) {
+  return pattern.test(html) ? html.replace(pattern, replacement) : html;
+}
+
+// Swaps the template's title and description and appends per-page meta before </head>.
+function applyHead(html, { title, description, canonicalUrl, image, noindex = false, jsonLd = [] }) {
+  let next = replaceTag(html, /<title>[\s\S]*?<\/title>/, `<title>${escapeHtml(title)}</title>`);
+  next = replaceTag(next, /<meta name="description" content="[^"]*" \/>/, `<meta name="description" content="${escapeHtml(description)}" />`);
+
+  const meta = [
+    noindex ? '<meta name="robots" content="noindex" />' : "",
+    canonicalUrl && !noindex ? `<link rel="canonical" href="${escapeHtml(canonicalUrl)}" />` : "",
+    `<meta property="og:site_name" content="${SITE_NAME}" />`,
+    `<meta property="og:type" content="website" />`,
+    `<meta property="og:title" content="${escapeHtml(title)}" />`,
+    `<meta property="og:description" content="${escapeHtml(description)}" />`,
+    canonicalUrl ? `<meta property="og:url" content="${escapeHtml(canonicalUrl)}" />` : "",
+    image ? `<meta property="og:image" content="${escapeHtml(image)}" />` : "",
+    `<meta name="twitter:card" content="${image ? "summary_large_image" : "summary"}" />`,
+    `<meta name="twitter:title" content="${escapeHtml(title)}" />`,
+    `<meta name="twitter:description" content="${escapeHtml(description)}" />`,
+    image ? `<meta name="twitter:image" content="${escapeHtml(image)}" />` : ""
+  ].filter(Boolean).map((line) => `  ${line}\n`).join("");
+
+  return next.replace("</head>", `${meta}${jsonLd.map((data) => jsonLdScript(data)).join("")}</head>`);
+}
+
+// shoots are already curated and sanitized; siteUrl has no trailing slash.
+function renderPortfolioPage(template, { shoots, total, siteUrl, pageUrl }) {
+  const description = total
+    ? `Browse ${total} recent real estate photography shoots by ${SITE_NAME} across Florida.`
+    : `Recent real estate photography shoots by ${SITE_NAME}.`;
+  const cover = shoots.find((shoot) => shoot.thumbnail_url)?.thumbnail_url;
+
+  let html = applyHead(template, {
+    title: `Portfolio | ${SITE_NAME}`,
+    description,
+    canonicalUrl: `${siteUrl}/portfolio.html`,
+    image: cover,
+    jsonLd: [{
+      "@context": "https://schema.org",
+      "@type": "CollectionPage",
+      name: `Portfolio | ${SITE_NAME}`,
+      url: pageUrl,
+      mainEntity: {
+        "@type": "ItemList",
+        numberOfItems: total,
+        itemListElement: shoots.map((shoot, index) => ({
+          "@type": "ListItem",
+          position: index + 1,
+          name: shootTitle(shoot),
+          url: `${siteUrl}/${shootPageHref(shoot)}`,
+          image: shoot.thumbnail_url || undefined
+        }))
+      }
+    }]
+  });
+
+  html = html.replace(
+    '<p id="shootsStatus" class="hero-copy">Loading shoots...</p>',
+    `<p id="shootsStatus" class="hero-copy">${shoots.length ? `${shoots.length} of ${total} shoots loaded.` : "No shoots found yet."}</p>`
+  );
+  return html.replace(
+    '<div class="shoot-grid" id="shootGrid"></div>',
+    `<div class="shoot-grid" id="shootGrid">${shoots.map((shoot) => renderShootCard(shoot)).join("")}</div>`
+  );
+}
+
+// shoot is curated and sanitized. noindex keeps private share links out of search results.
+// orderIdAccess says whether the public shoot.html?order_id= URL opens for everyone; without it
+// there is no public URL to point search engines at, so the page is noindex with no canonical.
+// The request URL is never echoed into the page, since on a share link it carries the token.
+function renderShootPage(template, { shoot, siteUrl, noindex = false, orderIdAccess = true }) {
+  const titleLabel = shootTitle(shoot, "Shoot");
+  const publicUrl = orderIdAccess && !noindex ? `${siteUrl}/shoot.html?order_id=${encodeURIComponent(shoot.id)}` : null;
+  const galleryPhotos = shoot.photos || [];
+  const photos = [shoot.thumbnail_url, ...galleryPhotos].filter(Boolean);
+  const description = `${photos.length} listing photo${photos.length === 1 ? "" : "s"} of ${shoot.address || titleLabel} by ${SITE_NAME}.`;
+
+  let html = applyHead(template, {
+    title: `${titleLabel} | ${SITE_NAME}`,
+    description,
+    canonicalUrl: publicUrl,
+    image: shoot.thumbnail_url,
+    noindex: !publicUrl,
+    jsonLd: [{
+      "@context": "https://schema.org",
+      "@type": "ImageGallery",
+      name: titleLabel,
+      description,
+      ...(publicUrl ? { url: publicUrl } : {}),
+      ...(shoot.address ? { contentLocation: { "@type": "Place", address: shoot.address } } : {}),
+      author: { "@type": "Organization", name: SITE_NAME, url: `${siteUrl}/` },
+      image: photos.map((url, index) => ({
+        "@type": "ImageObject",
+        contentUrl: url,
+        name: `${titleLabel} photo ${index + 1}`
+      }))
+    }]
+  });
+
+  html = html.replace('<h1 id="shootTitle">Loading...</h1>', `<h1 id="shootTitle">${escapeHtml(titleLabel)}</h1>`);
+  html = html.replace(
+    '<p id="shootDetailStatus" class="hero-copy">Loading shoot photos...</p>',
+    `<p id="shootDetailStatus" class="hero-copy">${galleryPhotos.length ? `${galleryPhotos.length} photos loaded.` : "No photos are available for this shoot yet."}</p>`
+  );
+  // Same markup script.js renders, which replaces it once /api/shoot answers.
+  return html.replace(
+    '<div class="shoot-detail-grid" id="shootDetailGrid"></div>',
+    `<div class="shoot-detail-grid" id="shootDetailGrid">${renderShootDetailPhotos(galleryPhotos, titleLabel)}</div>`
+  );
+}
+
+function formatPrice(amount) {
+  return amount === null || amount === undefined ? "Custom Quote" : `$${amount.toLocaleString("en-US")}`;
+}
+
+function renderRateRows(rows) {
+  return `\n${rows.map((row) => `              <tr>
+                <td>${escapeHtml(row.label)}</td>
+                <td>${escapeHtml(formatPrice(row.price))}</td>
+              </tr>`).join("\n")}\n            `;
+}
+
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Fills the #contact lead form: a fresh form token, plus the submitted values, field errors
+// and status line when a form post without JS is rendered back to the visitor.
+function renderLeadForm(html, { token, values = {}, errors = {}, status = "" }) {
+  let next = html.replace('name="form_token" value=""', `name="form_token" value="${escapeHtml(token)}"`);
+  if (status) {
+    next = next.replace(/(<p class="lead-status" id="leadStatus"[^>]*>)(<\/p>)/, (match, open, close) => `${open}${escapeHtml(status)}${close}`);
+  }
+
+  Object.entries(values).forEach(([field, value]) => {
+    const name = escapeRegExp(field);
+    if (field === "services") {
+      [].concat(value).forEach((item) => {
+        next = next.replace(new RegExp(`(<input type="checkbox" name="${name}" value="${escapeRegExp(escapeHtml(item))}")`), "$1 checked");
+      });
+      return;
+    }
+    if (field === "message") {
+      next = next.replace(/(<textarea name="message"[^>]*>)(<\/textarea>)/, (match, open, close) => `${open}${escapeHtml(value)}${close}`);
+      return;
+    }
+    next = next.replace(new RegExp(`(<input type="[a-z]+" name="${name}")`), (match) => `${match} value="${escapeHtml(value)}"`);
+  });
+
+  Object.entries(errors).forEach(([field, message]) => {
+    const name = escapeRegExp(field);
+    next = next.replace(new RegExp(`(<input type="[a-z]+" name="${name}"|<textarea name="${name}")`), '$1 aria-invalid="true"');
+    next = next.replace(
+      new RegExp(`(<(p|span) class="field-error" data-error-for="${name}">)(</\\2>)`),
+      (match, open, tag, close) => `${open}${escapeHtml(message)}${close}`
+    );
+  });
+  return next;
+}
+
+// Fills the #pricing rate tables in index.html from the pricing config.
+function renderHomePage(template, { photoTiers, addOns, note, leadForm }) {
+  let html = template.replace(
+    /(<tbody data-pricing-table="photos">)[\s\S]*?(<\/tbody>)/,
+    (match, open, close) => `${open}${renderRateRows(photoTiers)}${close}`
+  );
+  html = html.replace(
+    /(<tbody data-pricing-table="add-ons">)[\s\S]*?(<\/tbody>)/,
+    (match, open, close) => `${open}${renderRateRows(addOns)}${close}`
+  );
+  if (note) {
+    html = html.replace(/(<p class="pricing-note" data-pricing-note>)[\s\S]*?(<\/p>)/, (match, open, close) => `${open}${escapeHtml(note)}${close}`);
+  }
+  return leadForm ? renderLeadForm(html, leadForm) : html;
+}
+
+// Standalone page behind notification unsubscribe links. With a token it asks first, because
+// mail scanners open links and a plain GET must not change anything.
+function renderUnsubscribePage({ title, message, token = null, eventLabel = "" }) {
+  const form = token ? `
+      <form class="contact-actions" method="post" action="/api/notifications/unsubscribe">
+        <input type="hidden" name="token" value="${escapeHtml(token)}" />
+        <button class="button" type="submit" name="scope" value="event">Stop ${escapeHtml(eventLabel)}</button>
+        <button class="button ghost" type="submit" name="scope" value="all">Stop all messages</button>
+      </form>` : "";
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  <meta name="robots" content="noindex" />
+  <title>${escapeHtml(title)} | ${SITE_NAME}</title>
+  <link rel="icon" type="image/png" href="/images/logo-primary.png" />
+  <link rel="stylesheet" href="/styles.css" />
+</head>
+<body>
+  <main class="order-page">
+    <section class="order-hero">
+      <p class="eyebrow">Notifications</p>
+      <h1>${escapeHtml(title)}</h1>
+      <p class="hero-copy">${escapeHtml(message)}</p>${form}
+      <p class="client-link"><a href="/">Back to ${SITE_NAME}</a></p>
+    </section>
+  </main>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  escapeHtml,
+  formatLocationLabel,
+  shootTitle,
+  renderHomePage,
+  renderPortfolioPage,
+  renderShootPage,
+  renderUnsubscribePage
+};
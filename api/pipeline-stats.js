@@ -0,0 +1,156 @@
+const { zonedDateString, addDays, isDateString } = require("./availability");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+// Each step counts orders that got at least that far, so skipping a step still counts it.
+const FUNNEL_STEPS = ["created", "scheduled", "delivered"];
+const CSV_COLUMNS = ["received_at", "event_type", "source", "order_id", "lead_id", "status", "address", "city", "name", "email", "phone", "services", "message"];
+
+// from/to are local dates in timeZone, both inclusive. Defaults to the last 30 days.
+function resolveRange({ from, to, timeZone, maxDays = 366, now = Date.now() }) {
+  const toDate = to || zonedDateString(now, timeZone);
+  const fromDate = from || addDays(toDate, -29);
+  if (!isDateString(fromDate) || !isDateString(toDate)) return { error: "from and to must be dates (YYYY-MM-DD)" };
+  if (toDate < fromDate) return { error: "to must be on or after from" };
+  if ((new Date(toDate) - new Date(fromDate)) / DAY_MS + 1 > maxDays) {
+    return { error: `Ask for at most ${maxDays} days at a time` };
+  }
+  return { from: fromDate, to: toDate };
+}
+
+function eventDate(eventObj, timeZone) {
+  const ms = Date.parse(eventObj.received_at);
+  return Number.isNaN(ms) ? null : zonedDateString(ms, timeZone);
+}
+
+// Weeks start on Monday and are labelled by that Monday's date.
+function periodFor(date, interval) {
+  if (interval !== "week") return date;
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return addDays(date, -((weekday + 6) % 7));
+}
+
+function eventsInRange(events, { from, to, timeZone }) {
+  return events.filter((eventObj) => {
+    const date = eventDate(eventObj, timeZone);
+    return date && date >= from && date <= to;
+  });
+}
+
+// Linear interpolation between closest ranks; values must be sorted.
+function percentile(sorted, fraction) {
+  if (!sorted.length) return null;
+  const position = (sorted.length - 1) * fraction;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+const roundHours = (ms) => (ms === null ? null : Math.round((ms / HOUR_MS) * 10) / 10);
+
+// First time each order was seen, first time it reached each funnel step (later steps fill in the
+// ones skipped) and when its own "created" event arrived, across every event.
+function summarizeOrders(events, { stageOf, cityOf }) {
+  const orders = new Map();
+  [...events]
+    .filter((eventObj) => eventObj.order_id && !Number.isNaN(Date.parse(eventObj.received_at)))
+    .sort((a, b) => Date.parse(a.received_at) - Date.parse(b.received_at))
+    .forEach((eventObj) => {
+      const at = Date.parse(eventObj.received_at);
+      if (!orders.has(eventObj.order_id)) {
+        orders.set(eventObj.order_id, { first_at: at, created_at: null, reached: {}, city: null });
+      }
+      const order = orders.get(eventObj.order_id);
+      const stage = stageOf(eventObj);
+      if (stage === "created" && order.created_at === null) order.created_at = at;
+      const step = FUNNEL_STEPS.indexOf(stage);
+      FUNNEL_STEPS.slice(0, step + 1).forEach((key) => {
+        if (order.reached[key] === undefined) order.reached[key] = at;
+      });
+      order.city = cityOf(eventObj.address) || order.city;
+    });
+  return orders;
+}
+
+// stageOf(event) returns "created", "scheduled", "delivered" or null; cityOf(address) returns a city or null.
+// Counts cover events received in the range. The funnel and city breakdown follow orders first seen in
+// the range, and turnaround covers orders delivered in it, timed from their "created" event. Orders whose
+// log starts later (e.g. at "scheduled") are left out rather than timed from a later point.
+function computePipelineStats(events, { from, to, interval = "day", timeZone, stageOf, cityOf }) {
+  const inRange = eventsInRange(events, { from, to, timeZone });
+  const periods = new Map();
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const period = periodFor(date, interval);
+    if (!periods.has(period)) periods.set(period, { period, total: 0, by_type: {} });
+  }
+  inRange.forEach((eventObj) => {
+    const bucket = periods.get(periodFor(eventDate(eventObj, timeZone), interval));
+    const type = eventObj.event_type || "unknown";
+    bucket.total += 1;
+    bucket.by_type[type] = (bucket.by_type[type] || 0) + 1;
+  });
+
+  const isInRange = (ms) => {
+    const date = zonedDateString(ms, timeZone);
+    return date >= from && date <= to;
+  };
+  const orders = [...summarizeOrders(events, { stageOf, cityOf }).values()];
+  const cohort = orders.filter((order) => isInRange(order.first_at));
+
+  const created = cohort.length;
+  const funnel = FUNNEL_STEPS.map((step) => {
+    const count = cohort.filter((order) => order.reached[step] !== undefined).length;
+    return { step, orders: count, rate: created ? Math.round((count / created) * 1000) / 1000 : null };
+  });
+
+  const durations = orders
+    .filter((order) => order.created_at !== null && order.reached.delivered !== undefined && isInRange(order.reached.delivered))
+    .map((order) => order.reached.delivered - order.created_at)
+    .sort((a, b) => a - b);
+
+  const cities = new Map();
+  cohort.forEach((order) => {
+    const city = order.city || "Unknown";
+    const key = city.toLowerCase();
+    if (!cities.has(key)) cities.set(key, { city, orders: 0, delivered: 0 });
+    const entry = cities.get(key);
+    entry.orders += 1;
+    if (order.reached.delivered !== undefined) entry.delivered += 1;
+  });
+
+  return {
+    from,
+    to,
+    interval,
+    timezone: timeZone,
+    event_count: inRange.length,
+    periods: [...periods.values()],
+    funnel,
+    turnaround: {
+      orders: durations.length,
+      median_hours: roundHours(percentile(durations, 0.5)),
+      p90_hours: roundHours(percentile(durations, 0.9))
+    },
+    cities: [...cities.values()].sort((a, b) => b.orders - a.orders || a.city.localeCompare(b.city))
+  };
+}
+
+// Cells starting with = + - @, tab or CR are prefixed with ' so spreadsheets don't run them as formulas.
+function csvCell(value) {
+  let text = Array.isArray(value) ? value.join(";") : String(value ?? "");
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+function pipelineEventsToCsv(events, { cityOf }) {
+  const rows = events.map((eventObj) => CSV_COLUMNS.map((column) => csvCell(column === "city" ? cityOf(eventObj.address) : eventObj[column])).join(","));
+  return `${[CSV_COLUMNS.join(","), ...rows].join("\r\n")}\r\n`;
+}
+
+module.exports = {
+  FUNNEL_STEPS,
+  resolveRange,
+  eventsInRange,
+  computePipelineStats,
+  pipelineEventsToCsv
+};
@@ -0,0 +1,110 @@
+const fs = require("fs");
+
+const loaded = new Map();
+
+function parsePricing(text) {
+  const pricing = JSON.parse(text);
+  if (!Array.isArray(pricing.photo_tiers) || !Array.isArray(pricing.add_ons)) {
+    throw new Error("photo_tiers and add_ons must be lists");
+  }
+  return { ...pricing, travel_zones: Array.isArray(pricing.travel_zones) ? pricing.travel_zones : [] };
+}
+
+// Re-read only when the file's mtime changes. A broken edit keeps the last good copy, so a typo in
+// the file can't take the home page down; it only throws when there has never been a good copy.
+function loadPricing(filePath, logger = console) {
+  const previous = loaded.get(filePath);
+  let mtimeMs;
+  try {
+    mtimeMs = fs.statSync(filePath).mtimeMs;
+    if (previous && previous.mtimeMs === mtimeMs) return previous.pricing;
+    const pricing = parsePricing(fs.readFileSync(filePath, "utf8"));
+    loaded.set(filePath, { mtimeMs, pricing });
+    return pricing;
+  } catch (error) {
+    if (!previous) throw error;
+    logger.error(`Pricing file ${filePath} is invalid, keeping the last good copy: ${error.message}`);
+    // Remember the broken version so the error is logged once per edit, not per request.
+    if (mtimeMs !== undefined) previous.mtimeMs = mtimeMs;
+    return previous.pricing;
+  }
+}
+
+function findPhotoTier(pricing, sqft) {
+  return pricing.photo_tiers.find((tier) => tier.max_sqft === null || sqft <= tier.max_sqft) || null;
+}
+
+// Longest matching prefix wins, so a county's exact ZIPs can sit inside a wider region.
+function findTravelZone(pricing, zip) {
+  let best = null;
+  pricing.travel_zones.forEach((zone) => {
+    zone.zip_prefixes.forEach((prefix) => {
+      if (zip.startsWith(prefix) && (!best || prefix.length > best.prefix.length)) best = { zone, prefix };
+    });
+  });
+  return best?.zone || null;
+}
+
+// Labels for the rate tables, e.g. "Up to 1,500 sqft", "1,501 - 2,500 sqft", "5,001+ sqft".
+function photoTierRows(pricing) {
+  return pricing.photo_tiers.map((tier, index) => {
+    const previousMax = index ? pricing.photo_tiers[index - 1].max_sqft : null;
+    const from = previousMax === null ? null : (previousMax + 1).toLocaleString("en-US");
+    let label;
+    if (tier.max_sqft === null) label = `${from || "Any"}+ sqft`;
+    else if (from === null) label = `Up to ${tier.max_sqft.toLocaleString("en-US")} sqft`;
+    else label = `${from} - ${tier.max_sqft.toLocaleString("en-US")} sqft`;
+    return { label, price: tier.price };
+  });
+}
+
+// Returns { error } for bad input, otherwise an itemized quote. A null total means "custom quote";
+// subtotal always adds up the lines that do have a price.
+function calculateQuote(pricing, { sqft, add_ons: addOns = [], zip }) {
+  const squareFeet = Number(sqft);
+  if (!Number.isFinite(squareFeet) || squareFeet <= 0 || squareFeet > 100000) {
+    return { error: "sqft must be a number between 1 and 100000" };
+  }
+  const zipCode = String(zip || "").trim();
+  if (!/^\d{5}$/.test(zipCode)) return { error: "zip must be a 5-digit ZIP code" };
+  if (!Array.isArray(addOns)) return { error: "add_ons must be a list" };
+
+  const addOnsByKey = new Map(pricing.add_ons.map((addOn) => [addOn.key, addOn]));
+  const unknown = addOns.filter((key) => !addOnsByKey.has(key));
+  if (unknown.length) return { error: `Unknown add-on(s): ${unknown.join(", ")}` };
+
+  const tier = findPhotoTier(pricing, Math.ceil(squareFeet));
+  const items = [{
+    key: "photos",
+    label: `Interior + Exterior Photography (${Math.ceil(squareFeet).toLocaleString("en-US")} sqft)`,
+    amount: tier?.price ?? null
+  }];
+  [...new Set(addOns)].forEach((key) => {
+    const addOn = addOnsByKey.get(key);
+    items.push({ key: addOn.key, label: addOn.label, amount: addOn.price });
+  });
+
+  const zone = findTravelZone(pricing, zipCode);
+  const travel = zone
+    ? { zone: zone.label, fee: zone.fee }
+    : { zone: null, fee: null };
+  items.push({ key: "travel", label: zone ? `Travel (${zone.label})` : "Travel (quoted after you order)", amount: travel.fee });
+
+  const customQuote = items.some((item) => item.amount === null);
+  const subtotal = items.reduce((sum, item) => sum + (item.amount ?? 0), 0);
+  return {
+    currency: pricing.currency,
+    items,
+    travel,
+    subtotal,
+    total: customQuote ? null : subtotal,
+    custom_quote: customQuote,
+    note: pricing.note
+  };
+}
+
+module.exports = {
+  loadPricing,
+  calculateQuote,
+  photoTierRows
+};
@@ -1,13 +1,49 @@
 const http = require("http");
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
 const { URL } = require("url");
+const {
+  createAryeoClient,
+  AryeoError,
+  AryeoConfigError,
+  AryeoNotFoundError,
+  AryeoRateLimitError,
+  AryeoTimeoutError,
+  AryeoCircuitOpenError
+} = require("./aryeo-client");
+const { createFixtureFetch, createRecordingFetch } = require("./aryeo-fixtures");
+const { createImageProxy, parseResizeParams, ImageProxyError } = require("./image-proxy");
+const { createZipWriter } = require("./zip-stream");
+const { renderHomePage, renderPortfolioPage, renderShootPage, renderUnsubscribePage, shootTitle } = require("./pages");
+const { loadPricing, calculateQuote, photoTierRows } = require("./pricing");
+const { loadSchedule, computeAvailability } = require("./availability");
+const { createFormToken, checkFormToken, validateLead } = require("./leads");
+const { resolveRange, eventsInRange, computePipelineStats, pipelineEventsToCsv } = require("./pipeline-stats");
+const {
+  NOTIFICATION_EVENTS,
+  loadTemplates,
+  renderMessage,
+  createOptOutStore,
+  createOutbox
+} = require("./notifications");
+const { createSmtpTransport, createHttpSmsTransport, createFileTransport } = require("./notification-transports");
+const { loadSubscribers, createWebhookRelay } = require("./webhook-relay");
+const { renderSitemap, renderRobots, renderAtomFeed, renderRssFeed } = require("./feeds");
 
 const ROOT_DIR = path.resolve(__dirname, "..");
-const DATA_DIR = path.join(ROOT_DIR, "data");
+const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(ROOT_DIR, "data");
 const PIPELINE_FILE = path.join(DATA_DIR, "lead-pipeline.jsonl");
 const SHOOTS_CACHE_FILE = path.join(DATA_DIR, "shoots-cache.json");
+const WEBHOOK_DELIVERIES_FILE = path.join(DATA_DIR, "webhook-deliveries.json");
+const PORTFOLIO_OVERRIDES_FILE = path.join(DATA_DIR, "portfolio-overrides.json");
+const IMAGE_CACHE_DIR = path.join(DATA_DIR, "image-cache");
+const NOTIFICATION_OUTBOX_FILE = path.join(DATA_DIR, "notification-outbox.json");
+const NOTIFICATION_OPT_OUTS_FILE = path.join(DATA_DIR, "notification-opt-outs.json");
+const WEBHOOK_RELAY_QUEUE_FILE = path.join(DATA_DIR, "webhook-relay-queue.json");
 const ENV_FILE = path.join(__dirname, ".env");
+const DEFAULT_PRICING_FILE = path.join(__dirname, "pricing.json");
+const DEFAULT_NOTIFICATION_TEMPLATES_FILE = path.join(__dirname, "notification-templates.json");
 const STATIC_MIME_TYPES = {
   ".html": "text/html; charset=utf-8",
   ".css": "text/css; charset=utf-8",
@@ -23,7 +59,7 @@ const STATIC_MIME_TYPES = {
   ".pdf": "application/pdf",
   ".txt": "text/plain; charset=utf-8"
 };
-const STATIC_BLOCKED_PREFIXES = ["/api", "/data", "/logs", "/scripts", "/.git"];
+const STATIC_BLOCKED_PREFIXES = ["/api", "/data", "/logs", "/scripts", "/test", "/.git"];
 
 function loadEnvFromFile() {
   if (!fs.existsSync(ENV_FILE)) return;
@@ -43,11 +79,89 @@ function loadEnvFromFile() {
 
 loadEnvFromFile();
 
+function rateLimitFromEnv(prefix, defaults) {
+  const burst = Number(process.env[`${prefix}_BURST`] || defaults.burst);
+  const perMinute = Number(process.env[`${prefix}_PER_MINUTE`] || defaults.perMinute);
+  return {
+    burst: Math.max(1, Number.isFinite(burst) ? burst : defaults.burst),
+    perMinute: Math.max(1, Number.isFinite(perMinute) ? perMinute : defaults.perMinute)
+  };
+}
+
+function parseAdminApiKeys(raw) {
+  // Format: name:role:key[,name:role:key...] where role is "admin" or "viewer".
+  return String(raw || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [name, role, ...keyParts] = entry.split(":");
+      const key = keyParts.join(":").trim();
+      const normalizedRole = String(role || "").trim().toLowerCase();
+      if (!name || !key || !ADMIN_ROLE_RANK[normalizedRole]) {
+        console.warn(`Ignoring malformed ADMIN_API_KEYS entry "${String(name || "").trim() || "?"}".`);
+        return null;
+      }
+      return {
+        name: name.trim(),
+        role: normalizedRole,
+        digest: crypto.createHash("sha256").update(key).digest()
+      };
+    })
+    .filter(Boolean);
+}
+
 const PORT = Number(process.env.PORT || 8788);
+// Public origin used for canonical URLs, Open Graph tags and feeds.
+const SITE_URL = String(process.env.SITE_URL || "https://www.elevaterealestate.photography").replace(/\/+$/, "");
 const HOST = process.env.HOST || "0.0.0.0";
 const API_BASE = (process.env.ARYEO_API_BASE || "https://api.aryeo.com/v1").replace(/\/$/, "");
 const API_TOKEN = process.env.ARYEO_API_TOKEN || "";
+const ARYEO_MODE = ["live", "fixtures", "record"].includes(String(process.env.ARYEO_MODE || "").toLowerCase())
+  ? String(process.env.ARYEO_MODE).toLowerCase()
+  : "live";
+const ARYEO_FIXTURES_DIR = path.resolve(ROOT_DIR, process.env.ARYEO_FIXTURES_DIR || "api/fixtures/aryeo");
+const ARYEO_TIMEOUT_MS = Math.max(1000, Number(process.env.ARYEO_TIMEOUT_MS || 10000));
+const ARYEO_MAX_RETRIES = Math.max(0, Math.min(5, Number(process.env.ARYEO_MAX_RETRIES ?? 2)));
+const ARYEO_CIRCUIT_FAILURE_THRESHOLD = Math.max(1, Number(process.env.ARYEO_CIRCUIT_FAILURE_THRESHOLD || 5));
+const ARYEO_CIRCUIT_COOLDOWN_SECONDS = Math.max(5, Number(process.env.ARYEO_CIRCUIT_COOLDOWN_SECONDS || 30));
 const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || "";
+const WEBHOOK_SIGNATURE_HEADER = (process.env.WEBHOOK_SIGNATURE_HEADER || "x-webhook-signature").toLowerCase();
+const WEBHOOK_TIMESTAMP_HEADER = (process.env.WEBHOOK_TIMESTAMP_HEADER || "x-webhook-timestamp").toLowerCase();
+const WEBHOOK_TOLERANCE_SECONDS = Math.max(30, Number(process.env.WEBHOOK_TOLERANCE_SECONDS || 300));
+const WEBHOOK_REPLAY_RETENTION_SECONDS = Math.max(WEBHOOK_TOLERANCE_SECONDS * 2, Number(process.env.WEBHOOK_REPLAY_RETENTION_SECONDS || 86400));
+const WEBHOOK_REPLAY_MAX_ENTRIES = 5000;
+const ADMIN_ROLE_RANK = { viewer: 1, admin: 2 };
+const ADMIN_API_KEYS = parseAdminApiKeys(process.env.ADMIN_API_KEYS || "");
+const ADMIN_SESSION_SECRET = process.env.ADMIN_SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+const ADMIN_SESSION_TTL_SECONDS = Math.max(300, Number(process.env.ADMIN_SESSION_TTL_SECONDS || 43200));
+const SHARE_LINK_SECRET = process.env.SHARE_LINK_SECRET || crypto.randomBytes(32).toString("hex");
+const SHARE_LINK_DEFAULT_TTL_DAYS = Math.max(1, Number(process.env.SHARE_LINK_DEFAULT_TTL_DAYS || 30));
+const SHARE_LINK_MAX_TTL_DAYS = Math.max(SHARE_LINK_DEFAULT_TTL_DAYS, Number(process.env.SHARE_LINK_MAX_TTL_DAYS || 365));
+// Set to 0 to require a share token (or an admin login) for /api/shoot instead of a raw order_id.
+const SHOOT_ORDER_ID_ACCESS = process.env.SHOOT_ORDER_ID_ACCESS !== "0";
+// Signs the render time embedded in the website lead form.
+const LEAD_FORM_SECRET = process.env.LEAD_FORM_SECRET || crypto.randomBytes(32).toString("hex");
+// Bots post within a second or two of loading the page; people take longer.
+const LEAD_FORM_MIN_SECONDS = Math.max(0, Number(process.env.LEAD_FORM_MIN_SECONDS ?? 3));
+const LEAD_FORM_MAX_AGE_HOURS = Math.max(1, Number(process.env.LEAD_FORM_MAX_AGE_HOURS || 24));
+const ADMIN_SESSION_COOKIE = "elevate_admin";
+// Number of proxies in front of the server that append to X-Forwarded-For ("true"/"yes" mean 1).
+const TRUST_PROXY_HOPS = (() => {
+  const raw = String(process.env.TRUST_PROXY || "").trim();
+  if (/^(true|yes)$/i.test(raw)) return 1;
+  return Math.max(0, Math.floor(Number(raw) || 0));
+})();
+const RATE_LIMITS = {
+  "order-status": rateLimitFromEnv("RATE_LIMIT_ORDER_STATUS", { burst: 10, perMinute: 20 }),
+  // Upstream order scans are far more expensive than cache hits, so they get their own, tighter bucket.
+  "order-scan": rateLimitFromEnv("RATE_LIMIT_ORDER_SCAN", { burst: 3, perMinute: 6 }),
+  leads: rateLimitFromEnv("RATE_LIMIT_LEADS", { burst: 5, perMinute: 2 }),
+  image: rateLimitFromEnv("RATE_LIMIT_IMAGE", { burst: 120, perMinute: 240 }),
+  "admin-login": rateLimitFromEnv("RATE_LIMIT_ADMIN_LOGIN", { burst: 5, perMinute: 5 })
+};
+const RATE_LIMIT_MAX_BUCKETS = 10000;
+const CORS_ALLOW_HEADERS = ["Content-Type", "Authorization", WEBHOOK_SIGNATURE_HEADER, WEBHOOK_TIMESTAMP_HEADER].join(",");
 const ARYEO_ORDER_INCLUDES = (process.env.ARYEO_ORDER_INCLUDES || "listing,appointments,items,tags")
   .split(",")
   .map((value) => value.trim())
@@ -56,6 +170,119 @@ const ARYEO_ORDER_INCLUDES = (process.env.ARYEO_ORDER_INCLUDES || "listing,appoi
 const SHOOTS_CACHE_TTL_SECONDS = Math.max(60, Number(process.env.SHOOTS_CACHE_TTL_SECONDS || 21600));
 const SHOOTS_CACHE_FETCH_PAGE_SIZE = Math.max(1, Math.min(100, Number(process.env.SHOOTS_CACHE_FETCH_PAGE_SIZE || 100)));
 const SHOOTS_CACHE_MAX_PAGES = Math.max(1, Math.min(10, Number(process.env.SHOOTS_CACHE_MAX_PAGES || 5)));
+const SHOOTS_CACHE_REFRESH_LEAD_SECONDS = Math.max(0, Math.min(SHOOTS_CACHE_TTL_SECONDS - 30, Number(process.env.SHOOTS_CACHE_REFRESH_LEAD_SECONDS || Math.round(SHOOTS_CACHE_TTL_SECONDS * 0.1))));
+const SHOOTS_CACHE_RETRY_BASE_SECONDS = Math.max(5, Number(process.env.SHOOTS_CACHE_RETRY_BASE_SECONDS || 30));
+const SHOOTS_CACHE_RETRY_MAX_SECONDS = Math.max(SHOOTS_CACHE_RETRY_BASE_SECONDS, Number(process.env.SHOOTS_CACHE_RETRY_MAX_SECONDS || 3600));
+const SHOOT_DETAIL_CACHE_MAX_ENTRIES = Math.max(10, Number(process.env.SHOOT_DETAIL_CACHE_MAX_ENTRIES || 200));
+const SHOOT_DETAIL_CACHE_TTL_SECONDS = Math.max(30, Number(process.env.SHOOT_DETAIL_CACHE_TTL_SECONDS || 600));
+const SHOOT_DETAIL_MAX_AGE_SECONDS = Math.max(0, Number(process.env.SHOOT_DETAIL_MAX_AGE_SECONDS || 60));
+const ORDER_INDEX_MIN_REFRESH_SECONDS = Math.max(30, Number(process.env.ORDER_INDEX_MIN_REFRESH_SECONDS || 300));
+// Only Aryeo's media host by default; the fixtures' sample photos come from Unsplash.
+const IMAGE_PROXY_ALLOWED_HOSTS = (process.env.IMAGE_PROXY_ALLOWED_HOSTS || (ARYEO_MODE === "live" ? "cdn.aryeo.com" : "cdn.aryeo.com,images.unsplash.com"))
+  .split(",")
+  .map((value) => value.trim().toLowerCase())
+  .filter(Boolean);
+const IMAGE_PROXY_WIDTHS = (process.env.IMAGE_PROXY_WIDTHS || "320,640,1024,1600")
+  .split(",")
+  .map((value) => Math.floor(Number(value)))
+  .filter((value) => Number.isFinite(value) && value > 0);
+const IMAGE_PROXY_RESIZE_PARAMS = parseResizeParams(process.env.IMAGE_PROXY_RESIZE_PARAMS || "images.unsplash.com:w,imgix.net:w");
+const IMAGE_PROXY_MAX_AGE_SECONDS = Math.max(60, Number(process.env.IMAGE_PROXY_MAX_AGE_SECONDS || 2592000));
+const IMAGE_PROXY_CACHE_MAX_MB = Math.max(10, Number(process.env.IMAGE_PROXY_CACHE_MAX_MB || 500));
+const SHOOT_ZIP_MAX_CONCURRENT = Math.max(1, Number(process.env.SHOOT_ZIP_MAX_CONCURRENT || 2));
+const SHOOT_ZIP_PHOTO_TIMEOUT_MS = Math.max(1000, Number(process.env.SHOOT_ZIP_PHOTO_TIMEOUT_MS || 30000));
+const PHOTO_EXTENSIONS_BY_TYPE = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+  "image/gif": ".gif",
+  "image/avif": ".avif"
+};
+const ORDER_MATCH_MAX_CANDIDATES = 5;
+const ORDER_MATCH_MIN_CONFIDENCE = 0.5;
+const ORDER_MATCH_CLEAR_WINNER_CONFIDENCE = 0.9;
+const ORDER_MATCH_CLEAR_WINNER_MARGIN = 0.15;
+const ADDRESS_TOKEN_ALIASES = {
+  street: "st",
+  str: "st",
+  avenue: "ave",
+  av: "ave",
+  road: "rd",
+  drive: "dr",
+  boulevard: "blvd",
+  lane: "ln",
+  court: "ct",
+  circle: "cir",
+  place: "pl",
+  terrace: "ter",
+  parkway: "pkwy",
+  highway: "hwy",
+  trail: "trl",
+  square: "sq",
+  loop: "lp",
+  point: "pt",
+  north: "n",
+  south: "s",
+  east: "e",
+  west: "w",
+  northeast: "ne",
+  northwest: "nw",
+  southeast: "se",
+  southwest: "sw"
+};
+// State names only fold into their abbreviation right before the ZIP, so "Florida Ave" keeps its name.
+const ADDRESS_STATE_ALIASES = {
+  florida: "fl"
+};
+// Checked most-advanced first; the first stage whose pattern matches an event or status wins.
+const ORDER_TIMELINE_STAGES = [
+  { key: "received", label: "Order received", pattern: /(order[._ ]?(created|placed)|received|\bopen\b|\bnew\b|pending)/ },
+  { key: "scheduled", label: "Shoot scheduled", pattern: /(schedul|confirm|appointment[._ ]?(created|updated|booked))/ },
+  { key: "shot", label: "Photos taken", pattern: /(\bshot\b|captur|appointment[._ ]?complete|shoot[._ ]?complete|editing|in[._ ]?progress)/ },
+  { key: "delivered", label: "Media delivered", pattern: /(deliver|fulfil|order[._ ]?complete|(?<!appointment[._ ])\bcompleted?\b)/ }
+];
+const SITEMAP_STATIC_PAGES = [
+  { file: "index.html", loc: "/" },
+  { file: "portfolio.html", loc: "/portfolio.html" },
+  { file: "order.html", loc: "/order.html" },
+  { file: "status.html", loc: "/status.html" }
+];
+const PRICING_FILE = process.env.PRICING_FILE ? path.resolve(process.env.PRICING_FILE) : DEFAULT_PRICING_FILE;
+// Working hours are the owner's to set, so they live in data/ (or SCHEDULE_FILE); api/schedule.example.json is a template.
+const SCHEDULE_FILE = process.env.SCHEDULE_FILE ? path.resolve(process.env.SCHEDULE_FILE) : path.join(DATA_DIR, "schedule.json");
+// Used for dates and times when no schedule is set up yet.
+const BUSINESS_TIMEZONE = process.env.BUSINESS_TIMEZONE || "America/New_York";
+const NOTIFICATION_TEMPLATES_FILE = process.env.NOTIFICATION_TEMPLATES_FILE
+  ? path.resolve(process.env.NOTIFICATION_TEMPLATES_FILE)
+  : DEFAULT_NOTIFICATION_TEMPLATES_FILE;
+// Transports: NOTIFY_EMAIL_TRANSPORT is smtp or file, NOTIFY_SMS_TRANSPORT is http or file. Unset turns a channel off.
+const NOTIFY_EMAIL_TRANSPORT = String(process.env.NOTIFY_EMAIL_TRANSPORT || "").trim().toLowerCase();
+const NOTIFY_SMS_TRANSPORT = String(process.env.NOTIFY_SMS_TRANSPORT || "").trim().toLowerCase();
+const NOTIFY_EMAIL_FROM = process.env.NOTIFY_EMAIL_FROM || "Elevate Real Estate Photography <notifications@elevaterealestate.photography>";
+const NOTIFY_SMS_FROM = process.env.NOTIFY_SMS_FROM || "";
+const NOTIFY_PHOTOGRAPHER_EMAIL = String(process.env.NOTIFY_PHOTOGRAPHER_EMAIL || "").trim();
+const NOTIFY_PHOTOGRAPHER_PHONE = String(process.env.NOTIFY_PHOTOGRAPHER_PHONE || "").trim();
+const NOTIFY_EVENTS = (process.env.NOTIFY_EVENTS || Object.keys(NOTIFICATION_EVENTS).join(","))
+  .split(",")
+  .map((value) => value.trim())
+  .filter((value) => NOTIFICATION_EVENTS[value]);
+const NOTIFY_FILE_DIR = process.env.NOTIFY_FILE_DIR ? path.resolve(process.env.NOTIFY_FILE_DIR) : path.join(DATA_DIR, "notification-drop");
+const NOTIFY_MAX_ATTEMPTS = Math.max(1, Number(process.env.NOTIFY_MAX_ATTEMPTS || 8));
+const NOTIFY_RETRY_BASE_SECONDS = Math.max(5, Number(process.env.NOTIFY_RETRY_BASE_SECONDS || 60));
+// Subscribers hold signing secrets, so they live in data/ (or WEBHOOK_RELAY_FILE) rather than the repo.
+const WEBHOOK_RELAY_FILE = process.env.WEBHOOK_RELAY_FILE
+  ? path.resolve(process.env.WEBHOOK_RELAY_FILE)
+  : path.join(DATA_DIR, "webhook-subscribers.json");
+const WEBHOOK_RELAY_MAX_ATTEMPTS = Math.max(1, Number(process.env.WEBHOOK_RELAY_MAX_ATTEMPTS || 10));
+const WEBHOOK_RELAY_RETRY_BASE_SECONDS = Math.max(5, Number(process.env.WEBHOOK_RELAY_RETRY_BASE_SECONDS || 30));
+const WEBHOOK_RELAY_TIMEOUT_MS = Math.max(1000, Number(process.env.WEBHOOK_RELAY_TIMEOUT_MS || 10000));
+const NOTIFICATION_EVENT_LABELS = {
+  new_order: "new order alerts",
+  order_scheduled: "shoot confirmations",
+  order_delivered: "photo delivery messages"
+};
+const FEED_MAX_ENTRIES = Math.max(1, Math.min(100, Number(process.env.FEED_MAX_ENTRIES || 20)));
+const ADDRESS_UNIT_DESIGNATORS = new Set(["apt", "apartment", "unit", "suite", "ste", "lot", "bldg", "building", "rm", "room"]);
 
 let shootsCache = {
   updated_at: null,
@@ -63,102 +290,296 @@ let shootsCache = {
   source_count: 0
 };
 let shootsRefreshPromise = null;
+// Webhook patches applied while a full pull runs (order id -> shoot, or null when removed).
+let patchesDuringRefresh = null;
+const shootsRefreshState = {
+  last_error: null,
+  last_error_at: null,
+  consecutive_failures: 0,
+  next_refresh_at: null,
+  timer: null
+};
+let orderIndex = buildOrderIndex([]);
+const shootDetailCache = new Map();
+const shootPatchPromises = new Map();
+// Keyed by order IDs from admin URLs, so no prototype: "__proto__" is just another key.
+let portfolioOverrides = Object.create(null);
+let activeShootZips = 0;
+let webhookDeliveries = new Map();
+const rateLimitBuckets = new Map();
+const webhookStats = {
+  accepted: 0,
+  rejected: 0,
+  rejected_by_reason: {},
+  last_accepted_at: null,
+  last_rejected_at: null,
+  last_rejected_reason: null
+};
 
-function writeJson(res, statusCode, payload) {
+function writeJson(res, statusCode, payload, extraHeaders = {}) {
   res.writeHead(statusCode, {
     "Content-Type": "application/json; charset=utf-8",
     "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Methods": "GET,POST,OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type,x-webhook-secret"
+    "Access-Control-Allow-Methods": "GET,POST,DELETE,OPTIONS",
+    "Access-Control-Allow-Headers": CORS_ALLOW_HEADERS,
+    ...extraHeaders
   });
   res.end(JSON.stringify(payload));
 }
 
+function toHttpDate(value) {
+  const time = new Date(value || "").getTime();
+  return Number.isNaN(time) ? null : new Date(time).toUTCString();
+}
+
+function writeCacheableJson(req, res, payload, { lastModified = null, maxAgeSeconds = 0 } = {}) {
+  const body = JSON.stringify(payload);
+  const etag = `W/"${crypto.createHash("sha1").update(body).digest("base64url")}"`;
+  const lastModifiedHeader = toHttpDate(lastModified);
+  const headers = {
+    "Access-Control-Allow-Origin": "*",
+    "Cache-Control": `public, max-age=${maxAgeSeconds}, must-revalidate`,
+    ETag: etag
+  };
+  if (lastModifiedHeader) headers["Last-Modified"] = lastModifiedHeader;
+
+  // If-None-Match wins over If-Modified-Since when both are sent (RFC 9110).
+  const ifNoneMatch = String(req.headers["if-none-match"] || "");
+  const ifModifiedSince = new Date(req.headers["if-modified-since"] || "").getTime();
+  const notModified = ifNoneMatch
+    ? ifNoneMatch.split(",").map((tag) => tag.trim()).some((tag) => tag === "*" || tag === etag)
+    : Boolean(lastModifiedHeader) && !Number.isNaN(ifModifiedSince) && new Date(lastModifiedHeader).getTime() <= ifModifiedSince;
+
+  if (notModified) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+
+  res.writeHead(200, { ...headers, "Content-Type": "application/json; charset=utf-8" });
+  res.end(req.method === "HEAD" ? undefined : body);
+}
+
 function writeText(res, statusCode, body, contentType = "text/plain; charset=utf-8") {
   res.writeHead(statusCode, { "Content-Type": contentType });
   res.end(body);
 }
 
-function readBody(req) {
+function readRawBody(req) {
   return new Promise((resolve, reject) => {
-    let data = "";
+    const chunks = [];
+    let size = 0;
     req.on("data", (chunk) => {
-      data += chunk;
-      if (data.length > 2_000_000) {
+      chunks.push(chunk);
+      size += chunk.length;
+      if (size > 2_000_000) {
         reject(new Error("Request body too large"));
       }
     });
-    req.on("end", () => resolve(data));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
     req.on("error", reject);
   });
 }
 
-function getAuthHeaders() {
-  return {
-    Authorization: `Bearer ${API_TOKEN}`,
-    Accept: "application/json"
-  };
+function getClientIp(req) {
+  if (TRUST_PROXY_HOPS) {
+    // Clients can put anything on the left, so count in from the right past our own proxies.
+    const forwarded = String(req.headers["x-forwarded-for"] || "").split(",").map((entry) => entry.trim()).filter(Boolean);
+    if (forwarded.length) return forwarded[Math.max(0, forwarded.length - TRUST_PROXY_HOPS)];
+  }
+  return req.socket?.remoteAddress || "unknown";
 }
 
-async function fetchAryeo(resource, searchParams = {}) {
-  if (!API_TOKEN) {
-    throw new Error("Missing ARYEO_API_TOKEN. Add it to your environment before calling Aryeo.");
-  }
+function takeRateLimitToken(routeKey, clientIp) {
+  const limit = RATE_LIMITS[routeKey];
+  if (!limit) return { allowed: true, retryAfterSeconds: 0 };
 
-  const url = new URL(`${API_BASE}${resource}`);
-  Object.entries(searchParams).forEach(([key, value]) => {
-    if (value !== undefined && value !== null && value !== "") {
-      url.searchParams.set(key, String(value));
-    }
-  });
+  const bucketKey = `${routeKey}:${clientIp}`;
+  const refillPerMs = limit.perMinute / 60000;
+  const now = Date.now();
+  const bucket = rateLimitBuckets.get(bucketKey) || { tokens: limit.burst, updatedAt: now };
 
-  const response = await fetch(url, {
-    headers: getAuthHeaders()
-  });
+  bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+  bucket.updatedAt = now;
+
+  // Re-insert so the Map stays ordered by last use and eviction drops idle clients first.
+  rateLimitBuckets.delete(bucketKey);
+  rateLimitBuckets.set(bucketKey, bucket);
+  if (rateLimitBuckets.size > RATE_LIMIT_MAX_BUCKETS) {
+    rateLimitBuckets.delete(rateLimitBuckets.keys().next().value);
+  }
 
-  if (!response.ok) {
-    const errText = await response.text();
-    throw new Error(`Aryeo API ${response.status}: ${errText.slice(0, 300)}`);
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return { allowed: true, retryAfterSeconds: 0 };
   }
+  return { allowed: false, retryAfterSeconds: Math.max(1, Math.ceil((1 - bucket.tokens) / refillPerMs / 1000)) };
+}
 
-  return response.json();
+function enforceRateLimit(req, res, routeKey) {
+  const clientIp = getClientIp(req);
+  const result = takeRateLimitToken(routeKey, clientIp);
+  if (result.allowed) return true;
+
+  console.warn(`Rate limit hit for ${routeKey} from ${clientIp}`);
+  writeJson(res, 429, {
+    error: "Too many requests. Please wait a moment and try again.",
+    retry_after_seconds: result.retryAfterSeconds
+  }, { "Retry-After": String(result.retryAfterSeconds) });
+  return false;
 }
 
-async function fetchAryeoWithIncludeFallback(resource, searchParams = {}, fallbackIncludes = []) {
-  const params = { ...searchParams };
-  const includeCandidates = [];
+function sweepRateLimitBuckets() {
+  const now = Date.now();
+  for (const [bucketKey, bucket] of rateLimitBuckets) {
+    const limit = RATE_LIMITS[bucketKey.split(":")[0]];
+    const refilled = limit && bucket.tokens + (now - bucket.updatedAt) * (limit.perMinute / 60000) >= limit.burst;
+    if (!limit || refilled) rateLimitBuckets.delete(bucketKey);
+  }
+}
 
-  if (typeof params.include === "string" && params.include.trim()) {
-    includeCandidates.push(params.include.trim());
+async function readJsonBody(req) {
+  const raw = await readRawBody(req);
+  if (!raw.length) return {};
+  try {
+    return JSON.parse(raw.toString("utf8"));
+  } catch {
+    return null;
   }
-  fallbackIncludes.forEach((candidate) => {
-    if (typeof candidate === "string" && candidate.trim()) {
-      includeCandidates.push(candidate.trim());
-    }
+}
+
+// Parses an application/x-www-form-urlencoded body; repeated keys become lists.
+async function readFormBody(req) {
+  const raw = await readRawBody(req);
+  const fields = {};
+  new URLSearchParams(raw.toString("utf8")).forEach((value, key) => {
+    fields[key] = key in fields ? [].concat(fields[key], value) : value;
   });
-  includeCandidates.push("");
+  return fields;
+}
 
-  let lastError;
-  for (const includeValue of includeCandidates) {
-    try {
-      const nextParams = { ...params };
-      if (includeValue) {
-        nextParams.include = includeValue;
-      } else {
-        delete nextParams.include;
-      }
-      return await fetchAryeo(resource, nextParams);
-    } catch (error) {
-      lastError = error;
-      const message = String(error?.message || "");
-      const includeRejected = message.includes("Requested include(s)") || message.includes("not allowed");
-      if (!includeRejected || !includeValue) {
-        throw error;
-      }
+function aryeoFetchForMode() {
+  if (ARYEO_MODE === "fixtures") return createFixtureFetch(ARYEO_FIXTURES_DIR);
+  if (ARYEO_MODE === "record") return createRecordingFetch(ARYEO_FIXTURES_DIR);
+  return undefined;
+}
+
+const aryeoClient = createAryeoClient({
+  apiBase: API_BASE,
+  // Fixture mode never leaves the machine, so it needs no real token.
+  apiToken: ARYEO_MODE === "fixtures" ? "fixtures" : API_TOKEN,
+  fetchImpl: aryeoFetchForMode(),
+  timeoutMs: ARYEO_TIMEOUT_MS,
+  maxRetries: ARYEO_MAX_RETRIES,
+  circuitFailureThreshold: ARYEO_CIRCUIT_FAILURE_THRESHOLD,
+  circuitCooldownMs: ARYEO_CIRCUIT_COOLDOWN_SECONDS * 1000
+});
+
+const imageProxy = createImageProxy({
+  cacheDir: IMAGE_CACHE_DIR,
+  allowedHosts: IMAGE_PROXY_ALLOWED_HOSTS,
+  widths: IMAGE_PROXY_WIDTHS,
+  resizeParams: IMAGE_PROXY_RESIZE_PARAMS,
+  maxCacheBytes: IMAGE_PROXY_CACHE_MAX_MB * 1024 * 1024
+});
+
+function notificationTransport(channel, kind) {
+  if (!kind) return null;
+  try {
+    if (kind === "file") {
+      return createFileTransport({ dir: NOTIFY_FILE_DIR, from: channel === "email" ? NOTIFY_EMAIL_FROM : NOTIFY_SMS_FROM });
+    }
+    if (channel === "email" && kind === "smtp") {
+      return createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT || 587),
+        secure: /^(1|true|yes)$/i.test(String(process.env.SMTP_SECURE || "")),
+        user: process.env.SMTP_USER || "",
+        pass: process.env.SMTP_PASS || "",
+        from: NOTIFY_EMAIL_FROM,
+        allowInsecureAuth: /^(1|true|yes)$/i.test(String(process.env.SMTP_ALLOW_INSECURE_AUTH || ""))
+      });
+    }
+    if (channel === "sms" && kind === "http") {
+      return createHttpSmsTransport({
+        url: process.env.SMS_GATEWAY_URL,
+        token: process.env.SMS_GATEWAY_TOKEN || "",
+        from: NOTIFY_SMS_FROM
+      });
     }
+    console.warn(`Ignoring unknown ${channel} notification transport "${kind}".`);
+  } catch (error) {
+    console.warn(`Disabling ${channel} notifications: ${error.message}`);
+  }
+  return null;
+}
+
+const notificationTransports = {
+  email: notificationTransport("email", NOTIFY_EMAIL_TRANSPORT),
+  sms: notificationTransport("sms", NOTIFY_SMS_TRANSPORT)
+};
+const notificationOptOuts = createOptOutStore(NOTIFICATION_OPT_OUTS_FILE);
+const notificationOutbox = createOutbox({
+  file: NOTIFICATION_OUTBOX_FILE,
+  transports: notificationTransports,
+  expandEvent: expandOrderNotifications,
+  isOptedOut: notificationOptOuts.isOptedOut,
+  maxAttempts: NOTIFY_MAX_ATTEMPTS,
+  retryBaseMs: NOTIFY_RETRY_BASE_SECONDS * 1000
+});
+
+// Read per use so hours can be edited without a restart. Null until a schedule is set up; a broken file
+// is logged and treated the same.
+function readSchedule() {
+  try {
+    return loadSchedule(SCHEDULE_FILE);
+  } catch (error) {
+    if (error.code !== "ENOENT") console.error(`Schedule unavailable: ${error.message}`);
+    return null;
+  }
+}
+
+function businessTimeZone() {
+  return readSchedule()?.timezone || BUSINESS_TIMEZONE;
+}
+
+// Read per use so subscribers can be edited without a restart; a broken file relays nothing.
+function relaySubscribers() {
+  try {
+    return loadSubscribers(WEBHOOK_RELAY_FILE);
+  } catch (error) {
+    console.error(`Webhook relay subscribers unavailable: ${error.message}`);
+    return [];
   }
+}
+
+const webhookRelay = createWebhookRelay({
+  file: WEBHOOK_RELAY_QUEUE_FILE,
+  getSubscribers: relaySubscribers,
+  maxAttempts: WEBHOOK_RELAY_MAX_ATTEMPTS,
+  retryBaseMs: WEBHOOK_RELAY_RETRY_BASE_SECONDS * 1000,
+  timeoutMs: WEBHOOK_RELAY_TIMEOUT_MS
+});
 
-  throw lastError || new Error("Aryeo request failed");
+function fetchAryeoWithIncludeFallback(resource, searchParams = {}, fallbackIncludes = []) {
+  return aryeoClient.requestWithIncludeFallback(resource, searchParams, fallbackIncludes);
+}
+
+function writeAryeoError(res, error) {
+  const retryAfterSeconds = error.retryAfterMs ? Math.max(1, Math.ceil(error.retryAfterMs / 1000)) : null;
+  const headers = retryAfterSeconds ? { "Retry-After": String(retryAfterSeconds) } : {};
+  let statusCode = 502;
+  if (error instanceof AryeoTimeoutError) statusCode = 504;
+  if (error instanceof AryeoConfigError || error instanceof AryeoCircuitOpenError || error instanceof AryeoRateLimitError) statusCode = 503;
+
+  writeJson(res, statusCode, {
+    error: error instanceof AryeoConfigError ? error.message : "Aryeo is not responding right now. Please try again shortly.",
+    upstream: {
+      code: error.code,
+      status: error.status
+    },
+    ...(retryAfterSeconds ? { retry_after_seconds: retryAfterSeconds } : {})
+  }, headers);
 }
 
 function normalizeAddress(raw) {
@@ -320,6 +741,17 @@ function sanitizeShootMedia(shoot) {
   };
 }
 
+function normalizeAppointments(order) {
+  const appointments = Array.isArray(order?.appointments) ? order.appointments : (order?.appointment ? [order.appointment] : []);
+  return appointments
+    .map((appointment) => ({
+      start_at: appointment?.start_at || appointment?.scheduled_at || appointment?.start_time || appointment?.starts_at || null,
+      end_at: appointment?.end_at || appointment?.end_time || appointment?.ends_at || null,
+      status: appointment?.status || null
+    }))
+    .filter((appointment) => appointment.start_at);
+}
+
 function normalizeShoot(order) {
   const listing = order?.listing || order?.property || {};
   const appointment = Array.isArray(order?.appointments) && order.appointments.length ? order.appointments[0] : order?.appointment || {};
@@ -339,9 +771,11 @@ function normalizeShoot(order) {
     .slice(0, 24);
   return sanitizeShootMedia({
     id: order?.id || order?.uuid || "unknown",
+    identifiers: collectOrderIdentifiers(order),
     address: normalizeAddress(listing?.address || order?.address || listing),
     status: order?.status || order?.state || "Unknown",
     scheduled_at: scheduledAt,
+    appointments: normalizeAppointments(order),
     created_at: order?.created_at || null,
     updated_at: order?.updated_at || null,
     thumbnail_url: pickImage(order),
@@ -379,17 +813,386 @@ function appendPipelineEvent(eventObj) {
   fs.appendFileSync(PIPELINE_FILE, `${JSON.stringify(eventObj)}\n`, "utf8");
 }
 
-function readPipelineEvents(limit = 200) {
+function parsePipelineLine(line) {
+  try {
+    return JSON.parse(line);
+  } catch {
+    return { parse_error: true, raw: line };
+  }
+}
+
+// With a filter every line is parsed so the limit applies to matching events, not the file tail.
+function readPipelineEvents(limit = 200, filter = null) {
   if (!fs.existsSync(PIPELINE_FILE)) return [];
   const lines = fs.readFileSync(PIPELINE_FILE, "utf8").trim().split("\n").filter(Boolean);
-  const sliced = lines.slice(-Math.max(1, Math.min(limit, 1000)));
-  return sliced.map((line) => {
+  const cap = Math.max(1, Math.min(limit, 1000));
+  if (!filter) return lines.slice(-cap).map(parsePipelineLine).reverse();
+  return lines.map(parsePipelineLine).filter(filter).slice(-cap).reverse();
+}
+
+function readAllPipelineEvents() {
+  if (!fs.existsSync(PIPELINE_FILE)) return [];
+  return fs.readFileSync(PIPELINE_FILE, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map(parsePipelineLine)
+    .filter((eventObj) => !eventObj.parse_error);
+}
+
+// type matches as a prefix ("order." covers every order event); q searches address and order id.
+// Webhook events predate the source field, so a missing source counts as "aryeo".
+// q runs against what the caller may see, so redacted callers can't probe masked addresses.
+function pipelineEventFilter(searchParams, { fullAccess = false } = {}) {
+  const type = String(searchParams.get("type") || "").trim().toLowerCase();
+  const source = String(searchParams.get("source") || "").trim().toLowerCase();
+  const query = String(searchParams.get("q") || "").trim().toLowerCase();
+  if (!type && !source && !query) return null;
+
+  return (eventObj) => {
+    if (type && !String(eventObj.event_type || "").toLowerCase().startsWith(type)) return false;
+    if (source && String(eventObj.source || "aryeo").toLowerCase() !== source) return false;
+    if (query) {
+      const visible = fullAccess ? eventObj : redactPipelineEvent(eventObj);
+      if (![visible.address, visible.order_id, visible.order_ref].some((value) => String(value || "").toLowerCase().includes(query))) return false;
+    }
+    return true;
+  };
+}
+
+function readPipelineEventsForOrder(orderId) {
+  if (!orderId || !fs.existsSync(PIPELINE_FILE)) return [];
+  const needle = String(orderId);
+  return fs.readFileSync(PIPELINE_FILE, "utf8")
+    .split("\n")
+    // Cheap substring check first so only relevant lines are parsed.
+    .filter((line) => line && line.includes(needle))
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter((eventObj) => eventObj && String(eventObj.order_id) === needle)
+    .sort((a, b) => new Date(a.received_at).getTime() - new Date(b.received_at).getTime());
+}
+
+function findAdminApiKey(providedKey) {
+  if (!providedKey) return null;
+  const providedDigest = crypto.createHash("sha256").update(String(providedKey)).digest();
+  // Compare every key so the response time does not reveal which entry matched.
+  let match = null;
+  ADMIN_API_KEYS.forEach((entry) => {
+    if (crypto.timingSafeEqual(entry.digest, providedDigest)) match = entry;
+  });
+  return match;
+}
+
+function parseCookies(req) {
+  const cookies = {};
+  String(req.headers.cookie || "").split(";").forEach((pair) => {
+    const splitIndex = pair.indexOf("=");
+    if (splitIndex <= 0) return;
+    const key = pair.slice(0, splitIndex).trim();
+    const value = pair.slice(splitIndex + 1).trim();
     try {
-      return JSON.parse(line);
+      cookies[key] = decodeURIComponent(value);
     } catch {
-      return { parse_error: true, raw: line };
+      cookies[key] = value;
+    }
+  });
+  return cookies;
+}
+
+function signAdminSession(session) {
+  const body = Buffer.from(JSON.stringify(session)).toString("base64url");
+  const signature = crypto.createHmac("sha256", ADMIN_SESSION_SECRET).update(body).digest("base64url");
+  return `${body}.${signature}`;
+}
+
+function verifyAdminSession(token) {
+  const [body, signature] = String(token || "").split(".");
+  if (!body || !signature) return null;
+
+  const expected = Buffer.from(crypto.createHmac("sha256", ADMIN_SESSION_SECRET).update(body).digest("base64url"));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) return null;
+
+  let session;
+  try {
+    session = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+  if (!session || !ADMIN_ROLE_RANK[session.role]) return null;
+  if (!Number.isFinite(session.exp) || session.exp * 1000 < Date.now()) return null;
+  return session;
+}
+
+function buildAdminSessionCookie(req, value, maxAgeSeconds) {
+  const secure = req.socket?.encrypted || String(req.headers["x-forwarded-proto"] || "").split(",")[0].trim() === "https";
+  return [
+    `${ADMIN_SESSION_COOKIE}=${encodeURIComponent(value)}`,
+    "Path=/",
+    "HttpOnly",
+    "SameSite=Strict",
+    `Max-Age=${maxAgeSeconds}`,
+    secure ? "Secure" : ""
+  ].filter(Boolean).join("; ");
+}
+
+function signShareToken(orderId, expiresAtSeconds) {
+  const body = Buffer.from(JSON.stringify({ order_id: orderId, exp: expiresAtSeconds })).toString("base64url");
+  const signature = crypto.createHmac("sha256", SHARE_LINK_SECRET).update(`share.${body}`).digest("base64url");
+  return `${body}.${signature}`;
+}
+
+// Returns { order_id, exp, expired } for a correctly signed token, or null.
+function verifyShareToken(token) {
+  const [body, signature] = String(token || "").split(".");
+  if (!body || !signature) return null;
+
+  const expected = Buffer.from(crypto.createHmac("sha256", SHARE_LINK_SECRET).update(`share.${body}`).digest("base64url"));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+  if (!claims || typeof claims.order_id !== "string" || !Number.isFinite(claims.exp)) return null;
+  return { ...claims, expired: claims.exp * 1000 < Date.now() };
+}
+
+// Portfolio tokens expire at the end of the next UTC day, so they stay stable between page loads.
+function portfolioShareToken(orderId) {
+  const daySeconds = 86400;
+  const expiresAt = (Math.floor(Date.now() / 1000 / daySeconds) + 2) * daySeconds;
+  return signShareToken(orderId, expiresAt);
+}
+
+// Works out which order a shoot request is for, from ?token= or (when allowed) ?order_id=.
+// Returns { orderId, viaToken } or { status, error }.
+function checkShootAccess(req, url) {
+  const token = url.searchParams.get("token");
+  if (token) {
+    const claims = verifyShareToken(token);
+    if (!claims) return { status: 403, error: "This share link is not valid" };
+    if (claims.expired) return { status: 410, error: "This share link has expired" };
+    return { orderId: claims.order_id, viaToken: true };
+  }
+
+  const orderId = url.searchParams.get("order_id");
+  if (!orderId) return { status: 400, error: "Missing required query param: token or order_id" };
+  const isViewer = hasAdminRole(getAdminAuth(req), "viewer");
+  if (!SHOOT_ORDER_ID_ACCESS && !isViewer) {
+    return { status: 403, error: "Shoot pages require a share link" };
+  }
+  // Hidden orders still open from share links, just not from a public order ID.
+  if (isHiddenOrder(orderId) && !isViewer) return { status: 404, error: "Shoot not found" };
+  return { orderId, viaToken: false };
+}
+
+// Writes the error response and returns null when access is denied.
+function resolveShootAccess(req, res, url) {
+  const access = checkShootAccess(req, url);
+  if (access.error) {
+    writeJson(res, access.status, { error: access.error });
+    return null;
+  }
+  return access.orderId;
+}
+
+function getAdminAuth(req) {
+  const authorization = String(req.headers.authorization || "");
+  const bearerMatch = authorization.match(/^Bearer\s+(.+)$/i);
+  if (bearerMatch) {
+    const key = findAdminApiKey(bearerMatch[1].trim());
+    return key ? { name: key.name, role: key.role, via: "api_key" } : null;
+  }
+
+  const session = verifyAdminSession(parseCookies(req)[ADMIN_SESSION_COOKIE]);
+  if (session) return { name: session.name, role: session.role, via: "session" };
+  return null;
+}
+
+function hasAdminRole(auth, role) {
+  return Boolean(auth) && (ADMIN_ROLE_RANK[auth.role] || 0) >= (ADMIN_ROLE_RANK[role] || Infinity);
+}
+
+function requireAdmin(req, res, role = "admin") {
+  const auth = getAdminAuth(req);
+  if (!auth) {
+    writeJson(res, 401, { error: "Admin authentication required" }, { "WWW-Authenticate": "Bearer" });
+    return null;
+  }
+  if (!hasAdminRole(auth, role)) {
+    writeJson(res, 403, { error: `This action requires the ${role} role` });
+    return null;
+  }
+  return auth;
+}
+
+function maskEmail(value) {
+  const [local, domain] = String(value).split("@");
+  if (!domain) return "***";
+  return `${local.slice(0, 1)}***@${domain}`;
+}
+
+function maskPhone(value) {
+  const digits = String(value).replace(/\D/g, "");
+  return digits.length >= 4 ? `***-***-${digits.slice(-4)}` : "***";
+}
+
+function maskName(value) {
+  return String(value)
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((part) => `${part.slice(0, 1)}.`)
+    .join(" ");
+}
+
+function maskAddress(value) {
+  const parts = String(value).split(",").map((part) => part.trim()).filter(Boolean);
+  // Keep city/state/ZIP for context but hide the street line.
+  if (parts.length <= 1) return "Address hidden";
+  return ["***", ...parts.slice(1)].join(", ");
+}
+
+// Stable per order so redacted events can still be grouped, but useless as an /api/shoot key.
+function redactedOrderRef(orderId) {
+  return crypto.createHmac("sha256", ADMIN_SESSION_SECRET).update(`order-ref.${orderId}`).digest("hex").slice(0, 12);
+}
+
+function redactPipelineEvent(eventObj) {
+  if (!eventObj || typeof eventObj !== "object") return eventObj;
+  // Free-text lead messages can hold anything, so only admins see them. Order IDs open the
+  // full shoot through /api/shoot, so they are swapped for an opaque reference.
+  const { raw, message, order_id: orderId, ...rest } = eventObj;
+  if (orderId) rest.order_ref = redactedOrderRef(orderId);
+  const maskers = {
+    address: maskAddress,
+    email: maskEmail,
+    phone: maskPhone,
+    name: maskName
+  };
+
+  Object.entries(maskers).forEach(([field, mask]) => {
+    if (typeof rest[field] === "string" && rest[field]) {
+      rest[field] = mask(rest[field]);
     }
-  }).reverse();
+  });
+  return { ...rest, redacted: true };
+}
+
+async function handleAdminLogin(req, res) {
+  const body = await readJsonBody(req);
+  if (!body) {
+    writeJson(res, 400, { error: "Invalid JSON body" });
+    return;
+  }
+
+  const key = findAdminApiKey(String(body.api_key || "").trim());
+  if (!key) {
+    console.warn(`Admin login failed from ${getClientIp(req)}`);
+    writeJson(res, 401, { error: "Invalid API key" });
+    return;
+  }
+
+  const session = {
+    name: key.name,
+    role: key.role,
+    exp: Math.floor(Date.now() / 1000) + ADMIN_SESSION_TTL_SECONDS
+  };
+  writeJson(res, 200, { ok: true, name: key.name, role: key.role }, {
+    "Set-Cookie": buildAdminSessionCookie(req, signAdminSession(session), ADMIN_SESSION_TTL_SECONDS)
+  });
+}
+
+function handleAdminLogout(req, res) {
+  writeJson(res, 200, { ok: true }, {
+    "Set-Cookie": buildAdminSessionCookie(req, "", 0)
+  });
+}
+
+function handlePipelineLeads(req, res, url) {
+  const limit = Number(url.searchParams.get("limit") || 200);
+  const auth = getAdminAuth(req);
+  const fullAccess = hasAdminRole(auth, "admin");
+  const events = readPipelineEvents(limit, pipelineEventFilter(url.searchParams, { fullAccess }));
+
+  writeJson(res, 200, {
+    events: fullAccess ? events : events.map((eventObj) => redactPipelineEvent(eventObj)),
+    count: events.length,
+    redacted: !fullAccess
+  });
+}
+
+// The funnel only has three steps, so "shot" counts as scheduled.
+function pipelineFunnelStep(eventObj) {
+  const stage = ORDER_TIMELINE_STAGES[classifyTimelineStage(`${eventObj.event_type || ""} ${eventObj.status || ""}`)]?.key;
+  if (stage === "received") return "created";
+  if (stage === "scheduled" || stage === "shot") return "scheduled";
+  return stage === "delivered" ? "delivered" : null;
+}
+
+function pipelineCity(address) {
+  return parseAddressParts(address).city;
+}
+
+// Dates are read in the business timezone.
+function pipelineRange(url) {
+  const timeZone = businessTimeZone();
+  const range = resolveRange({
+    from: url.searchParams.get("from") || undefined,
+    to: url.searchParams.get("to") || undefined,
+    timeZone
+  });
+  return range.error ? range : { ...range, timeZone };
+}
+
+function handlePipelineStats(req, res, url) {
+  if (!requireAdmin(req, res, "viewer")) return;
+  const interval = url.searchParams.get("interval") || "day";
+  if (!["day", "week"].includes(interval)) {
+    writeJson(res, 400, { error: "interval must be day or week" });
+    return;
+  }
+  const range = pipelineRange(url);
+  if (range.error) {
+    writeJson(res, 400, { error: range.error });
+    return;
+  }
+
+  writeJson(res, 200, computePipelineStats(readAllPipelineEvents(), {
+    ...range,
+    interval,
+    stageOf: pipelineFunnelStep,
+    cityOf: pipelineCity
+  }));
+}
+
+// Same redaction rules as /api/pipeline/leads: only admins get contact details and messages.
+function handlePipelineExport(req, res, url) {
+  const auth = requireAdmin(req, res, "viewer");
+  if (!auth) return;
+  const range = pipelineRange(url);
+  if (range.error) {
+    writeJson(res, 400, { error: range.error });
+    return;
+  }
+
+  const fullAccess = hasAdminRole(auth, "admin");
+  const events = eventsInRange(readAllPipelineEvents(), range)
+    .map((eventObj) => (fullAccess ? eventObj : redactPipelineEvent(eventObj)));
+  res.writeHead(200, {
+    "Content-Type": "text/csv; charset=utf-8",
+    "Content-Disposition": `attachment; filename="pipeline-${range.from}-to-${range.to}.csv"`,
+    "Cache-Control": "no-store"
+  });
+  res.end(pipelineEventsToCsv(events, { cityOf: pipelineCity }));
 }
 
 function isBlockedStaticPath(pathname) {
@@ -440,282 +1243,1913 @@ function serveStatic(req, res, pathname) {
   return true;
 }
 
-function loadShootsCache() {
-  if (!fs.existsSync(SHOOTS_CACHE_FILE)) return;
-  try {
-    const parsed = JSON.parse(fs.readFileSync(SHOOTS_CACHE_FILE, "utf8"));
-    if (!parsed || !Array.isArray(parsed.shoots)) return;
-    shootsCache = {
-      updated_at: parsed.updated_at || null,
-      shoots: parsed.shoots,
-      source_count: Number(parsed.source_count || parsed.shoots.length || 0)
-    };
-  } catch {
-    // Ignore corrupted cache; a fresh pull will rebuild it.
-  }
+function readPageTemplate(fileName) {
+  return fs.readFileSync(path.join(ROOT_DIR, fileName), "utf8");
 }
 
-function saveShootsCache(nextCache) {
-  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
-  fs.writeFileSync(SHOOTS_CACHE_FILE, JSON.stringify(nextCache, null, 2), "utf8");
+function writeHtml(req, res, html, statusCode = 200) {
+  res.writeHead(statusCode, {
+    "Content-Type": "text/html; charset=utf-8",
+    "Cache-Control": "no-cache, must-revalidate"
+  });
+  res.end(req.method === "HEAD" ? undefined : html);
 }
 
-function shootsCacheAgeMs() {
-  if (!shootsCache.updated_at) return Number.POSITIVE_INFINITY;
-  const updatedAtMs = new Date(shootsCache.updated_at).getTime();
-  if (Number.isNaN(updatedAtMs)) return Number.POSITIVE_INFINITY;
-  return Date.now() - updatedAtMs;
+// leadForm carries the values and errors of a rejected form post made without JS.
+function serveHomePage(req, res, { leadForm = {}, statusCode = 200 } = {}) {
+  const pricing = loadPricing(PRICING_FILE);
+  const url = new URL(req.url, "http://localhost");
+  const status = url.searchParams.get("lead") === "sent"
+    ? "Thanks! Your request is in. We typically reply within 48 hours."
+    : leadForm.status;
+  writeHtml(req, res, renderHomePage(readPageTemplate("index.html"), {
+    photoTiers: photoTierRows(pricing),
+    addOns: pricing.add_ons,
+    note: pricing.note,
+    leadForm: { ...leadForm, status, token: createFormToken(LEAD_FORM_SECRET) }
+  }), statusCode);
 }
 
-function isShootsCacheFresh() {
-  return shootsCacheAgeMs() <= SHOOTS_CACHE_TTL_SECONDS * 1000;
+function requestPageUrl(req) {
+  return `${SITE_URL}${req.url}`;
 }
 
-async function fetchLatestShoots() {
-  const ordersById = new Map();
-
-  for (let page = 1; page <= SHOOTS_CACHE_MAX_PAGES; page += 1) {
-    const payload = await fetchAryeoWithIncludeFallback("/orders", {
-      page,
-      page_size: SHOOTS_CACHE_FETCH_PAGE_SIZE,
-      include: ARYEO_ORDER_INCLUDES
-    }, ["listing,appointments,items", "listing,appointments"]);
-
-    const items = payload?.data || payload?.orders || payload?.results || [];
-    if (!items.length) break;
+// Pre-renders the first page of the portfolio from the shoots cache; script.js takes over from there.
+function servePortfolioPage(req, res, url) {
+  const filters = parseShootFilters(url);
+  const matching = listedShoots()
+    .filter((shoot) => shootMatchesFilters(shoot, filters))
+    .sort(compareShootsForListing);
+  const shoots = matching.slice(0, 24).map((shoot) => {
+    const media = sanitizeShootMedia(shoot);
+    return SHOOT_ORDER_ID_ACCESS ? media : { ...media, share_token: portfolioShareToken(shoot.id) };
+  });
 
-    items.forEach((order) => {
-      const normalized = normalizeShoot(order);
-      ordersById.set(normalized.id, normalized);
-    });
+  writeHtml(req, res, renderPortfolioPage(readPageTemplate("portfolio.html"), {
+    shoots,
+    total: matching.length,
+    siteUrl: SITE_URL,
+    pageUrl: requestPageUrl(req)
+  }));
+}
 
-    if (items.length < SHOOTS_CACHE_FETCH_PAGE_SIZE) break;
+// Renders shoot.html from the shoots cache only. Unknown or denied orders get the plain
+// template, and script.js reports the error from /api/shoot.
+function serveShootPage(req, res, url) {
+  const access = checkShootAccess(req, url);
+  const cachedShoot = access.orderId ? orderIndex.entries.get(access.orderId)?.shoot : null;
+  const curated = cachedShoot ? applyShootOverrides(cachedShoot) : null;
+  const template = readPageTemplate("shoot.html");
+  if (!curated) {
+    writeHtml(req, res, template);
+    return;
   }
 
-  const sortedShoots = [...ordersById.values()]
+  writeHtml(req, res, renderShootPage(template, {
+    shoot: sanitizeShootMedia(curated),
+    siteUrl: SITE_URL,
+    noindex: access.viaToken || isHiddenOrder(access.orderId),
+    orderIdAccess: SHOOT_ORDER_ID_ACCESS
+  }));
+}
+
+function writeXml(req, res, body, contentType) {
+  res.writeHead(200, {
+    "Content-Type": contentType,
+    "Cache-Control": "public, max-age=300"
+  });
+  res.end(req.method === "HEAD" ? undefined : body);
+}
+
+function publicShootUrl(shoot) {
+  return `${SITE_URL}/shoot.html?order_id=${encodeURIComponent(shoot.id)}`;
+}
+
+function serveSitemap(req, res) {
+  const urls = SITEMAP_STATIC_PAGES.map((page) => {
+    const filePath = path.join(ROOT_DIR, page.file);
+    return { loc: `${SITE_URL}${page.loc}`, lastmod: fs.existsSync(filePath) ? fs.statSync(filePath).mtime : null };
+  });
+  // Shoot pages only have stable public URLs while raw order IDs are allowed.
+  if (SHOOT_ORDER_ID_ACCESS) {
+    listedShoots()
+      .sort(compareShootsForListing)
+      .forEach((shoot) => urls.push({ loc: publicShootUrl(shoot), lastmod: shootLastModified(shoot) }));
+  }
+  writeXml(req, res, renderSitemap(urls), "application/xml; charset=utf-8");
+}
+
+function serveRobots(req, res) {
+  writeXml(req, res, renderRobots({
+    siteUrl: SITE_URL,
+    allow: ["/api/image"],
+    disallow: ["/api/", "/admin.html"]
+  }), "text/plain; charset=utf-8");
+}
+
+function isDeliveredShoot(shoot) {
+  return ORDER_TIMELINE_STAGES[classifyTimelineStage(shoot.status)]?.key === "delivered";
+}
+
+// Feeds only name an order where its order_id page is public. Otherwise entries get an opaque
+// stable id and the same rotating share link as the portfolio cards.
+function feedEntryLinks(shoot) {
+  if (SHOOT_ORDER_ID_ACCESS) return { id: `${SITE_URL}/shoots/${shoot.id}`, url: publicShootUrl(shoot) };
+  return {
+    id: `${SITE_URL}/shoots/${redactedOrderRef(shoot.id)}`,
+    url: `${SITE_URL}/shoot.html?token=${encodeURIComponent(portfolioShareToken(shoot.id))}`
+  };
+}
+
+function recentDeliveredFeedEntries() {
+  return listedShoots()
+    .filter(isDeliveredShoot)
+    .map((shoot) => ({ shoot: sanitizeShootMedia(shoot), updated: shootLastModified(shoot) || shoot.scheduled_at }))
+    .sort((a, b) => (new Date(b.updated).getTime() || 0) - (new Date(a.updated).getTime() || 0))
+    .slice(0, FEED_MAX_ENTRIES)
+    .map(({ shoot, updated }) => {
+      const photoCount = [shoot.thumbnail_url, ...shoot.photos].filter(Boolean).length;
+      return {
+        ...feedEntryLinks(shoot),
+        title: shootTitle(shoot),
+        updated,
+        summary: `${photoCount} photo${photoCount === 1 ? "" : "s"} delivered for ${shoot.address || shootTitle(shoot)}.`,
+        image: shoot.thumbnail_url || null
+      };
+    });
+}
+
+function serveFeed(req, res, format) {
+  const feed = { siteUrl: SITE_URL, entries: recentDeliveredFeedEntries() };
+  if (format === "rss") {
+    writeXml(req, res, renderRssFeed(feed), "application/rss+xml; charset=utf-8");
+  } else {
+    writeXml(req, res, renderAtomFeed(feed), "application/atom+xml; charset=utf-8");
+  }
+}
+
+function setShootsCache(nextCache) {
+  shootsCache = nextCache;
+  orderIndex = buildOrderIndex(nextCache.shoots);
+}
+
+function loadShootsCache() {
+  if (!fs.existsSync(SHOOTS_CACHE_FILE)) return;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(SHOOTS_CACHE_FILE, "utf8"));
+    if (!parsed || !Array.isArray(parsed.shoots)) return;
+    setShootsCache({
+      updated_at: parsed.updated_at || null,
+      patched_at: parsed.patched_at || null,
+      shoots: parsed.shoots,
+      source_count: Number(parsed.source_count || parsed.shoots.length || 0)
+    });
+  } catch {
+    // Ignore corrupted cache; a fresh pull will rebuild it.
+  }
+}
+
+function saveShootsCache(nextCache) {
+  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(SHOOTS_CACHE_FILE, JSON.stringify(nextCache, null, 2), "utf8");
+}
+
+function shootsCacheAgeMs() {
+  if (!shootsCache.updated_at) return Number.POSITIVE_INFINITY;
+  const updatedAtMs = new Date(shootsCache.updated_at).getTime();
+  if (Number.isNaN(updatedAtMs)) return Number.POSITIVE_INFINITY;
+  return Date.now() - updatedAtMs;
+}
+
+function isShootsCacheFresh() {
+  return shootsCacheAgeMs() <= SHOOTS_CACHE_TTL_SECONDS * 1000;
+}
+
+async function fetchLatestShoots() {
+  const ordersById = new Map();
+
+  for (let page = 1; page <= SHOOTS_CACHE_MAX_PAGES; page += 1) {
+    const payload = await fetchAryeoWithIncludeFallback("/orders", {
+      page,
+      page_size: SHOOTS_CACHE_FETCH_PAGE_SIZE,
+      include: ARYEO_ORDER_INCLUDES
+    }, ["listing,appointments,items", "listing,appointments"]);
+
+    const items = payload?.data || payload?.orders || payload?.results || [];
+    if (!items.length) break;
+
+    items.forEach((order) => {
+      const normalized = normalizeShoot(order);
+      ordersById.set(normalized.id, normalized);
+    });
+
+    if (items.length < SHOOTS_CACHE_FETCH_PAGE_SIZE) break;
+  }
+
+  const sortedShoots = [...ordersById.values()]
+    .sort((a, b) => getShootSortTimestamp(b) - getShootSortTimestamp(a));
+
+  return {
+    updated_at: new Date().toISOString(),
+    shoots: sortedShoots,
+    source_count: sortedShoots.length
+  };
+}
+
+function scheduleShootsRefresh(delayMs) {
+  if (shootsRefreshState.timer) clearTimeout(shootsRefreshState.timer);
+  const safeDelayMs = Math.max(0, delayMs);
+  shootsRefreshState.next_refresh_at = new Date(Date.now() + safeDelayMs).toISOString();
+  shootsRefreshState.timer = setTimeout(() => {
+    shootsRefreshState.timer = null;
+    refreshShootsCacheInBackground();
+  }, safeDelayMs);
+  // The HTTP server keeps the process alive; the refresh timer should not.
+  shootsRefreshState.timer.unref();
+}
+
+function scheduleNextShootsRefresh() {
+  if (shootsRefreshState.consecutive_failures > 0) {
+    const backoffSeconds = Math.min(
+      SHOOTS_CACHE_RETRY_MAX_SECONDS,
+      SHOOTS_CACHE_RETRY_BASE_SECONDS * 2 ** (shootsRefreshState.consecutive_failures - 1)
+    );
+    // Up to 20% jitter keeps several instances from retrying Aryeo in lockstep.
+    scheduleShootsRefresh(backoffSeconds * 1000 * (0.8 + Math.random() * 0.2));
+    return;
+  }
+
+  const warmAtMs = (SHOOTS_CACHE_TTL_SECONDS - SHOOTS_CACHE_REFRESH_LEAD_SECONDS) * 1000;
+  scheduleShootsRefresh(warmAtMs - shootsCacheAgeMs());
+}
+
+function isShootsRefreshBackingOff() {
+  if (!shootsRefreshState.consecutive_failures || !shootsRefreshState.next_refresh_at) return false;
+  return new Date(shootsRefreshState.next_refresh_at).getTime() > Date.now();
+}
+
+function refreshShootsCacheInBackground() {
+  if (shootsRefreshPromise) return shootsRefreshPromise;
+
+  shootsRefreshPromise = (async () => {
+    patchesDuringRefresh = new Map();
+    const nextCache = replayRefreshPatches(await fetchLatestShoots(), patchesDuringRefresh);
+    setShootsCache(nextCache);
+    saveShootsCache(nextCache);
+    shootsRefreshState.last_error = null;
+    shootsRefreshState.last_error_at = null;
+    shootsRefreshState.consecutive_failures = 0;
+  })()
+    .catch((error) => {
+      shootsRefreshState.last_error = String(error.message || error);
+      shootsRefreshState.last_error_at = new Date().toISOString();
+      shootsRefreshState.consecutive_failures += 1;
+      console.error(`Shoots cache refresh failed (attempt ${shootsRefreshState.consecutive_failures}): ${error.message || error}`);
+    })
+    .finally(() => {
+      shootsRefreshPromise = null;
+      patchesDuringRefresh = null;
+      scheduleNextShootsRefresh();
+    });
+
+  return shootsRefreshPromise;
+}
+
+function shootsWithUpsert(shoots, shoot) {
+  return shoots
+    .filter((existing) => existing.id !== shoot.id)
+    .concat(shoot)
     .sort((a, b) => getShootSortTimestamp(b) - getShootSortTimestamp(a));
+}
+
+function cachedShootsWithUpsert(shoot) {
+  return shootsWithUpsert(shootsCache.shoots, shoot);
+}
+
+// A full pull may have read an order before a webhook patched it, so patches made meanwhile are
+// applied on top unless the pulled copy is newer.
+function replayRefreshPatches(nextCache, patches) {
+  let shoots = nextCache.shoots;
+  patches.forEach((patched, orderId) => {
+    const pulled = shoots.find((shoot) => shoot.id === orderId);
+    if (!patched) {
+      shoots = shoots.filter((shoot) => shoot.id !== orderId);
+      return;
+    }
+    const pulledMs = new Date(pulled?.updated_at || 0).getTime() || 0;
+    const patchedMs = new Date(patched.updated_at || 0).getTime() || 0;
+    if (!pulled || patchedMs >= pulledMs) shoots = shootsWithUpsert(shoots, patched);
+  });
+  return patches.size ? { ...nextCache, shoots, source_count: shoots.length } : nextCache;
+}
+
+function applyShootsCachePatch(shoots) {
+  // updated_at tracks the last full pull, so patches leave it alone and the scheduled refresh still runs.
+  const nextCache = {
+    ...shootsCache,
+    shoots,
+    source_count: shoots.length,
+    patched_at: new Date().toISOString()
+  };
+  setShootsCache(nextCache);
+  saveShootsCache(nextCache);
+}
+
+async function patchShootsCacheForOrder(orderId, eventType) {
+  const isDelete = /delet|remov|archiv/i.test(String(eventType || ""));
+  shootDetailCache.delete(orderId);
+
+  if (isDelete) {
+    patchesDuringRefresh?.set(orderId, null);
+    if (orderIndex.entries.has(orderId)) {
+      applyShootsCachePatch(shootsCache.shoots.filter((shoot) => shoot.id !== orderId));
+    }
+    return "removed";
+  }
+
+  let order;
+  try {
+    const payload = await fetchAryeoWithIncludeFallback(`/orders/${encodeURIComponent(orderId)}`, {
+      include: ARYEO_ORDER_INCLUDES
+    }, ["listing,appointments,items", "listing,appointments"]);
+    order = payload?.data || payload?.order || payload;
+  } catch (error) {
+    if (!(error instanceof AryeoNotFoundError)) throw error;
+    patchesDuringRefresh?.set(orderId, null);
+    if (orderIndex.entries.has(orderId)) {
+      applyShootsCachePatch(shootsCache.shoots.filter((shoot) => shoot.id !== orderId));
+    }
+    return "removed";
+  }
+
+  const shoot = normalizeShoot(order);
+  patchesDuringRefresh?.set(orderId, shoot);
+  applyShootsCachePatch(cachedShootsWithUpsert(shoot));
+  return "upserted";
+}
+
+function queueShootsCachePatch(eventObj) {
+  const orderId = eventObj.order_id;
+  if (!orderId || !/order/i.test(String(eventObj.event_type || ""))) return null;
+  // Without a full pull there is nothing to patch; the first refresh will include this order anyway.
+  if (!shootsCache.updated_at) return null;
+
+  // Chain per order so bursts of webhooks for one order apply in arrival order.
+  const previous = shootPatchPromises.get(orderId) || Promise.resolve();
+  const next = previous
+    .then(() => patchShootsCacheForOrder(orderId, eventObj.event_type))
+    .then((result) => {
+      console.log(`Shoots cache ${result} order ${orderId} from ${eventObj.event_type}.`);
+    })
+    .catch((error) => {
+      console.error(`Shoots cache patch failed for order ${orderId}: ${error.message || error}`);
+    })
+    .finally(() => {
+      if (shootPatchPromises.get(orderId) === next) shootPatchPromises.delete(orderId);
+    });
+  shootPatchPromises.set(orderId, next);
+  return next;
+}
+
+function shootsCacheStatus() {
+  return {
+    updated_at: shootsCache.updated_at,
+    fresh: isShootsCacheFresh(),
+    patched_at: shootsCache.patched_at || null,
+    refreshing: Boolean(shootsRefreshPromise),
+    ttl_seconds: SHOOTS_CACHE_TTL_SECONDS,
+    last_error: shootsRefreshState.last_error,
+    last_error_at: shootsRefreshState.last_error_at,
+    consecutive_failures: shootsRefreshState.consecutive_failures,
+    next_refresh_at: shootsRefreshState.next_refresh_at
+  };
+}
+
+function parseAddressParts(address) {
+  const parts = String(address || "").split(",").map((part) => part.trim()).filter(Boolean);
+  for (let index = 0; index < parts.length; index += 1) {
+    const zipMatch = parts[index].match(/\b(\d{5})(?:-\d{4})?\b/);
+    if (!zipMatch) continue;
+
+    // Handles both "City, FL, 34470" and "City, FL 34470".
+    const inlineState = parts[index].replace(zipMatch[0], "").trim();
+    if (inlineState) {
+      return { city: parts[index - 1] || null, state: inlineState, zip: zipMatch[1] };
+    }
+    const previous = parts[index - 1] || "";
+    if (/^[A-Za-z]{2}$/.test(previous)) {
+      return { city: parts[index - 2] || null, state: previous.toUpperCase(), zip: zipMatch[1] };
+    }
+    return { city: previous || null, state: null, zip: zipMatch[1] };
+  }
+  return { city: null, state: null, zip: null };
+}
+
+function parseDateParam(value, endOfDay = false) {
+  const raw = String(value || "").trim();
+  if (!raw) return null;
+  // Bare dates cover the whole day so "to=2026-05-01" includes shoots on May 1st.
+  const time = /^\d{4}-\d{2}-\d{2}$/.test(raw)
+    ? new Date(`${raw}T${endOfDay ? "23:59:59.999" : "00:00:00.000"}Z`).getTime()
+    : new Date(raw).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+function parseShootFilters(url) {
+  const listParam = (name) => String(url.searchParams.get(name) || "")
+    .split(",")
+    .map((value) => value.trim().toLowerCase())
+    .filter(Boolean);
+
+  return {
+    statuses: listParam("status"),
+    city: String(url.searchParams.get("city") || "").trim().toLowerCase(),
+    zip: String(url.searchParams.get("zip") || "").trim(),
+    from: parseDateParam(url.searchParams.get("from")),
+    to: parseDateParam(url.searchParams.get("to"), true),
+    terms: String(url.searchParams.get("q") || "").toLowerCase().split(/\s+/).filter(Boolean)
+  };
+}
+
+function shootMatchesFilters(shoot, filters) {
+  if (filters.statuses.length && !filters.statuses.includes(String(shoot.status || "").toLowerCase())) return false;
+
+  const { city, zip } = parseAddressParts(shoot.address);
+  if (filters.city && String(city || "").toLowerCase() !== filters.city) return false;
+  if (filters.zip && !String(zip || "").startsWith(filters.zip)) return false;
+
+  if (filters.from !== null || filters.to !== null) {
+    const scheduledMs = new Date(shoot.scheduled_at || "").getTime();
+    if (Number.isNaN(scheduledMs)) return false;
+    if (filters.from !== null && scheduledMs < filters.from) return false;
+    if (filters.to !== null && scheduledMs > filters.to) return false;
+  }
+
+  if (filters.terms.length) {
+    const haystack = [shoot.address, shoot.status, ...(Array.isArray(shoot.identifiers) ? shoot.identifiers : [])]
+      .join(" ")
+      .toLowerCase();
+    if (!filters.terms.every((term) => haystack.includes(term))) return false;
+  }
+  return true;
+}
+
+function pinSortValue(shoot) {
+  return shoot.pinned ? Number(shoot.pin_rank ?? 0) : Number.POSITIVE_INFINITY;
+}
+
+function compareShootsForListing(a, b) {
+  const pinDelta = pinSortValue(a) - pinSortValue(b);
+  if (pinDelta) return pinDelta;
+  return getShootSortTimestamp(b) - getShootSortTimestamp(a) || String(a.id).localeCompare(String(b.id));
+}
+
+function encodeShootsCursor(shoot) {
+  const cursor = { t: getShootSortTimestamp(shoot), id: shoot.id };
+  if (shoot.pinned) cursor.p = Number(shoot.pin_rank ?? 0);
+  return Buffer.from(JSON.stringify(cursor)).toString("base64url");
+}
+
+function decodeShootsCursor(cursor) {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!Number.isFinite(parsed?.t) || parsed.id === undefined) return null;
+    return parsed;
+  } catch {
+    return null;
+  }
+}
+
+function shootsStartIndex(sortedShoots, url) {
+  const cursorParam = url.searchParams.get("cursor");
+  if (cursorParam) {
+    const cursor = decodeShootsCursor(cursorParam);
+    if (!cursor) return -1;
+    // Seek by sort key rather than position so shoots added or removed between pages don't cause skips or repeats.
+    const position = { scheduled_at: new Date(cursor.t).toISOString(), id: cursor.id };
+    if (Number.isFinite(cursor.p)) Object.assign(position, { pinned: true, pin_rank: cursor.p });
+    const nextIndex = sortedShoots.findIndex((shoot) => compareShootsForListing(position, shoot) < 0);
+    return nextIndex === -1 ? sortedShoots.length : nextIndex;
+  }
+  return Math.max(0, Math.floor(Number(url.searchParams.get("offset")) || 0));
+}
+
+function shootFacets(shoots) {
+  const statuses = new Set();
+  const cities = new Set();
+  shoots.forEach((shoot) => {
+    if (shoot.status) statuses.add(shoot.status);
+    const { city } = parseAddressParts(shoot.address);
+    if (city) cities.add(city);
+  });
+  return {
+    statuses: [...statuses].sort(),
+    cities: [...cities].sort((a, b) => a.localeCompare(b))
+  };
+}
+
+async function handleShoots(req, res, url) {
+  const limit = Number(url.searchParams.get("limit")) || 24;
+  const pageSize = Math.max(1, Math.min(limit, 100));
+  const forceRefresh = /^(1|true|yes)$/i.test(String(url.searchParams.get("refresh") || "").trim());
+
+  if (forceRefresh || (!shootsCache.shoots.length && !isShootsRefreshBackingOff())) {
+    // Nothing to serve yet, or the caller explicitly asked to wait for fresh data.
+    await refreshShootsCacheInBackground();
+  } else if (!isShootsCacheFresh() && !isShootsRefreshBackingOff()) {
+    // Serve stale data now; the refresh finishes in the background.
+    refreshShootsCacheInBackground();
+  }
+
+  const filters = parseShootFilters(url);
+  const visibleShoots = listedShoots();
+  const matching = visibleShoots
+    .filter((shoot) => shootMatchesFilters(shoot, filters))
+    .sort(compareShootsForListing);
+
+  const startIndex = shootsStartIndex(matching, url);
+  if (startIndex < 0) {
+    writeJson(res, 400, { error: "Invalid cursor" });
+    return;
+  }
+
+  const page = matching.slice(startIndex, startIndex + pageSize);
+  const hasMore = startIndex + page.length < matching.length;
+  const shoots = page.map((shoot) => {
+    const media = sanitizeShootMedia(shoot);
+    return SHOOT_ORDER_ID_ACCESS ? media : { ...media, share_token: portfolioShareToken(shoot.id) };
+  });
+
+  writeJson(res, 200, {
+    shoots,
+    total: matching.length,
+    next_cursor: hasMore && page.length ? encodeShootsCursor(page[page.length - 1]) : null,
+    next_offset: hasMore ? startIndex + page.length : null,
+    facets: shootFacets(visibleShoots),
+    source_count: shootsCache.source_count || shoots.length,
+    cache: shootsCacheStatus()
+  });
+}
+
+function collectOrderIdentifiers(order) {
+  if (!order || typeof order !== "object") return [];
+
+  const candidates = [
+    order.id,
+    order.uuid,
+    order.order_id,
+    order.order_number,
+    order.number,
+    order.display_id,
+    order.external_id,
+    order.reference,
+    order.short_id,
+    order.legacy_id,
+    order.attributes?.id,
+    order.attributes?.uuid,
+    order.attributes?.order_id,
+    order.attributes?.order_number,
+    order.attributes?.number,
+    order.attributes?.display_id,
+    order.attributes?.external_id,
+    order.attributes?.reference
+  ];
+
+  const unique = new Set();
+  candidates.forEach((value) => {
+    if (value === undefined || value === null) return;
+    const normalized = String(value).trim();
+    if (!normalized) return;
+    unique.add(normalized);
+  });
+
+  return [...unique];
+}
+
+function toLooseToken(value) {
+  return String(value || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+function tokenizeAddress(value) {
+  const tokens = String(value || "")
+    .toLowerCase()
+    .replace(/#\s*/g, " unit ")
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((token, index, all) => {
+      if (ADDRESS_STATE_ALIASES[token] && /^\d{5}$/.test(all[index + 1] || "")) return ADDRESS_STATE_ALIASES[token];
+      return ADDRESS_TOKEN_ALIASES[token] || token.replace(/^(\d+)(st|nd|rd|th)$/, "$1");
+    });
+
+  // Unit numbers are matched loosely: the designator is dropped and the number kept as an optional token.
+  const streetTokens = [];
+  const unitTokens = [];
+  for (let index = 0; index < tokens.length; index += 1) {
+    if (ADDRESS_UNIT_DESIGNATORS.has(tokens[index]) && tokens[index + 1]) {
+      unitTokens.push(tokens[index + 1]);
+      index += 1;
+    } else {
+      streetTokens.push(tokens[index]);
+    }
+  }
+  return { streetTokens, unitTokens };
+}
+
+function normalizeAddressKey(value) {
+  const { streetTokens, unitTokens } = tokenizeAddress(value);
+  return [...streetTokens, ...unitTokens].join(" ");
+}
+
+function editDistanceWithin(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return false;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return false;
+    previous = current;
+  }
+  return previous[b.length] <= maxDistance;
+}
+
+function scoreAddressToken(queryToken, addressTokens) {
+  let best = 0;
+  const isNumeric = /^\d+$/.test(queryToken);
+  for (const candidate of addressTokens) {
+    if (candidate === queryToken) return 1;
+    if (isNumeric) continue;
+    if (queryToken.length >= 2 && candidate.startsWith(queryToken)) {
+      best = Math.max(best, 0.9);
+    } else if (queryToken.length >= 4 && editDistanceWithin(queryToken, candidate, queryToken.length >= 7 ? 2 : 1)) {
+      best = Math.max(best, 0.75);
+    }
+  }
+  return best;
+}
+
+function scoreAddressMatch(query, entry) {
+  if (!query.streetTokens.length) return 0;
+
+  let total = 0;
+  let streetNameScore = 0;
+  for (const token of query.streetTokens) {
+    const tokenScore = scoreAddressToken(token, entry.streetTokens);
+    // House numbers have to match exactly; "123 Main" should never suggest 124 Main.
+    if (!tokenScore && /^\d+$/.test(token)) return 0;
+    if (!/^\d+$/.test(token)) streetNameScore += tokenScore;
+    total += tokenScore;
+  }
+  // A house number on its own matches every street with that number, so part of the name must match too.
+  if (!streetNameScore) return 0;
+  let confidence = total / query.streetTokens.length;
+
+  if (query.unitTokens.length) {
+    const unitMatched = query.unitTokens.every((token) => entry.unitTokens.includes(token));
+    if (unitMatched) confidence = Math.min(1, confidence + 0.05);
+    else if (entry.unitTokens.length) confidence *= 0.8;
+  }
+
+  // Short queries match many listings, so scale confidence by how much of the address they cover.
+  const coverage = Math.min(1, query.streetTokens.length / Math.max(1, Math.min(entry.streetTokens.length, 3)));
+  return Number((confidence * (0.7 + 0.3 * coverage)).toFixed(3));
+}
+
+function buildOrderIndex(shoots) {
+  const index = {
+    byIdentifier: new Map(),
+    byLooseIdentifier: new Map(),
+    byAddressKey: new Map(),
+    byHouseNumber: new Map(),
+    entries: new Map()
+  };
+
+  (Array.isArray(shoots) ? shoots : []).forEach((shoot) => {
+    if (!shoot?.id) return;
+    const { streetTokens, unitTokens } = tokenizeAddress(shoot.address);
+    index.entries.set(shoot.id, { shoot, streetTokens, unitTokens });
+
+    const identifiers = new Set([shoot.id, ...(Array.isArray(shoot.identifiers) ? shoot.identifiers : [])]);
+    identifiers.forEach((identifier) => {
+      const lower = String(identifier).toLowerCase();
+      if (!index.byIdentifier.has(lower)) index.byIdentifier.set(lower, shoot.id);
+      const loose = toLooseToken(lower);
+      if (loose && !index.byLooseIdentifier.has(loose)) index.byLooseIdentifier.set(loose, shoot.id);
+    });
+
+    const addressKey = normalizeAddressKey(shoot.address);
+    if (addressKey) {
+      if (!index.byAddressKey.has(addressKey)) index.byAddressKey.set(addressKey, []);
+      index.byAddressKey.get(addressKey).push(shoot.id);
+    }
+
+    const houseNumber = streetTokens.find((token) => /^\d+$/.test(token));
+    if (houseNumber) {
+      if (!index.byHouseNumber.has(houseNumber)) index.byHouseNumber.set(houseNumber, new Set());
+      index.byHouseNumber.get(houseNumber).add(shoot.id);
+    }
+  });
+
+  return index;
+}
+
+function findOrderByIdentifier(orderIdentifier) {
+  const needle = String(orderIdentifier || "").trim().toLowerCase();
+  if (!needle) return null;
+
+  const shootId = orderIndex.byIdentifier.get(needle) || orderIndex.byLooseIdentifier.get(toLooseToken(needle));
+  return shootId ? orderIndex.entries.get(shootId)?.shoot || null : null;
+}
+
+function rankShootsByAddress(addressQuery) {
+  const query = tokenizeAddress(addressQuery);
+  if (!query.streetTokens.some((token) => !/^\d+$/.test(token))) return [];
+
+  const exactIds = orderIndex.byAddressKey.get(normalizeAddressKey(addressQuery)) || [];
+  const houseNumber = query.streetTokens.find((token) => /^\d+$/.test(token));
+  const candidateIds = houseNumber
+    ? [...(orderIndex.byHouseNumber.get(houseNumber) || [])]
+    : [...orderIndex.entries.keys()];
+
+  const scored = new Map();
+  exactIds.forEach((shootId) => scored.set(shootId, 1));
+  candidateIds.forEach((shootId) => {
+    if (scored.has(shootId)) return;
+    const confidence = scoreAddressMatch(query, orderIndex.entries.get(shootId));
+    if (confidence >= ORDER_MATCH_MIN_CONFIDENCE) scored.set(shootId, confidence);
+  });
+
+  return [...scored.entries()]
+    .map(([shootId, confidence]) => ({ shoot: orderIndex.entries.get(shootId).shoot, confidence }))
+    .sort((a, b) => b.confidence - a.confidence || getShootSortTimestamp(b.shoot) - getShootSortTimestamp(a.shoot))
+    .slice(0, ORDER_MATCH_MAX_CANDIDATES);
+}
+
+function isClearWinner(candidates) {
+  if (!candidates.length) return false;
+  const [top, runnerUp] = candidates;
+  if (top.confidence < ORDER_MATCH_CLEAR_WINNER_CONFIDENCE) return false;
+  return !runnerUp || top.confidence - runnerUp.confidence >= ORDER_MATCH_CLEAR_WINNER_MARGIN;
+}
+
+function orderStatusPayload(shoot, extra = {}) {
+  return {
+    order_id: shoot.id,
+    status: shoot.status,
+    address: shoot.address,
+    scheduled_at: shoot.scheduled_at,
+    ...extra
+  };
+}
+
+async function fetchOrderShoot(orderId) {
+  const payload = await fetchAryeoWithIncludeFallback(`/orders/${encodeURIComponent(orderId)}`, {
+    include: "listing,appointments"
+  }, ["listing,appointments", "listing"]);
+  return normalizeShoot(payload?.data || payload?.order || payload);
+}
+
+async function lookupOrderInIndex(req, res, lookupValue) {
+  let indexed = findOrderByIdentifier(lookupValue);
+  let candidates = indexed ? [] : rankShootsByAddress(lookupValue);
+
+  // A miss on a stale index may just be a brand-new order; refresh once, guarded by the scan rate limit.
+  const indexAgeMs = shootsCacheAgeMs();
+  if (!indexed && !candidates.length && indexAgeMs > ORDER_INDEX_MIN_REFRESH_SECONDS * 1000) {
+    if (!enforceRateLimit(req, res, "order-scan")) return { handled: true };
+    await refreshShootsCacheInBackground();
+    indexed = findOrderByIdentifier(lookupValue);
+    candidates = indexed ? [] : rankShootsByAddress(lookupValue);
+  }
+
+  return { handled: false, indexed, candidates };
+}
+
+async function handleOrderStatus(req, res, url) {
+  const lookupValue = String(url.searchParams.get("order_id") || "").trim();
+  if (!lookupValue) {
+    writeJson(res, 400, { error: "Missing required query param: order_id" });
+    return;
+  }
+
+  // Whitespace means an address, which Aryeo's /orders/:id can never resolve, so skip that round trip.
+  if (!/\s/.test(lookupValue)) {
+    try {
+      const shoot = await fetchOrderShoot(lookupValue);
+      writeJson(res, 200, orderStatusPayload(shoot, { match: "id", confidence: 1 }));
+      return;
+    } catch (error) {
+      if (!(error instanceof AryeoNotFoundError)) throw error;
+    }
+  }
+
+  const { handled, indexed, candidates } = await lookupOrderInIndex(req, res, lookupValue);
+  if (handled) return;
+
+  if (indexed) {
+    // The index may be hours old, so read the live status for the resolved order.
+    const shoot = indexed.id === lookupValue ? indexed : await fetchOrderShoot(indexed.id).catch(() => indexed);
+    writeJson(res, 200, orderStatusPayload(shoot, { match: "identifier", confidence: 1 }));
+    return;
+  }
+
+  if (isClearWinner(candidates)) {
+    writeJson(res, 200, orderStatusPayload(candidates[0].shoot, { match: "address", confidence: candidates[0].confidence }));
+    return;
+  }
+
+  // Candidates are other people's orders, so only show enough to tell them apart, never an order ID.
+  if (candidates.length) {
+    writeJson(res, 200, {
+      ambiguous: true,
+      query: lookupValue,
+      candidates: candidates.map(({ shoot, confidence }) => ({
+        address: maskAddress(shoot.address),
+        status: shoot.status,
+        scheduled_at: shoot.scheduled_at,
+        confidence
+      }))
+    });
+    return;
+  }
+
+  writeJson(res, 404, {
+    error: `No recent order was found for "${lookupValue}". Try the full order UUID or a more specific property address.`
+  });
+}
+
+function classifyTimelineStage(text) {
+  const haystack = String(text || "").toLowerCase();
+  if (!haystack.trim()) return -1;
+  for (let index = ORDER_TIMELINE_STAGES.length - 1; index >= 0; index -= 1) {
+    if (ORDER_TIMELINE_STAGES[index].pattern.test(haystack)) return index;
+  }
+  return -1;
+}
+
+function buildOrderTimeline(shoot, events) {
+  const reachedAt = ORDER_TIMELINE_STAGES.map(() => null);
+  let furthestStage = -1;
+
+  const markStage = (stageIndex, timestamp) => {
+    if (stageIndex < 0) return;
+    furthestStage = Math.max(furthestStage, stageIndex);
+    if (!timestamp) return;
+    const current = reachedAt[stageIndex];
+    if (!current || new Date(timestamp).getTime() < new Date(current).getTime()) {
+      reachedAt[stageIndex] = timestamp;
+    }
+  };
+
+  events.forEach((eventObj) => {
+    markStage(classifyTimelineStage(`${eventObj.event_type || ""} ${eventObj.status || ""}`), eventObj.received_at);
+  });
+
+  markStage(0, shoot.created_at);
+  // normalizeShoot falls back to created_at when there is no appointment, which is not a real schedule.
+  const hasAppointment = shoot.scheduled_at && shoot.scheduled_at !== shoot.created_at;
+  if (hasAppointment) {
+    markStage(1, null);
+    const appointmentMs = new Date(shoot.scheduled_at).getTime();
+    if (!Number.isNaN(appointmentMs) && appointmentMs <= Date.now()) markStage(2, shoot.scheduled_at);
+  }
+  markStage(classifyTimelineStage(shoot.status), null);
+
+  const stages = ORDER_TIMELINE_STAGES.map((stage, index) => ({
+    key: stage.key,
+    label: stage.label,
+    reached: index <= furthestStage,
+    reached_at: index <= furthestStage ? reachedAt[index] : null
+  }));
+
+  return {
+    current_stage: furthestStage >= 0 ? ORDER_TIMELINE_STAGES[furthestStage].key : null,
+    stages
+  };
+}
+
+async function handleOrderTimeline(req, res, url) {
+  const lookupValue = String(url.searchParams.get("order_id") || "").trim();
+  if (!lookupValue) {
+    writeJson(res, 400, { error: "Missing required query param: order_id" });
+    return;
+  }
+
+  const indexed = findOrderByIdentifier(lookupValue);
+  const orderId = indexed?.id || lookupValue;
+  let shoot;
+  let live = true;
+  try {
+    shoot = await fetchOrderShoot(orderId);
+  } catch (error) {
+    if (!indexed) {
+      if (error instanceof AryeoNotFoundError) {
+        writeJson(res, 404, { error: `No order was found for "${lookupValue}".` });
+        return;
+      }
+      throw error;
+    }
+    // Fall back to the cached copy so the timeline still renders when Aryeo is unreachable.
+    shoot = indexed;
+    live = false;
+  }
+
+  const events = readPipelineEventsForOrder(shoot.id);
+  const timeline = buildOrderTimeline(shoot, events);
+
+  writeJson(res, 200, {
+    ...orderStatusPayload(shoot),
+    live,
+    current_stage: timeline.current_stage,
+    stages: timeline.stages,
+    events: events.map((eventObj) => ({
+      received_at: eventObj.received_at,
+      event_type: eventObj.event_type,
+      status: eventObj.status
+    }))
+  });
+}
+
+function getCachedShootDetail(orderId) {
+  const entry = shootDetailCache.get(orderId);
+  if (!entry) return null;
+  if (Date.now() - entry.fetchedAt > SHOOT_DETAIL_CACHE_TTL_SECONDS * 1000) {
+    shootDetailCache.delete(orderId);
+    return null;
+  }
+  // Re-insert so the Map stays in least-recently-used order.
+  shootDetailCache.delete(orderId);
+  shootDetailCache.set(orderId, entry);
+  return entry;
+}
+
+function setCachedShootDetail(orderId, shoot) {
+  const entry = { shoot, fetchedAt: Date.now() };
+  shootDetailCache.delete(orderId);
+  shootDetailCache.set(orderId, entry);
+  while (shootDetailCache.size > SHOOT_DETAIL_CACHE_MAX_ENTRIES) {
+    shootDetailCache.delete(shootDetailCache.keys().next().value);
+  }
+  return entry;
+}
+
+async function resolveShootDetail(orderId) {
+  const cachedShoot = orderIndex.entries.get(orderId)?.shoot;
+  if (cachedShoot) {
+    return { shoot: cachedShoot, lastModified: cachedShoot.updated_at || shootsCache.updated_at, source: "shoots-cache" };
+  }
+
+  const cached = getCachedShootDetail(orderId);
+  if (cached) {
+    return { shoot: cached.shoot, lastModified: cached.shoot.updated_at || new Date(cached.fetchedAt).toISOString(), source: "detail-cache" };
+  }
+
+  const payload = await fetchAryeoWithIncludeFallback(`/orders/${encodeURIComponent(orderId)}`, {
+    include: ARYEO_ORDER_INCLUDES
+  }, ["listing,appointments,items", "listing,appointments"]);
+  const order = payload?.data || payload?.order || payload;
+  const entry = setCachedShootDetail(orderId, normalizeShoot(order));
+  return { shoot: entry.shoot, lastModified: entry.shoot.updated_at || new Date(entry.fetchedAt).toISOString(), source: "aryeo" };
+}
+
+function loadPortfolioOverrides() {
+  if (!fs.existsSync(PORTFOLIO_OVERRIDES_FILE)) return;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(PORTFOLIO_OVERRIDES_FILE, "utf8"));
+    if (parsed && typeof parsed.orders === "object") portfolioOverrides = Object.assign(Object.create(null), parsed.orders);
+  } catch (error) {
+    console.error(`Could not read ${PORTFOLIO_OVERRIDES_FILE}: ${error.message}`);
+  }
+}
+
+function savePortfolioOverrides() {
+  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(PORTFOLIO_OVERRIDES_FILE, JSON.stringify({ orders: portfolioOverrides }, null, 2), "utf8");
+}
+
+function isHiddenOrder(orderId) {
+  return Boolean(portfolioOverrides[orderId]?.hidden);
+}
+
+// Cached shoots for listings, feeds and the sitemap, curated and without hidden orders.
+function listedShoots() {
+  return shootsCache.shoots
+    .filter((shoot) => !isHiddenOrder(shoot.id))
+    .map((shoot) => applyShootOverrides(shoot));
+}
+
+function applyShootOverrides(shoot) {
+  const override = shoot ? portfolioOverrides[shoot.id] : null;
+  if (!override) return shoot;
+
+  const curated = { ...shoot };
+  if (override.pinned) {
+    curated.pinned = true;
+    curated.pin_rank = Number(override.pin_rank ?? 0);
+  }
+  if (override.title) curated.title = override.title;
+
+  let photos = Array.isArray(shoot.photos) ? [...shoot.photos] : [];
+  if (override.cover_photo) {
+    // The previous cover stays in the gallery, just no longer first.
+    if (curated.thumbnail_url) photos.unshift(curated.thumbnail_url);
+    curated.thumbnail_url = override.cover_photo;
+  }
+  if (Array.isArray(override.photo_order) && override.photo_order.length) {
+    const rank = new Map(override.photo_order.map((value, index) => [canonicalImageKey(value), index]));
+    photos = photos
+      .map((url, index) => ({ url, index, rank: rank.get(canonicalImageKey(url)) ?? Number.POSITIVE_INFINITY }))
+      .sort((a, b) => a.rank - b.rank || a.index - b.index)
+      .map((entry) => entry.url);
+  }
+  curated.photos = photos;
+  return curated;
+}
+
+// The newer of the shoot's own timestamp and its curation override.
+function shootLastModified(shoot, fallback = shoot?.updated_at) {
+  const overrideUpdatedAt = portfolioOverrides[shoot?.id]?.updated_at;
+  return [fallback, overrideUpdatedAt]
+    .filter(Boolean)
+    .sort((a, b) => new Date(b).getTime() - new Date(a).getTime())[0] || null;
+}
+
+function validatePortfolioOverride(body) {
+  const errors = [];
+  const patch = {};
+  const has = (key) => Object.prototype.hasOwnProperty.call(body, key);
+
+  ["hidden", "pinned"].forEach((key) => {
+    if (!has(key)) return;
+    if (typeof body[key] !== "boolean") errors.push(`${key} must be true or false`);
+    else patch[key] = body[key];
+  });
+  if (has("pin_rank")) {
+    if (body.pin_rank !== null && !Number.isFinite(body.pin_rank)) errors.push("pin_rank must be a number or null");
+    else patch.pin_rank = body.pin_rank;
+  }
+  if (has("title")) {
+    if (body.title !== null && (typeof body.title !== "string" || !body.title.trim() || body.title.length > 120)) {
+      errors.push("title must be 1-120 characters or null");
+    } else {
+      patch.title = body.title === null ? null : body.title.trim();
+    }
+  }
+  if (has("cover_photo")) {
+    if (body.cover_photo !== null && !looksLikeImageUrl(body.cover_photo)) errors.push("cover_photo must be an image URL or null");
+    else patch.cover_photo = body.cover_photo;
+  }
+  if (has("photo_order")) {
+    const valid = body.photo_order === null
+      || (Array.isArray(body.photo_order) && body.photo_order.length <= 100 && body.photo_order.every((value) => typeof value === "string"));
+    if (!valid) errors.push("photo_order must be a list of up to 100 photo URLs or null");
+    else patch.photo_order = body.photo_order;
+  }
+
+  if (!errors.length && !Object.keys(patch).length) errors.push("No override fields provided");
+  return { errors, patch };
+}
+
+async function handleAdminUpsertOverride(req, res, orderId) {
+  const body = await readJsonBody(req);
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    writeJson(res, 400, { error: "Invalid JSON body" });
+    return;
+  }
+
+  const { errors, patch } = validatePortfolioOverride(body);
+  if (errors.length) {
+    writeJson(res, 400, { error: errors.join("; ") });
+    return;
+  }
+
+  // null clears a field; anything else is merged into the existing override.
+  const next = { ...(portfolioOverrides[orderId] || {}) };
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) delete next[key];
+    else next[key] = value;
+  });
+  next.updated_at = new Date().toISOString();
+
+  portfolioOverrides[orderId] = next;
+  savePortfolioOverrides();
+  writeJson(res, 200, { order_id: orderId, override: next });
+}
+
+function handleAdminDeleteOverride(req, res, orderId) {
+  if (!portfolioOverrides[orderId]) {
+    writeJson(res, 404, { error: "No override for that order" });
+    return;
+  }
+  delete portfolioOverrides[orderId];
+  savePortfolioOverrides();
+  writeJson(res, 200, { ok: true });
+}
+
+async function handleAdminPortfolioOverrides(req, res, url) {
+  if (!requireAdmin(req, res)) return;
+
+  const orderId = decodeURIComponent(url.pathname.slice("/api/admin/portfolio-overrides".length).replace(/^\//, ""));
+  if (!orderId) {
+    if (req.method !== "GET") {
+      writeJson(res, 405, { error: "Method not allowed" });
+      return;
+    }
+    writeJson(res, 200, { orders: portfolioOverrides });
+    return;
+  }
+
+  if (req.method === "GET") {
+    if (!portfolioOverrides[orderId]) {
+      writeJson(res, 404, { error: "No override for that order" });
+      return;
+    }
+    writeJson(res, 200, { order_id: orderId, override: portfolioOverrides[orderId] });
+    return;
+  }
+  if (req.method === "POST") {
+    await handleAdminUpsertOverride(req, res, orderId);
+    return;
+  }
+  if (req.method === "DELETE") {
+    handleAdminDeleteOverride(req, res, orderId);
+    return;
+  }
+  writeJson(res, 405, { error: "Method not allowed" });
+}
+
+async function handleImage(req, res, url) {
+  let image;
+  try {
+    image = await imageProxy.getImage(url.searchParams.get("url"), url.searchParams.get("w"));
+  } catch (error) {
+    if (!(error instanceof ImageProxyError)) throw error;
+    writeJson(res, error.statusCode, { error: error.message });
+    return;
+  }
+
+  const headers = {
+    "Content-Type": image.content_type,
+    ETag: image.etag,
+    // Placeholders are short-lived so a fixed upstream image shows up again soon.
+    "Cache-Control": image.placeholder ? "public, max-age=300" : `public, max-age=${IMAGE_PROXY_MAX_AGE_SECONDS}, immutable`,
+    "Access-Control-Allow-Origin": "*",
+    // Upstream bytes are served from our origin, so browsers must never sniff or run them.
+    "X-Content-Type-Options": "nosniff",
+    "Content-Security-Policy": "default-src 'none'"
+  };
+  if (image.placeholder) headers["X-Image-Placeholder"] = "1";
+
+  if (req.headers["if-none-match"] === image.etag) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+
+  res.writeHead(200, { ...headers, "Content-Length": image.body.length });
+  res.end(req.method === "HEAD" ? undefined : image.body);
+}
+
+async function handleShootDetail(req, res, url) {
+  const orderId = resolveShootAccess(req, res, url);
+  if (!orderId) return;
+
+  const { shoot, lastModified } = await resolveShootDetail(orderId);
+  writeCacheableJson(req, res, { shoot: sanitizeShootMedia(applyShootOverrides(shoot)) }, {
+    lastModified: shootLastModified(shoot, lastModified),
+    maxAgeSeconds: SHOOT_DETAIL_MAX_AGE_SECONDS
+  });
+}
+
+function slugify(value) {
+  return String(value || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 80);
+}
+
+function photoExtension(photoUrl, contentType) {
+  const fromType = PHOTO_EXTENSIONS_BY_TYPE[String(contentType || "").split(";")[0].trim().toLowerCase()];
+  if (fromType) return fromType;
+  try {
+    const ext = path.extname(new URL(photoUrl).pathname).toLowerCase();
+    return ext === ".jpeg" ? ".jpg" : (ext || ".jpg");
+  } catch {
+    return ".jpg";
+  }
+}
+
+async function handleShootDownload(req, res, url) {
+  const orderId = resolveShootAccess(req, res, url);
+  if (!orderId) return;
+  if (activeShootZips >= SHOOT_ZIP_MAX_CONCURRENT) {
+    writeJson(res, 503, { error: "Too many downloads in progress. Try again in a moment." }, { "Retry-After": "15" });
+    return;
+  }
+
+  // Taken before the first await so concurrent requests can't all pass the check above.
+  activeShootZips += 1;
+  try {
+    await streamShootZip(res, orderId);
+  } finally {
+    activeShootZips -= 1;
+  }
+}
+
+async function streamShootZip(res, orderId) {
+  const { shoot } = await resolveShootDetail(orderId);
+  const media = sanitizeShootMedia(applyShootOverrides(shoot));
+  const photos = [media.thumbnail_url, ...media.photos].filter((photoUrl) => {
+    try {
+      return photoUrl && imageProxy.isAllowedHost(new URL(photoUrl).hostname);
+    } catch {
+      return false;
+    }
+  });
+  if (!photos.length) {
+    writeJson(res, 404, { error: "This shoot has no photos to download yet" });
+    return;
+  }
+
+  const baseName = slugify(media.title || media.address) || `shoot-${slugify(media.id)}`;
+  try {
+    res.writeHead(200, {
+      "Content-Type": "application/zip",
+      "Content-Disposition": `attachment; filename="${baseName}-photos.zip"`,
+      "Cache-Control": "no-store",
+      "Access-Control-Allow-Origin": "*"
+    });
+
+    const zip = createZipWriter(res);
+    for (const photoUrl of photos) {
+      let response;
+      try {
+        response = await imageProxy.fetchAllowed(photoUrl, { signal: AbortSignal.timeout(SHOOT_ZIP_PHOTO_TIMEOUT_MS) });
+      } catch (error) {
+        console.error(`Skipping photo for ${orderId} in ZIP: ${error.message}`);
+        continue;
+      }
+      if (!response.ok || !response.body) {
+        response.body?.cancel().catch(() => {});
+        console.error(`Skipping photo for ${orderId} in ZIP: upstream returned ${response.status}`);
+        continue;
+      }
+      const sequence = String(zip.entryCount + 1).padStart(2, "0");
+      await zip.addFile(`${baseName}-${sequence}${photoExtension(photoUrl, response.headers.get("content-type"))}`, response.body);
+    }
+    await zip.finish();
+  } catch (error) {
+    // Headers are already sent, so cutting the connection is the only way to signal a broken archive.
+    console.error(`ZIP download for ${orderId} failed: ${error.message}`);
+    res.destroy();
+  }
+}
+
+function shareLinkExpiry(body) {
+  const maxExpiry = Date.now() + SHARE_LINK_MAX_TTL_DAYS * 86400 * 1000;
+  if (body.expires_at !== undefined && body.expires_at !== null) {
+    const expiresAt = new Date(body.expires_at).getTime();
+    if (Number.isNaN(expiresAt) || expiresAt <= Date.now()) return { error: "expires_at must be a future date" };
+    if (expiresAt > maxExpiry) return { error: `expires_at can be at most ${SHARE_LINK_MAX_TTL_DAYS} days away` };
+    return { expiresAt };
+  }
+
+  const ttlDays = body.ttl_days === undefined || body.ttl_days === null ? SHARE_LINK_DEFAULT_TTL_DAYS : Number(body.ttl_days);
+  if (!Number.isFinite(ttlDays) || ttlDays <= 0 || ttlDays > SHARE_LINK_MAX_TTL_DAYS) {
+    return { error: `ttl_days must be more than 0 and at most ${SHARE_LINK_MAX_TTL_DAYS}` };
+  }
+  return { expiresAt: Date.now() + ttlDays * 86400 * 1000 };
+}
+
+async function handleAdminShareLink(req, res) {
+  const auth = requireAdmin(req, res);
+  if (!auth) return;
+
+  const body = await readJsonBody(req);
+  const orderId = String(body?.order_id || "").trim();
+  if (!orderId) {
+    writeJson(res, 400, { error: "order_id is required" });
+    return;
+  }
+
+  const { expiresAt, error } = shareLinkExpiry(body);
+  if (error) {
+    writeJson(res, 400, { error });
+    return;
+  }
+
+  // Throws AryeoNotFoundError (404) for unknown orders, so links are only minted for real shoots.
+  const { shoot } = await resolveShootDetail(orderId);
+  const token = signShareToken(shoot.id, Math.floor(expiresAt / 1000));
+  console.log(`Share link for ${shoot.id} minted by ${auth.name}, expires ${new Date(expiresAt).toISOString()}`);
+  writeJson(res, 201, {
+    order_id: shoot.id,
+    token,
+    path: `/shoot.html?token=${encodeURIComponent(token)}`,
+    expires_at: new Date(expiresAt).toISOString()
+  });
+}
+
+function handlePricing(req, res) {
+  const pricing = loadPricing(PRICING_FILE);
+  writeJson(res, 200, {
+    currency: pricing.currency,
+    photo_tiers: photoTierRows(pricing),
+    add_ons: pricing.add_ons,
+    travel_zones: pricing.travel_zones.map((zone) => ({ label: zone.label, fee: zone.fee })),
+    note: pricing.note
+  }, { "Cache-Control": "public, max-age=300" });
+}
+
+async function handleQuote(req, res) {
+  const body = await readJsonBody(req);
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    writeJson(res, 400, { error: "Invalid JSON body" });
+    return;
+  }
+
+  const quote = calculateQuote(loadPricing(PRICING_FILE), body);
+  if (quote.error) {
+    writeJson(res, 400, { error: quote.error });
+    return;
+  }
+  writeJson(res, 200, quote);
+}
+
+// Upcoming appointments from the shoots cache that still occupy the calendar. Caches written before
+// shoots kept their appointments fall back to scheduled_at, timed with the default duration.
+function bookedAppointments(shoots = shootsCache.shoots) {
+  return shoots.flatMap((shoot) => {
+    if (/cancel/i.test(String(shoot.status || ""))) return [];
+    if (!Array.isArray(shoot.appointments)) return shoot.scheduled_at ? [{ start_at: shoot.scheduled_at }] : [];
+    return shoot.appointments.filter((appointment) => !/cancel/i.test(String(appointment.status || "")));
+  });
+}
+
+async function handleAvailability(req, res, url) {
+  const schedule = readSchedule();
+  if (!schedule) {
+    writeJson(res, 503, { error: "Online booking times are not set up yet." });
+    return;
+  }
+  if (!shootsCache.shoots.length && !isShootsRefreshBackingOff()) {
+    await refreshShootsCacheInBackground();
+  } else if (!isShootsCacheFresh() && !isShootsRefreshBackingOff()) {
+    refreshShootsCacheInBackground();
+  }
+
+  const addOns = String(url.searchParams.get("add_ons") || "")
+    .split(",")
+    .map((value) => value.trim())
+    .filter(Boolean);
+  const availability = computeAvailability(schedule, {
+    from: url.searchParams.get("from") || undefined,
+    to: url.searchParams.get("to") || undefined,
+    addOns,
+    appointments: bookedAppointments()
+  });
+  if (availability.error) {
+    writeJson(res, 400, { error: availability.error });
+    return;
+  }
+  writeJson(res, 200, { ...availability, cache_updated_at: shootsCache.updated_at }, { "Cache-Control": "public, max-age=60" });
+}
+
+function handleLeadFormToken(req, res) {
+  writeJson(res, 200, { token: createFormToken(LEAD_FORM_SECRET) }, { "Cache-Control": "no-store" });
+}
+
+// Form posts come from the no-JS contact form and get HTML back; everything else gets JSON.
+function respondToLead(req, res, isFormPost, { errors = null, values = {} } = {}) {
+  if (!errors) {
+    if (isFormPost) {
+      res.writeHead(303, { Location: "/?lead=sent#contact" });
+      res.end();
+    } else {
+      writeJson(res, 201, { ok: true });
+    }
+    return;
+  }
+
+  const message = errors.form || "Please fix the highlighted fields and send it again.";
+  if (isFormPost) {
+    serveHomePage(req, res, { leadForm: { values, errors, status: message }, statusCode: 400 });
+  } else {
+    writeJson(res, 400, { error: message, fields: errors });
+  }
+}
+
+async function handleLeadSubmit(req, res) {
+  if (!enforceRateLimit(req, res, "leads")) return;
+
+  const isFormPost = /application\/x-www-form-urlencoded/i.test(String(req.headers["content-type"] || ""));
+  const body = isFormPost ? await readFormBody(req) : await readJsonBody(req);
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    writeJson(res, 400, { error: "Invalid JSON body" });
+    return;
+  }
+
+  const clientIp = getClientIp(req);
+  // Spam gets the same answer as a real lead so bots learn nothing; it is just not stored.
+  if (String(body.website || "").trim()) {
+    console.warn(`Dropped website lead from ${clientIp}: honeypot filled`);
+    respondToLead(req, res, isFormPost);
+    return;
+  }
+
+  const values = {
+    ...Object.fromEntries(["name", "email", "phone", "address", "sqft", "preferred_date", "message"]
+      .map((field) => [field, String([].concat(body[field] ?? "")[0])])),
+    services: [].concat(body.services ?? []).map((value) => String(value))
+  };
+  const tokenCheck = checkFormToken(LEAD_FORM_SECRET, body.form_token, {
+    minSeconds: LEAD_FORM_MIN_SECONDS,
+    maxSeconds: LEAD_FORM_MAX_AGE_HOURS * 3600
+  });
+  if (tokenCheck.reason === "too_fast") {
+    console.warn(`Dropped website lead from ${clientIp}: submitted too quickly`);
+    respondToLead(req, res, isFormPost);
+    return;
+  }
+  if (!tokenCheck.ok) {
+    respondToLead(req, res, isFormPost, {
+      values,
+      errors: { form: "This form has expired. Please check your details and send it again." }
+    });
+    return;
+  }
+
+  const { lead, errors } = validateLead(body, {
+    services: ["photos", ...loadPricing(PRICING_FILE).add_ons.map((addOn) => addOn.key)],
+    today: new Intl.DateTimeFormat("en-CA", { timeZone: businessTimeZone() }).format(new Date())
+  });
+  if (!lead) {
+    respondToLead(req, res, isFormPost, { values, errors });
+    return;
+  }
+
+  appendPipelineEvent({
+    received_at: new Date().toISOString(),
+    event_type: "website.lead",
+    source: "website",
+    lead_id: crypto.randomUUID(),
+    order_id: null,
+    status: "new",
+    ...lead
+  });
+  respondToLead(req, res, isFormPost);
+}
+
+function loadWebhookDeliveries() {
+  if (!fs.existsSync(WEBHOOK_DELIVERIES_FILE)) return;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(WEBHOOK_DELIVERIES_FILE, "utf8"));
+    if (!parsed || typeof parsed.deliveries !== "object") return;
+    webhookDeliveries = new Map(Object.entries(parsed.deliveries));
+    pruneWebhookDeliveries();
+  } catch {
+    // Ignore corrupted store; replays inside the tolerance window are still rejected by timestamp.
+  }
+}
+
+function saveWebhookDeliveries() {
+  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+  const payload = { deliveries: Object.fromEntries(webhookDeliveries) };
+  fs.writeFileSync(WEBHOOK_DELIVERIES_FILE, JSON.stringify(payload, null, 2), "utf8");
+}
+
+function pruneWebhookDeliveries() {
+  const cutoff = Date.now() - WEBHOOK_REPLAY_RETENTION_SECONDS * 1000;
+  for (const [deliveryId, seenAt] of webhookDeliveries) {
+    const seenAtMs = new Date(seenAt).getTime();
+    if (Number.isNaN(seenAtMs) || seenAtMs < cutoff) {
+      webhookDeliveries.delete(deliveryId);
+    }
+  }
+
+  // Map keeps insertion order, so the oldest deliveries are dropped first.
+  while (webhookDeliveries.size > WEBHOOK_REPLAY_MAX_ENTRIES) {
+    webhookDeliveries.delete(webhookDeliveries.keys().next().value);
+  }
+}
+
+function recordWebhookRejection(reason, req, detail = "") {
+  webhookStats.rejected += 1;
+  webhookStats.rejected_by_reason[reason] = (webhookStats.rejected_by_reason[reason] || 0) + 1;
+  webhookStats.last_rejected_at = new Date().toISOString();
+  webhookStats.last_rejected_reason = reason;
+
+  console.warn(`Webhook rejected (${reason}) from ${getClientIp(req)}${detail ? `: ${detail}` : ""}`);
+}
+
+function parseWebhookTimestamp(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const raw = String(value).trim();
+  if (/^\d+$/.test(raw)) {
+    const numeric = Number(raw);
+    // Accept both seconds and milliseconds since the epoch.
+    return numeric < 1e12 ? numeric * 1000 : numeric;
+  }
+  const parsed = new Date(raw).getTime();
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+function computeWebhookSignature(rawBody) {
+  return crypto.createHmac("sha256", WEBHOOK_SECRET).update(rawBody).digest("hex");
+}
+
+function isValidWebhookSignature(req, rawBody) {
+  const provided = String(req.headers[WEBHOOK_SIGNATURE_HEADER] || "").trim().replace(/^sha256=/i, "").toLowerCase();
+  if (!/^[0-9a-f]{64}$/.test(provided)) return false;
+
+  const expected = Buffer.from(computeWebhookSignature(rawBody), "hex");
+  return crypto.timingSafeEqual(expected, Buffer.from(provided, "hex"));
+}
+
+// The signature is checked before the body is parsed, so unsigned junk never reaches JSON.parse.
+function verifyWebhookDelivery(req, rawBody) {
+  if (!WEBHOOK_SECRET) {
+    return { ok: false, statusCode: 503, reason: "secret_not_configured", error: "Webhook secret is not configured" };
+  }
+
+  if (!req.headers[WEBHOOK_SIGNATURE_HEADER]) {
+    return { ok: false, statusCode: 401, reason: "missing_signature", error: "Missing webhook signature" };
+  }
+  if (!isValidWebhookSignature(req, rawBody)) {
+    return { ok: false, statusCode: 401, reason: "invalid_signature", error: "Invalid webhook signature" };
+  }
+
+  let payload;
+  try {
+    payload = rawBody.length ? JSON.parse(rawBody.toString("utf8")) : {};
+  } catch {
+    return { ok: false, statusCode: 400, reason: "invalid_json", error: "Invalid JSON body" };
+  }
+
+  const timestampMs = parseWebhookTimestamp(
+    req.headers[WEBHOOK_TIMESTAMP_HEADER] ?? payload?.timestamp ?? payload?.created_at ?? payload?.occurred_at
+  );
+  if (timestampMs === null) {
+    return { ok: false, statusCode: 401, reason: "missing_timestamp", error: "Missing webhook timestamp" };
+  }
+  const skewSeconds = Math.abs(Date.now() - timestampMs) / 1000;
+  if (skewSeconds > WEBHOOK_TOLERANCE_SECONDS) {
+    return {
+      ok: false,
+      statusCode: 401,
+      reason: "timestamp_out_of_tolerance",
+      error: "Webhook timestamp is outside the allowed window",
+      detail: `skew ${Math.round(skewSeconds)}s`
+    };
+  }
+
+  // Only the body is signed, so the replay key comes from it: the payload id, else a digest of the body.
+  const deliveryId = String(payload?.id || `sha256:${crypto.createHash("sha256").update(rawBody).digest("hex")}`);
+  pruneWebhookDeliveries();
+  if (webhookDeliveries.has(deliveryId)) {
+    return { ok: false, statusCode: 409, reason: "replayed_delivery", error: "Webhook delivery already processed", detail: deliveryId };
+  }
+
+  return { ok: true, deliveryId, payload };
+}
+
+// Maps a pipeline event to the notification it should send, if any.
+function notificationEventFor(eventObj) {
+  if (/order[._ ]?(created|placed)/i.test(String(eventObj.event_type || ""))) return "new_order";
+  const stage = ORDER_TIMELINE_STAGES[classifyTimelineStage(`${eventObj.event_type || ""} ${eventObj.status || ""}`)]?.key;
+  if (stage === "scheduled") return "order_scheduled";
+  if (stage === "delivered") return "order_delivered";
+  return null;
+}
 
+function orderContact(order) {
+  const person = order?.customer || order?.client || order?.agent || order?.contact || {};
   return {
-    updated_at: new Date().toISOString(),
-    shoots: sortedShoots,
-    source_count: sortedShoots.length
+    name: person.name || [person.first_name, person.last_name].filter(Boolean).join(" ") || "",
+    email: person.email || null,
+    phone: person.phone || person.phone_number || null
   };
 }
 
-function refreshShootsCacheInBackground() {
-  if (shootsRefreshPromise) return shootsRefreshPromise;
-
-  shootsRefreshPromise = (async () => {
-    const nextCache = await fetchLatestShoots();
-    shootsCache = nextCache;
-    saveShootsCache(nextCache);
-  })()
-    .catch((error) => {
-      console.error(`Shoots cache refresh failed: ${error.message || error}`);
-    })
-    .finally(() => {
-      shootsRefreshPromise = null;
-    });
+function formatNotificationTime(iso) {
+  const time = new Date(iso || "").getTime();
+  if (Number.isNaN(time)) return "a time we will confirm shortly";
+  return new Intl.DateTimeFormat("en-US", {
+    timeZone: businessTimeZone(),
+    weekday: "long",
+    month: "long",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    timeZoneName: "short"
+  }).format(new Date(time));
+}
 
-  return shootsRefreshPromise;
+function signUnsubscribeToken(channel, address, event) {
+  const body = Buffer.from(JSON.stringify({ channel, address, event })).toString("base64url");
+  const signature = crypto.createHmac("sha256", SHARE_LINK_SECRET).update(`unsubscribe.${body}`).digest("base64url");
+  return `${body}.${signature}`;
 }
 
-async function handleShoots(req, res, url) {
-  const limit = Number(url.searchParams.get("limit") || 24);
-  const pageSize = Math.max(1, Math.min(limit, 100));
-  const forceRefresh = /^(1|true|yes)$/i.test(String(url.searchParams.get("refresh") || "").trim());
+function verifyUnsubscribeToken(token) {
+  const [body, signature] = String(token || "").split(".");
+  if (!body || !signature) return null;
 
-  if (!shootsCache.shoots.length || forceRefresh || !isShootsCacheFresh()) {
-    await refreshShootsCacheInBackground();
+  const expected = Buffer.from(crypto.createHmac("sha256", SHARE_LINK_SECRET).update(`unsubscribe.${body}`).digest("base64url"));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    return NOTIFICATION_EVENTS[claims?.event] && ["email", "sms"].includes(claims.channel) && claims.address ? claims : null;
+  } catch {
+    return null;
   }
+}
 
-  const shoots = shootsCache.shoots
-    .map((shoot) => sanitizeShootMedia(shoot))
-    .slice(0, pageSize);
+function notificationChannels() {
+  return Object.keys(notificationTransports).filter((channel) => notificationTransports[channel]);
+}
 
-  writeJson(res, 200, {
-    shoots,
-    source_count: shootsCache.source_count || shoots.length,
-    cache: {
-      updated_at: shootsCache.updated_at,
-      fresh: isShootsCacheFresh(),
-      refreshing: Boolean(shootsRefreshPromise),
-      ttl_seconds: SHOOTS_CACHE_TTL_SECONDS
-    }
+// Saves the webhook to the outbox before answering Aryeo. The messages are built at drain time,
+// so an Aryeo outage while filling in the order only delays them.
+function queueOrderNotifications(eventObj) {
+  const event = notificationEventFor(eventObj);
+  if (!event || !eventObj.order_id || !NOTIFY_EVENTS.includes(event) || !notificationChannels().length) return null;
+  return notificationOutbox.enqueueEvent({
+    event,
+    payload: { event, order_id: eventObj.order_id, data: eventObj.raw?.data || eventObj.raw || {} },
+    dedupeKey: eventObj.delivery_id ? `event:${eventObj.delivery_id}` : null
   });
 }
 
-function collectOrderIdentifiers(order) {
-  if (!order || typeof order !== "object") return [];
-
-  const candidates = [
-    order.id,
-    order.uuid,
-    order.order_id,
-    order.order_number,
-    order.number,
-    order.display_id,
-    order.external_id,
-    order.reference,
-    order.short_id,
-    order.legacy_id,
-    order.attributes?.id,
-    order.attributes?.uuid,
-    order.attributes?.order_id,
-    order.attributes?.order_number,
-    order.attributes?.number,
-    order.attributes?.display_id,
-    order.attributes?.external_id,
-    order.attributes?.reference
-  ];
+// Turns a queued order event into messages. Throwing leaves the event queued for a retry.
+async function expandOrderNotifications({ event, order_id: orderId, data }) {
+  // Webhook payloads are often thin, so fill in the customer, listing and appointment from Aryeo.
+  let order = data.order || data;
+  if (!order.customer || !order.listing) {
+    const payload = await fetchAryeoWithIncludeFallback(`/orders/${encodeURIComponent(orderId)}`, {
+      include: ARYEO_ORDER_INCLUDES
+    }, ["listing,appointments,items", "listing,appointments"]);
+    order = { ...order, ...(payload?.data || payload?.order || payload) };
+  }
 
-  const unique = new Set();
-  candidates.forEach((value) => {
-    if (value === undefined || value === null) return;
-    const normalized = String(value).trim();
-    if (!normalized) return;
-    unique.add(normalized);
+  const shoot = normalizeShoot(order);
+  const contact = orderContact(order);
+  const forPhotographer = NOTIFICATION_EVENTS[event] === "photographer";
+  const recipients = forPhotographer
+    ? { email: NOTIFY_PHOTOGRAPHER_EMAIL, sms: NOTIFY_PHOTOGRAPHER_PHONE }
+    : { email: contact.email, sms: contact.phone };
+  const shareExpiresAt = Math.floor(Date.now() / 1000) + SHARE_LINK_DEFAULT_TTL_DAYS * 86400;
+  const context = {
+    address: shoot.address || "your property",
+    order_number: order.number || shoot.id,
+    status: shoot.status,
+    scheduled_at: formatNotificationTime(shoot.scheduled_at),
+    customer_name: contact.name,
+    customer_email: contact.email || "",
+    customer_phone: contact.phone || "",
+    first_name: contact.name.split(/\s+/)[0] || "there",
+    status_url: `${SITE_URL}/status.html?order=${encodeURIComponent(shoot.id)}`,
+    shoot_url: `${SITE_URL}/shoot.html?token=${encodeURIComponent(signShareToken(shoot.id, shareExpiresAt))}`,
+    share_link_days: SHARE_LINK_DEFAULT_TTL_DAYS
+  };
+  // A reschedule is a new confirmation; anything else goes out once per order.
+  const dedupeScope = event === "order_scheduled" ? `${shoot.id}:${shoot.scheduled_at}` : shoot.id;
+
+  return notificationChannels().flatMap((channel) => {
+    const to = recipients[channel];
+    if (!to) return [];
+    const unsubscribeUrl = forPhotographer
+      ? ""
+      : `${SITE_URL}/api/notifications/unsubscribe?token=${encodeURIComponent(signUnsubscribeToken(channel, to, event))}`;
+    const rendered = renderMessage(notificationTemplates(), event, channel, { ...context, unsubscribe_url: unsubscribeUrl });
+    if (!rendered) return [];
+
+    return [{
+      event,
+      channel,
+      to,
+      ...rendered,
+      headers: unsubscribeUrl && channel === "email" ? { "List-Unsubscribe": `<${unsubscribeUrl}>` } : {},
+      dedupeKey: `${event}:${dedupeScope}:${channel}:${to}`
+    }];
   });
-
-  return [...unique];
 }
 
-function toLooseToken(value) {
-  return String(value || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+// Templates are read per use so edits apply without a restart; a broken file disables sending.
+function notificationTemplates() {
+  try {
+    return loadTemplates(NOTIFICATION_TEMPLATES_FILE);
+  } catch (error) {
+    console.error(`Notification templates unavailable: ${error.message}`);
+    return {};
+  }
 }
 
-async function findOrderByIdentifier(orderIdentifier) {
-  const needle = String(orderIdentifier || "").trim();
-  if (!needle) return null;
+function handleAdminOverview(req, res) {
+  if (!requireAdmin(req, res, "viewer")) return;
+  writeJson(res, 200, {
+    cache: {
+      ...shootsCacheStatus(),
+      record_count: shootsCache.shoots.length
+    },
+    webhooks: {
+      has_secret: Boolean(WEBHOOK_SECRET),
+      ...webhookStats
+    },
+    aryeo: {
+      mode: ARYEO_MODE,
+      has_token: Boolean(API_TOKEN),
+      circuit: aryeoClient.getCircuitState(),
+      recent_errors: aryeoClient.getRecentErrors()
+    },
+    notifications: notificationOutbox.stats(),
+    webhook_relay: webhookRelay.stats()
+  });
+}
 
-  const needleLower = needle.toLowerCase();
-  const needleLoose = toLooseToken(needle);
+// Waits for the pull so the dashboard can show the outcome; joins a refresh already in flight.
+async function handleAdminCacheRefresh(req, res) {
+  if (!requireAdmin(req, res)) return;
+  const startedAt = new Date().toISOString();
+  await refreshShootsCacheInBackground();
+  const status = { ...shootsCacheStatus(), record_count: shootsCache.shoots.length };
+  const failed = status.last_error_at && status.last_error_at >= startedAt;
+  writeJson(res, failed ? 502 : 200, failed ? { error: status.last_error, cache: status } : { ok: true, cache: status });
+}
 
-  for (let page = 1; page <= SHOOTS_CACHE_MAX_PAGES; page += 1) {
-    const payload = await fetchAryeoWithIncludeFallback("/orders", {
-      page,
-      page_size: SHOOTS_CACHE_FETCH_PAGE_SIZE,
-      include: "listing,appointments"
-    }, ["listing,appointments", "listing"]);
+function drainWebhookRelay() {
+  webhookRelay.drain().catch((error) => {
+    console.error(`Webhook relay drain failed: ${error.message || error}`);
+  });
+}
 
-    const items = payload?.data || payload?.orders || payload?.results || [];
-    if (!items.length) break;
+async function handleAdminWebhookRelay(req, res, url) {
+  if (!requireAdmin(req, res)) return;
+
+  if (req.method === "GET" && url.pathname === "/api/admin/webhook-relay") {
+    const limit = Math.max(1, Math.min(200, Number(url.searchParams.get("limit") || 50)));
+    writeJson(res, 200, {
+      subscribers: relaySubscribers().map(({ secret, ...subscriber }) => subscriber),
+      queue: webhookRelay.stats(),
+      deliveries: webhookRelay.list({
+        status: url.searchParams.get("status") || null,
+        subscriber: url.searchParams.get("subscriber") || null,
+        limit
+      })
+    });
+    return;
+  }
 
-    for (const order of items) {
-      const identifiers = collectOrderIdentifiers(order);
-      for (const candidate of identifiers) {
-        const candidateLower = candidate.toLowerCase();
-        if (candidateLower === needleLower) return order;
-        if (needleLoose && toLooseToken(candidateLower) === needleLoose) return order;
-      }
+  if (req.method === "POST" && url.pathname === "/api/admin/webhook-relay/redeliver") {
+    const body = await readJsonBody(req);
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      writeJson(res, 400, { error: "Invalid JSON body" });
+      return;
+    }
+    if (body.ids !== undefined && (!Array.isArray(body.ids) || !body.ids.length)) {
+      writeJson(res, 400, { error: "ids must be a non-empty list of delivery ids" });
+      return;
     }
 
-    if (items.length < SHOOTS_CACHE_FETCH_PAGE_SIZE) break;
+    const requeued = webhookRelay.redeliver({ ids: body.ids || null, subscriber: body.subscriber || null });
+    drainWebhookRelay();
+    writeJson(res, 200, { requeued });
+    return;
   }
 
-  return null;
+  writeJson(res, 405, { error: "Method not allowed" });
 }
 
-function findShootByAddressQuery(addressQuery) {
-  const needle = String(addressQuery || "").trim().toLowerCase();
-  if (!needle) return null;
-
-  const matches = shootsCache.shoots
-    .filter((shoot) => String(shoot?.address || "").toLowerCase().includes(needle))
-    .sort((a, b) => getShootSortTimestamp(b) - getShootSortTimestamp(a));
+function drainNotificationOutbox() {
+  notificationOutbox.drain().catch((error) => {
+    console.error(`Notification outbox drain failed: ${error.message || error}`);
+  });
+}
 
-  return matches[0] || null;
+function writeInvalidUnsubscribe(req, res) {
+  writeHtml(req, res, renderUnsubscribePage({
+    title: "Link not valid",
+    message: "This unsubscribe link is not valid. Reply to any of our messages and we will take you off the list."
+  }), 400);
 }
 
-async function handleOrderStatus(req, res, url) {
-  const lookupValue = String(url.searchParams.get("order_id") || "").trim();
-  if (!lookupValue) {
-    writeJson(res, 400, { error: "Missing required query param: order_id" });
+function handleUnsubscribePage(req, res, url) {
+  const claims = verifyUnsubscribeToken(url.searchParams.get("token"));
+  if (!claims) {
+    writeInvalidUnsubscribe(req, res);
     return;
   }
+  writeHtml(req, res, renderUnsubscribePage({
+    title: "Manage notifications",
+    message: `Choose which messages ${claims.address} should stop receiving.`,
+    token: url.searchParams.get("token"),
+    eventLabel: NOTIFICATION_EVENT_LABELS[claims.event]
+  }));
+}
 
-  let order;
-  let shootFromAddress = null;
-  try {
-    const payload = await fetchAryeoWithIncludeFallback(`/orders/${encodeURIComponent(lookupValue)}`, {
-      include: "listing,appointments"
-    }, ["listing,appointments", "listing"]);
-    order = payload?.data || payload?.order || payload;
-  } catch (error) {
-    const message = String(error?.message || "");
-    const notFound = message.includes("404");
-    if (!notFound) throw error;
-
-    order = await findOrderByIdentifier(lookupValue);
-    if (!order) {
-      if (!shootsCache.shoots.length) {
-        await refreshShootsCacheInBackground();
-      }
-      shootFromAddress = findShootByAddressQuery(lookupValue);
-    }
-
-    if (!order) {
-      if (shootFromAddress) {
-        writeJson(res, 200, {
-          order_id: shootFromAddress.id,
-          status: shootFromAddress.status,
-          address: shootFromAddress.address,
-          scheduled_at: shootFromAddress.scheduled_at
-        });
-        return;
-      }
-      writeJson(res, 404, {
-        error: `No recent order was found for "${lookupValue}". Try the full order UUID or a more specific property address.`
-      });
-      return;
-    }
+async function handleUnsubscribe(req, res) {
+  const body = await readFormBody(req);
+  const claims = verifyUnsubscribeToken(body.token);
+  if (!claims) {
+    writeInvalidUnsubscribe(req, res);
+    return;
   }
 
-  const shoot = normalizeShoot(order);
-
-  writeJson(res, 200, {
-    order_id: shoot.id,
-    status: shoot.status,
-    address: shoot.address,
-    scheduled_at: shoot.scheduled_at
-  });
+  const all = body.scope === "all";
+  notificationOptOuts.add(claims.channel, claims.address, [all ? "*" : claims.event]);
+  writeHtml(req, res, renderUnsubscribePage({
+    title: "You are unsubscribed",
+    message: all
+      ? `${claims.address} will not get any more automated messages from us.`
+      : `${claims.address} will not get any more ${NOTIFICATION_EVENT_LABELS[claims.event]}.`
+  }));
 }
 
-async function handleShootDetail(req, res, url) {
-  const orderId = url.searchParams.get("order_id");
-  if (!orderId) {
-    writeJson(res, 400, { error: "Missing required query param: order_id" });
+async function handleAdminNotifications(req, res, url) {
+  if (!requireAdmin(req, res)) return;
+
+  if (req.method === "GET" && url.pathname === "/api/admin/notifications") {
+    const limit = Math.max(1, Math.min(200, Number(url.searchParams.get("limit") || 50)));
+    writeJson(res, 200, {
+      transports: {
+        email: notificationTransports.email?.name || null,
+        sms: notificationTransports.sms?.name || null
+      },
+      events: NOTIFY_EVENTS,
+      outbox: notificationOutbox.stats(),
+      messages: notificationOutbox.list({ limit, status: url.searchParams.get("status") || null }),
+      opt_outs: notificationOptOuts.list()
+    });
     return;
   }
 
-  const payload = await fetchAryeoWithIncludeFallback(`/orders/${encodeURIComponent(orderId)}`, {
-    include: ARYEO_ORDER_INCLUDES
-  }, ["listing,appointments,items", "listing,appointments"]);
-  const order = payload?.data || payload?.order || payload;
-  const shoot = normalizeShoot(order);
+  if (req.method === "POST" && url.pathname === "/api/admin/notifications/retry") {
+    const requeued = notificationOutbox.retryFailed();
+    drainNotificationOutbox();
+    writeJson(res, 200, { requeued });
+    return;
+  }
 
-  writeJson(res, 200, { shoot });
-}
+  if (url.pathname === "/api/admin/notifications/opt-outs" && (req.method === "POST" || req.method === "DELETE")) {
+    const body = await readJsonBody(req);
+    const channel = String(body?.channel || "");
+    const address = String(body?.address || "").trim();
+    if (!["email", "sms"].includes(channel) || !address) {
+      writeJson(res, 400, { error: "channel (email or sms) and address are required" });
+      return;
+    }
+    if (req.method === "DELETE") {
+      writeJson(res, notificationOptOuts.remove(channel, address) ? 200 : 404, { ok: true });
+      return;
+    }
 
-async function handleWebhook(req, res, body) {
-  const headerSecret = req.headers["x-webhook-secret"];
-  if (WEBHOOK_SECRET && headerSecret !== WEBHOOK_SECRET) {
-    writeJson(res, 401, { error: "Invalid webhook secret" });
+    const events = Array.isArray(body.events) && body.events.length ? body.events.map(String) : ["*"];
+    if (events.some((event) => event !== "*" && !NOTIFICATION_EVENTS[event])) {
+      writeJson(res, 400, { error: `events must be "*" or any of ${Object.keys(NOTIFICATION_EVENTS).join(", ")}` });
+      return;
+    }
+    writeJson(res, 200, { channel, address, events: notificationOptOuts.add(channel, address, events) });
     return;
   }
 
-  let payload;
-  try {
-    payload = body ? JSON.parse(body) : {};
-  } catch {
-    writeJson(res, 400, { error: "Invalid JSON body" });
+  writeJson(res, 405, { error: "Method not allowed" });
+}
+
+async function handleWebhook(req, res, rawBody) {
+  const verification = verifyWebhookDelivery(req, rawBody);
+  if (!verification.ok) {
+    recordWebhookRejection(verification.reason, req, verification.detail);
+    writeJson(res, verification.statusCode, { error: verification.error, reason: verification.reason });
     return;
   }
 
-  const eventObj = pipelineEventFromWebhook(payload);
+  const eventObj = pipelineEventFromWebhook(verification.payload);
+  eventObj.delivery_id = verification.deliveryId;
   appendPipelineEvent(eventObj);
+  // Queued before answering, so a crash here means Aryeo retries rather than subscribers missing out.
+  const relayed = webhookRelay.publish(eventObj);
+  const notifying = queueOrderNotifications(eventObj);
 
+  webhookDeliveries.set(verification.deliveryId, eventObj.received_at);
+  saveWebhookDeliveries();
+  webhookStats.accepted += 1;
+  webhookStats.last_accepted_at = eventObj.received_at;
+
+  // Answer Aryeo right away; the cache patch runs after the response.
   writeJson(res, 200, { ok: true });
+  queueShootsCachePatch(eventObj);
+  if (relayed) drainWebhookRelay();
+  if (notifying) drainNotificationOutbox();
 }
 
 const server = http.createServer(async (req, res) => {
@@ -727,8 +3161,8 @@ const server = http.createServer(async (req, res) => {
   if (req.method === "OPTIONS") {
     res.writeHead(204, {
       "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Methods": "GET,POST,OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type,x-webhook-secret"
+      "Access-Control-Allow-Methods": "GET,POST,DELETE,OPTIONS",
+      "Access-Control-Allow-Headers": CORS_ALLOW_HEADERS
     });
     res.end();
     return;
@@ -738,7 +3172,17 @@ const server = http.createServer(async (req, res) => {
 
   try {
     if (req.method === "GET" && url.pathname === "/api/health") {
-      writeJson(res, 200, { ok: true, api_base: API_BASE, has_token: Boolean(API_TOKEN) });
+      writeJson(res, 200, {
+        ok: true,
+        api_base: API_BASE,
+        aryeo_mode: ARYEO_MODE,
+        has_token: Boolean(API_TOKEN),
+        aryeo_circuit: aryeoClient.getCircuitState(),
+        webhooks: {
+          has_secret: Boolean(WEBHOOK_SECRET),
+          ...webhookStats
+        }
+      });
       return;
     }
 
@@ -748,25 +3192,164 @@ const server = http.createServer(async (req, res) => {
     }
 
     if (req.method === "GET" && url.pathname === "/api/order-status") {
+      if (!enforceRateLimit(req, res, "order-status")) return;
       await handleOrderStatus(req, res, url);
       return;
     }
 
-    if (req.method === "GET" && url.pathname === "/api/shoot") {
+    if (req.method === "GET" && url.pathname === "/api/order-timeline") {
+      if (!enforceRateLimit(req, res, "order-status")) return;
+      await handleOrderTimeline(req, res, url);
+      return;
+    }
+
+    if ((req.method === "GET" || req.method === "HEAD") && url.pathname === "/api/shoot") {
       await handleShootDetail(req, res, url);
       return;
     }
 
+    if (req.method === "GET" && url.pathname === "/api/shoot/download") {
+      await handleShootDownload(req, res, url);
+      return;
+    }
+
+    if ((req.method === "GET" || req.method === "HEAD") && url.pathname === "/api/image") {
+      if (!enforceRateLimit(req, res, "image")) return;
+      await handleImage(req, res, url);
+      return;
+    }
+
     if (req.method === "POST" && url.pathname === "/api/webhooks/aryeo") {
-      const body = await readBody(req);
-      await handleWebhook(req, res, body);
+      const rawBody = await readRawBody(req);
+      await handleWebhook(req, res, rawBody);
+      return;
+    }
+
+    if (req.method === "POST" && url.pathname === "/api/admin/login") {
+      if (!enforceRateLimit(req, res, "admin-login")) return;
+      await handleAdminLogin(req, res);
+      return;
+    }
+
+    if (req.method === "POST" && url.pathname === "/api/admin/logout") {
+      handleAdminLogout(req, res);
+      return;
+    }
+
+    if (req.method === "GET" && url.pathname === "/api/admin/session") {
+      const auth = requireAdmin(req, res, "viewer");
+      if (!auth) return;
+      writeJson(res, 200, { name: auth.name, role: auth.role, via: auth.via });
+      return;
+    }
+
+    if (req.method === "GET" && url.pathname === "/api/admin/overview") {
+      handleAdminOverview(req, res);
+      return;
+    }
+
+    if (req.method === "POST" && url.pathname === "/api/admin/cache/refresh") {
+      await handleAdminCacheRefresh(req, res);
+      return;
+    }
+
+    if (req.method === "POST" && url.pathname === "/api/admin/share-links") {
+      await handleAdminShareLink(req, res);
+      return;
+    }
+
+    if (url.pathname === "/api/admin/portfolio-overrides" || url.pathname.startsWith("/api/admin/portfolio-overrides/")) {
+      await handleAdminPortfolioOverrides(req, res, url);
+      return;
+    }
+
+    if (url.pathname === "/api/admin/webhook-relay" || url.pathname.startsWith("/api/admin/webhook-relay/")) {
+      await handleAdminWebhookRelay(req, res, url);
+      return;
+    }
+
+    if (url.pathname === "/api/admin/notifications" || url.pathname.startsWith("/api/admin/notifications/")) {
+      await handleAdminNotifications(req, res, url);
+      return;
+    }
+
+    if ((req.method === "GET" || req.method === "HEAD") && url.pathname === "/api/notifications/unsubscribe") {
+      handleUnsubscribePage(req, res, url);
+      return;
+    }
+
+    if (req.method === "POST" && url.pathname === "/api/notifications/unsubscribe") {
+      await handleUnsubscribe(req, res);
       return;
     }
 
     if (req.method === "GET" && url.pathname === "/api/pipeline/leads") {
-      const limit = Number(url.searchParams.get("limit") || 200);
-      const events = readPipelineEvents(limit);
-      writeJson(res, 200, { events, count: events.length });
+      handlePipelineLeads(req, res, url);
+      return;
+    }
+
+    if (req.method === "GET" && url.pathname === "/api/pipeline/stats") {
+      handlePipelineStats(req, res, url);
+      return;
+    }
+
+    if (req.method === "GET" && url.pathname === "/api/pipeline/export") {
+      handlePipelineExport(req, res, url);
+      return;
+    }
+
+    if (req.method === "GET" && url.pathname === "/api/pricing") {
+      handlePricing(req, res);
+      return;
+    }
+
+    if (req.method === "GET" && url.pathname === "/api/availability") {
+      await handleAvailability(req, res, url);
+      return;
+    }
+
+    if (req.method === "GET" && url.pathname === "/api/leads/form-token") {
+      handleLeadFormToken(req, res);
+      return;
+    }
+
+    if (req.method === "POST" && url.pathname === "/api/leads") {
+      await handleLeadSubmit(req, res);
+      return;
+    }
+
+    if (req.method === "POST" && url.pathname === "/api/quote") {
+      await handleQuote(req, res);
+      return;
+    }
+
+    if ((req.method === "GET" || req.method === "HEAD") && ["/", "/index.html"].includes(url.pathname)) {
+      serveHomePage(req, res);
+      return;
+    }
+
+    if ((req.method === "GET" || req.method === "HEAD") && url.pathname === "/sitemap.xml") {
+      serveSitemap(req, res);
+      return;
+    }
+
+    if ((req.method === "GET" || req.method === "HEAD") && url.pathname === "/robots.txt") {
+      serveRobots(req, res);
+      return;
+    }
+
+    if ((req.method === "GET" || req.method === "HEAD") && ["/feed.atom", "/feed.rss"].includes(url.pathname)) {
+      serveFeed(req, res, url.pathname.endsWith(".rss") ? "rss" : "atom");
+      return;
+    }
+
+    if ((req.method === "GET" || req.method === "HEAD") && ["/portfolio.html", "/portfolio"].includes(url.pathname)) {
+      servePortfolioPage(req, res, url);
+      return;
+    }
+
+    if ((req.method === "GET" || req.method === "HEAD") && ["/shoot.html", "/shoot"].includes(url.pathname)) {
+      serveShootPage(req, res, url);
       return;
     }
 
@@ -779,18 +3362,79 @@ const server = http.createServer(async (req, res) => {
 
     writeJson(res, 404, { error: "Not found" });
   } catch (error) {
+    if (error instanceof AryeoNotFoundError) {
+      writeJson(res, 404, { error: "Order not found" });
+      return;
+    }
+    if (error instanceof AryeoError) {
+      console.error(`Aryeo request failed for ${url.pathname}: ${error.message}`);
+      writeAryeoError(res, error);
+      return;
+    }
     writeJson(res, 500, { error: error.message || "Unexpected server error" });
   }
 });
 
-loadShootsCache();
+function startServer(port = PORT, host = HOST) {
+  // Fails the start, not the home page, when the pricing file is broken from the outset.
+  loadPricing(PRICING_FILE);
+  loadShootsCache();
+  loadWebhookDeliveries();
+  loadPortfolioOverrides();
+  setInterval(sweepRateLimitBuckets, 60_000).unref();
+  setInterval(() => imageProxy.pruneCache(), 10 * 60_000).unref();
+  // Picks up retries and anything left in the outbox by a restart.
+  setInterval(drainNotificationOutbox, 30_000).unref();
+  setInterval(drainWebhookRelay, 30_000).unref();
+  drainNotificationOutbox();
+  drainWebhookRelay();
+  scheduleNextShootsRefresh();
+
+  server.listen(port, host, () => {
+    console.log(`Aryeo integration API running on http://${host}:${port}`);
+    if (ARYEO_MODE !== "live") {
+      console.log(`Aryeo ${ARYEO_MODE} mode: using fixtures in ${ARYEO_FIXTURES_DIR}.`);
+    }
+    if (!API_TOKEN && ARYEO_MODE !== "fixtures") {
+      console.log("Warning: ARYEO_API_TOKEN is not set. API routes that call Aryeo will fail until token is provided.");
+    }
+    if (!ADMIN_API_KEYS.length) {
+      console.log("Warning: ADMIN_API_KEYS is not set. Admin routes will reject every request and pipeline data stays redacted.");
+    }
+    if (!process.env.ADMIN_SESSION_SECRET) {
+      console.log("Warning: ADMIN_SESSION_SECRET is not set. Admin browser sessions will not survive a restart.");
+    }
+    if (!process.env.SHARE_LINK_SECRET) {
+      console.log("Warning: SHARE_LINK_SECRET is not set. Shoot share links will stop working after a restart.");
+    }
+    if (!process.env.LEAD_FORM_SECRET) {
+      console.log("Warning: LEAD_FORM_SECRET is not set. Contact forms opened before a restart will ask visitors to send again.");
+    }
+    if (!WEBHOOK_SECRET) {
+      console.log("Warning: WEBHOOK_SECRET is not set. Incoming Aryeo webhooks will be rejected until it is provided.");
+    }
+    if (shootsCache.updated_at) {
+      console.log(`Loaded shoots cache from disk (${shootsCache.shoots.length} records, updated ${shootsCache.updated_at}).`);
+    }
+  });
+  return server;
+}
 
-server.listen(PORT, HOST, () => {
-  console.log(`Aryeo integration API running on http://${HOST}:${PORT}`);
-  if (!API_TOKEN) {
-    console.log("Warning: ARYEO_API_TOKEN is not set. API routes that call Aryeo will fail until token is provided.");
-  }
-  if (shootsCache.updated_at) {
-    console.log(`Loaded shoots cache from disk (${shootsCache.shoots.length} records, updated ${shootsCache.updated_at}).`);
-  }
-});
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = {
+  server,
+  startServer,
+  normalizeShoot,
+  canonicalImageKey,
+  collectImageUrls,
+  looksLikeImageUrl,
+  sanitizeShootMedia,
+  tokenizeAddress,
+  parseAddressParts,
+  buildOrderTimeline,
+  replayRefreshPatches,
+  bookedAppointments
+};
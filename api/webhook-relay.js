@@ -0,0 +1,230 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// [{ name, url, secret, events: ["order.*"], include_raw, enabled }]. A missing file means no subscribers.
+function loadSubscribers(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const list = Array.isArray(parsed) ? parsed : parsed?.subscribers;
+  if (!Array.isArray(list)) throw new Error(`${filePath} must hold a "subscribers" list`);
+
+  const names = new Set();
+  return list.map((entry, index) => {
+    const name = String(entry?.name || "").trim();
+    if (!name || names.has(name)) throw new Error(`Subscriber ${index + 1} in ${filePath} needs a unique name`);
+    names.add(name);
+    if (!/^https?:\/\//i.test(String(entry.url || ""))) throw new Error(`Subscriber "${name}" needs an http(s) url`);
+    if (!entry.secret) throw new Error(`Subscriber "${name}" needs a signing secret`);
+    return {
+      name,
+      url: String(entry.url),
+      secret: String(entry.secret),
+      events: Array.isArray(entry.events) && entry.events.length ? entry.events.map(String) : ["*"],
+      include_raw: entry.include_raw === true,
+      enabled: entry.enabled !== false
+    };
+  });
+}
+
+// "*" matches everything and "order.*" matches every event starting with "order.".
+function eventMatches(patterns, eventType) {
+  const type = String(eventType || "");
+  return patterns.some((pattern) => pattern === "*" || pattern === type || (pattern.endsWith("*") && type.startsWith(pattern.slice(0, -1))));
+}
+
+// The timestamp is signed with the body so a captured delivery can't be replayed later.
+function signRelayBody(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+function createWebhookRelay({
+  file,
+  getSubscribers,
+  maxAttempts = 10,
+  retryBaseMs = 30 * 1000,
+  retryMaxMs = 6 * 60 * 60 * 1000,
+  deliveredRetentionMs = 7 * 24 * 60 * 60 * 1000,
+  deadRetentionMs = 30 * 24 * 60 * 60 * 1000,
+  timeoutMs = 10000,
+  fetchImpl = (...args) => fetch(...args),
+  logger = console
+}) {
+  let deliveries = [];
+  let draining = null;
+
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (Array.isArray(parsed.deliveries)) deliveries = parsed.deliveries;
+  } catch {
+    // Missing or corrupted queue starts empty.
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tempFile = `${file}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({ deliveries }, null, 2), "utf8");
+    fs.renameSync(tempFile, file);
+  }
+
+  // Queues one delivery per matching subscriber and returns how many were queued. The event id comes
+  // from the Aryeo delivery id, so a webhook Aryeo sends again isn't queued twice for a subscriber.
+  function publish(eventObj) {
+    const { raw, ...normalized } = eventObj;
+    const eventId = eventObj.delivery_id ? String(eventObj.delivery_id) : crypto.randomUUID();
+    const matching = getSubscribers().filter((subscriber) => subscriber.enabled
+      && eventMatches(subscriber.events, eventObj.event_type)
+      && !deliveries.some((delivery) => delivery.event_id === eventId && delivery.subscriber === subscriber.name));
+    if (!matching.length) return 0;
+
+    const now = new Date().toISOString();
+    matching.forEach((subscriber) => {
+      const body = {
+        id: eventId,
+        type: eventObj.event_type,
+        occurred_at: eventObj.received_at || now,
+        data: normalized,
+        ...(subscriber.include_raw ? { raw } : {})
+      };
+      deliveries.push({
+        id: crypto.randomUUID(),
+        event_id: eventId,
+        event_type: eventObj.event_type,
+        order_id: eventObj.order_id || null,
+        subscriber: subscriber.name,
+        body: JSON.stringify(body),
+        status: "pending",
+        attempts: 0,
+        created_at: now,
+        next_attempt_at: now,
+        last_attempt_at: null,
+        last_status: null,
+        last_error: null,
+        delivered_at: null
+      });
+    });
+    save();
+    return matching.length;
+  }
+
+  function retryDelayMs(attempts) {
+    return Math.min(retryMaxMs, retryBaseMs * 2 ** (attempts - 1));
+  }
+
+  async function deliver(delivery, subscriber) {
+    delivery.attempts += 1;
+    delivery.last_attempt_at = new Date().toISOString();
+    try {
+      if (!subscriber) throw new Error("Subscriber is no longer configured");
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const response = await fetchImpl(subscriber.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "Elevate-Webhook-Relay/1.0",
+          "X-Elevate-Event": delivery.event_type,
+          "X-Elevate-Delivery": delivery.id,
+          "X-Elevate-Timestamp": timestamp,
+          "X-Elevate-Signature": `sha256=${signRelayBody(subscriber.secret, timestamp, delivery.body)}`
+        },
+        body: delivery.body,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      delivery.last_status = response.status;
+      // Drain the body so the connection can be reused.
+      await response.arrayBuffer().catch(() => null);
+      if (!response.ok) throw new Error(`Subscriber answered ${response.status}`);
+
+      delivery.status = "delivered";
+      delivery.delivered_at = new Date().toISOString();
+      delivery.last_error = null;
+    } catch (error) {
+      delivery.last_error = String(error?.message || error);
+      if (!subscriber || delivery.attempts >= maxAttempts) {
+        delivery.status = "dead";
+        logger.error(`Relay delivery ${delivery.id} to ${delivery.subscriber} dead-lettered after ${delivery.attempts} attempt(s): ${delivery.last_error}`);
+      } else {
+        delivery.next_attempt_at = new Date(Date.now() + retryDelayMs(delivery.attempts)).toISOString();
+        logger.warn(`Relay delivery ${delivery.id} to ${delivery.subscriber} attempt ${delivery.attempts} failed: ${delivery.last_error}`);
+      }
+    }
+  }
+
+  function prune() {
+    const now = Date.now();
+    deliveries = deliveries.filter((delivery) => {
+      const age = now - new Date(delivery.created_at).getTime();
+      if (delivery.status === "delivered") return age < deliveredRetentionMs;
+      if (delivery.status === "dead") return age < deadRetentionMs;
+      return true;
+    });
+  }
+
+  // Subscribers drain in parallel so one slow endpoint can't hold up the rest. Each drain sends a
+  // subscriber's due deliveries in queue order, but a failed one waits for its retry while later ones
+  // go out, so receivers get no ordering guarantee.
+  function drain() {
+    if (draining) return draining;
+    draining = (async () => {
+      const subscribers = new Map(getSubscribers().map((subscriber) => [subscriber.name, subscriber]));
+      const due = deliveries.filter((delivery) => delivery.status === "pending" && new Date(delivery.next_attempt_at).getTime() <= Date.now());
+      const bySubscriber = new Map();
+      due.forEach((delivery) => {
+        if (!bySubscriber.has(delivery.subscriber)) bySubscriber.set(delivery.subscriber, []);
+        bySubscriber.get(delivery.subscriber).push(delivery);
+      });
+
+      await Promise.all([...bySubscriber].map(async ([name, queue]) => {
+        for (const delivery of queue) {
+          await deliver(delivery, subscribers.get(name));
+          save();
+        }
+      }));
+      prune();
+      save();
+    })().finally(() => {
+      draining = null;
+    });
+    return draining;
+  }
+
+  // Requeues deliveries by id, or every dead one (optionally for one subscriber). Returns the count.
+  function redeliver({ ids = null, subscriber = null } = {}) {
+    const now = new Date().toISOString();
+    const wanted = ids ? new Set(ids.map(String)) : null;
+    let count = 0;
+    deliveries.forEach((delivery) => {
+      if (delivery.status === "pending") return;
+      if (wanted ? !wanted.has(delivery.id) : delivery.status !== "dead") return;
+      if (subscriber && delivery.subscriber !== subscriber) return;
+      Object.assign(delivery, { status: "pending", attempts: 0, next_attempt_at: now, delivered_at: null });
+      count += 1;
+    });
+    if (count) save();
+    return count;
+  }
+
+  function stats() {
+    const counts = { pending: 0, delivered: 0, dead: 0 };
+    deliveries.forEach((delivery) => {
+      counts[delivery.status] = (counts[delivery.status] || 0) + 1;
+    });
+    return counts;
+  }
+
+  function list({ status = null, subscriber = null, limit = 50 } = {}) {
+    return deliveries
+      .filter((delivery) => (!status || delivery.status === status) && (!subscriber || delivery.subscriber === subscriber))
+      .slice(-limit)
+      .reverse();
+  }
+
+  return { publish, drain, redeliver, stats, list };
+}
+
+module.exports = {
+  loadSubscribers,
+  eventMatches,
+  signRelayBody,
+  createWebhookRelay
+};
@@ -0,0 +1,142 @@
+const { once } = require("events");
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const MAX_ZIP32_BYTES = 0xffffffff;
+// Bit 3: sizes and CRC follow the data in a descriptor. Bit 11: names are UTF-8.
+const ENTRY_FLAGS = 0x0008 | 0x0800;
+
+function crc32(buffer, previous = 0) {
+  let crc = ~previous >>> 0;
+  for (let index = 0; index < buffer.length; index += 1) {
+    crc = CRC32_TABLE[(crc ^ buffer[index]) & 0xff] ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+}
+
+function dosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+function localFileHeader(nameBytes, stamp) {
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(20, 4);
+  header.writeUInt16LE(ENTRY_FLAGS, 6);
+  header.writeUInt16LE(0, 8);
+  header.writeUInt16LE(stamp.time, 10);
+  header.writeUInt16LE(stamp.date, 12);
+  // CRC and sizes (14-25) stay zero; the data descriptor carries them.
+  header.writeUInt16LE(nameBytes.length, 26);
+  header.writeUInt16LE(0, 28);
+  return Buffer.concat([header, nameBytes]);
+}
+
+function dataDescriptor(entry) {
+  const descriptor = Buffer.alloc(16);
+  descriptor.writeUInt32LE(0x08074b50, 0);
+  descriptor.writeUInt32LE(entry.crc, 4);
+  descriptor.writeUInt32LE(entry.size, 8);
+  descriptor.writeUInt32LE(entry.size, 12);
+  return descriptor;
+}
+
+function centralDirectoryHeader(entry) {
+  const header = Buffer.alloc(46);
+  header.writeUInt32LE(0x02014b50, 0);
+  header.writeUInt16LE(20, 4);
+  header.writeUInt16LE(20, 6);
+  header.writeUInt16LE(ENTRY_FLAGS, 8);
+  header.writeUInt16LE(0, 10);
+  header.writeUInt16LE(entry.stamp.time, 12);
+  header.writeUInt16LE(entry.stamp.date, 14);
+  header.writeUInt32LE(entry.crc, 16);
+  header.writeUInt32LE(entry.size, 20);
+  header.writeUInt32LE(entry.size, 24);
+  header.writeUInt16LE(entry.nameBytes.length, 28);
+  header.writeUInt32LE(entry.offset, 42);
+  return Buffer.concat([header, entry.nameBytes]);
+}
+
+function endOfCentralDirectory(entryCount, directorySize, directoryOffset) {
+  const record = Buffer.alloc(22);
+  record.writeUInt32LE(0x06054b50, 0);
+  record.writeUInt16LE(entryCount, 8);
+  record.writeUInt16LE(entryCount, 10);
+  record.writeUInt32LE(directorySize, 12);
+  record.writeUInt32LE(directoryOffset, 16);
+  return record;
+}
+
+// Writes an uncompressed (stored) ZIP to a writable stream one entry at a time.
+// Photos are already compressed, so storing them keeps CPU low and output streamable.
+function createZipWriter(output) {
+  const entries = [];
+  let offset = 0;
+
+  async function write(chunk) {
+    if (output.destroyed || output.writableEnded) throw new Error("ZIP output closed");
+    offset += chunk.length;
+    if (offset > MAX_ZIP32_BYTES) throw new Error("ZIP archive exceeds 4 GB");
+    if (!output.write(chunk)) {
+      await Promise.race([once(output, "drain"), once(output, "close")]);
+    }
+  }
+
+  // source is any async iterable of Buffers or Uint8Arrays (a Node stream or a fetch body).
+  async function addFile(name, source, { modifiedAt = new Date() } = {}) {
+    if (entries.length >= 0xffff) throw new Error("ZIP archive has too many entries");
+    const entry = {
+      nameBytes: Buffer.from(name, "utf8"),
+      stamp: dosDateTime(modifiedAt),
+      offset,
+      crc: 0,
+      size: 0
+    };
+
+    await write(localFileHeader(entry.nameBytes, entry.stamp));
+    for await (const chunk of source) {
+      const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+      entry.crc = crc32(buffer, entry.crc);
+      entry.size += buffer.length;
+      await write(buffer);
+    }
+    await write(dataDescriptor(entry));
+    entries.push(entry);
+  }
+
+  async function finish() {
+    const directoryOffset = offset;
+    const directory = Buffer.concat(entries.map((entry) => centralDirectoryHeader(entry)));
+    await write(directory);
+    await write(endOfCentralDirectory(entries.length, directory.length, directoryOffset));
+    output.end();
+  }
+
+  return {
+    addFile,
+    finish,
+    get entryCount() {
+      return entries.length;
+    }
+  };
+}
+
+module.exports = {
+  createZipWriter,
+  crc32
+};
@@ -53,36 +53,14 @@ function formatDate(iso) {
   return parsed.toLocaleString();
 }
 
-function formatLocationLabel(address) {
-  if (!address) return "View Photos";
-  const parts = String(address).split(",").map((part) => part.trim()).filter(Boolean);
-  if (parts.length) {
-    for (let index = 0; index < parts.length; index += 1) {
-      const zipMatch = parts[index].match(/\b\d{5}(?:-\d{4})?\b/);
-      if (zipMatch) {
-        const city = parts[index - 1] || parts[index] || "Location";
-        return `${city}, ${zipMatch[0]}`;
-      }
-    }
-  }
-  return String(address);
+function formatWaitTime(seconds) {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? "" : "s"}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? "" : "s"}`;
 }
 
-function normalizeMediaKey(url) {
-  if (!url) return "";
-  const raw = String(url).trim();
-  const uuidMatch = raw.toLowerCase().match(/[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}/);
-  if (uuidMatch) return `uuid:${uuidMatch[0]}`;
-
-  try {
-    const parsed = new URL(raw);
-    return `${parsed.hostname}${decodeURIComponent(parsed.pathname).toLowerCase()
-      .replace(/-\d+x\d+(?=\.[a-z0-9]+$)/g, "")
-      .replace(/_(thumb|thumbnail|small|medium|large|xl)(?=\.[a-z0-9]+$)/g, "")}`;
-  } catch {
-    return raw.toLowerCase();
-  }
-}
+// Card and gallery markup comes from shoot-markup.js, shared with the server-side renderer.
+const { formatLocationLabel, proxiedImageUrl, renderShootCard, renderShootDetailPhotos } = window.SHOOT_MARKUP;
 
 const linkNodes = [...document.querySelectorAll("[data-link-key]")];
 if (linkNodes.length) {
@@ -113,23 +91,62 @@ if (yearEl) {
   yearEl.textContent = new Date().getFullYear();
 }
 
-if (gallery && lightbox && lightboxImage && lightboxCaption) {
-  gallery.addEventListener("click", (event) => {
-    const img = event.target.closest("img");
-    if (!img) return;
+const lightboxCounter = document.getElementById("lightboxCounter");
+const lightboxPrev = document.getElementById("lightboxPrev");
+const lightboxNext = document.getElementById("lightboxNext");
+const lightboxState = { items: [], index: 0, deepLink: false };
+const PHOTO_HASH_PATTERN = /^#photo=(\d+)$/;
 
-    const caption = img.closest("figure")?.querySelector("figcaption")?.textContent ?? "";
-    lightboxImage.src = img.src;
-    lightboxImage.alt = img.alt;
-    lightboxCaption.textContent = caption;
-    lightbox.showModal();
-  });
+function preloadImage(src) {
+  if (!src) return;
+  const img = new Image();
+  img.src = src;
 }
 
-if (closeLightbox && lightbox) {
-  closeLightbox.addEventListener("click", () => {
-    lightbox.close();
-  });
+function showLightboxPhoto(index) {
+  const { items } = lightboxState;
+  if (!items.length) return;
+  lightboxState.index = (index + items.length) % items.length;
+  const item = items[lightboxState.index];
+
+  lightboxImage.src = item.src;
+  lightboxImage.alt = item.alt || "";
+  lightboxCaption.textContent = item.caption || "";
+  if (lightboxCounter) lightboxCounter.textContent = items.length > 1 ? `${lightboxState.index + 1} / ${items.length}` : "";
+  if (lightboxPrev) lightboxPrev.hidden = items.length < 2;
+  if (lightboxNext) lightboxNext.hidden = items.length < 2;
+
+  if (items.length > 1) {
+    preloadImage(items[(lightboxState.index + 1) % items.length].src);
+    preloadImage(items[(lightboxState.index - 1 + items.length) % items.length].src);
+  }
+  if (lightboxState.deepLink) {
+    window.history.replaceState(null, "", `#photo=${lightboxState.index + 1}`);
+  }
+}
+
+// items: [{ src, alt, caption }]. deepLink keeps #photo=N (1-based) in the URL while open.
+function openLightbox(items, index = 0, { deepLink = false } = {}) {
+  if (!lightbox || !lightboxImage || !items.length) return;
+  lightboxState.items = items;
+  lightboxState.deepLink = deepLink;
+  showLightboxPhoto(index);
+  if (!lightbox.open) lightbox.showModal();
+}
+
+function openLightboxFromHash(items) {
+  const match = window.location.hash.match(PHOTO_HASH_PATTERN);
+  if (!match) return;
+  const index = Number(match[1]) - 1;
+  if (index >= 0 && index < items.length) openLightbox(items, index, { deepLink: true });
+}
+
+if (lightbox && lightboxImage && lightboxCaption) {
+  if (closeLightbox) {
+    closeLightbox.addEventListener("click", () => lightbox.close());
+  }
+  if (lightboxPrev) lightboxPrev.addEventListener("click", () => showLightboxPhoto(lightboxState.index - 1));
+  if (lightboxNext) lightboxNext.addEventListener("click", () => showLightboxPhoto(lightboxState.index + 1));
 
   lightbox.addEventListener("click", (event) => {
     const insideImage = event.target.closest("img") || event.target.closest("button");
@@ -137,104 +154,378 @@ if (closeLightbox && lightbox) {
       lightbox.close();
     }
   });
+
+  lightbox.addEventListener("keydown", (event) => {
+    if (event.key === "ArrowLeft") {
+      showLightboxPhoto(lightboxState.index - 1);
+    } else if (event.key === "ArrowRight") {
+      showLightboxPhoto(lightboxState.index + 1);
+    } else if (event.key === "Tab") {
+      // Keep focus cycling through the dialog's own controls.
+      const focusable = [...lightbox.querySelectorAll("button:not([hidden])")];
+      if (!focusable.length) return;
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+      }
+    }
+  });
+
+  let swipeStart = null;
+  lightbox.addEventListener("touchstart", (event) => {
+    const touch = event.changedTouches[0];
+    swipeStart = { x: touch.clientX, y: touch.clientY };
+  }, { passive: true });
+  lightbox.addEventListener("touchend", (event) => {
+    if (!swipeStart) return;
+    const touch = event.changedTouches[0];
+    const deltaX = touch.clientX - swipeStart.x;
+    const deltaY = touch.clientY - swipeStart.y;
+    swipeStart = null;
+    if (Math.abs(deltaX) < 40 || Math.abs(deltaX) < Math.abs(deltaY)) return;
+    showLightboxPhoto(lightboxState.index + (deltaX < 0 ? 1 : -1));
+  });
+
+  lightbox.addEventListener("close", () => {
+    if (lightboxState.deepLink && PHOTO_HASH_PATTERN.test(window.location.hash)) {
+      window.history.replaceState(null, "", `${window.location.pathname}${window.location.search}`);
+    }
+  });
+}
+
+if (gallery && lightbox) {
+  const galleryItems = () => [...gallery.querySelectorAll("img")].map((img) => ({
+    src: img.src,
+    alt: img.alt,
+    caption: img.closest("figure")?.querySelector("figcaption")?.textContent ?? ""
+  }));
+
+  gallery.addEventListener("click", (event) => {
+    const img = event.target.closest("img");
+    if (!img) return;
+    openLightbox(galleryItems(), [...gallery.querySelectorAll("img")].indexOf(img));
+  });
 }
 
 const shootGrid = document.getElementById("shootGrid");
 const shootsStatus = document.getElementById("shootsStatus");
+const shootFilters = document.getElementById("shootFilters");
+const shootsLoadMore = document.getElementById("shootsLoadMore");
+const SHOOT_FILTER_KEYS = ["q", "status", "city", "zip", "from", "to"];
+const SHOOTS_PAGE_SIZE = 24;
+
+function fillFilterOptions(select, values) {
+  if (!select || !Array.isArray(values)) return;
+  const current = select.value;
+  const known = new Set([...select.options].map((option) => option.value));
+  values.forEach((value) => {
+    if (known.has(value)) return;
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = value;
+    select.append(option);
+  });
+  select.value = current;
+}
+
+function readShootFilters() {
+  const filters = {};
+  if (!shootFilters) return filters;
+  const formData = new FormData(shootFilters);
+  SHOOT_FILTER_KEYS.forEach((key) => {
+    const value = String(formData.get(key) || "").trim();
+    if (value) filters[key] = value;
+  });
+  return filters;
+}
+
+function applyShootFiltersFromUrl() {
+  if (!shootFilters) return;
+  const params = new URLSearchParams(window.location.search);
+  SHOOT_FILTER_KEYS.forEach((key) => {
+    const field = shootFilters.elements.namedItem(key);
+    const value = params.get(key);
+    if (!field || !value) return;
+    // Facet options arrive with the first page, so add the URL's value up front.
+    if (field.tagName === "SELECT") fillFilterOptions(field, [value]);
+    field.value = value;
+  });
+}
+
+function syncShootFiltersToUrl(filters) {
+  const nextUrl = new URL(window.location.href);
+  SHOOT_FILTER_KEYS.forEach((key) => nextUrl.searchParams.delete(key));
+  Object.entries(filters).forEach(([key, value]) => nextUrl.searchParams.set(key, value));
+  window.history.replaceState(null, "", nextUrl);
+}
 
 if (shootGrid && shootsStatus) {
-  fetch(apiUrl("/api/shoots?limit=24"))
-    .then(async (response) => {
-      const payload = await response.json();
-      if (!response.ok) {
-        throw new Error(payload?.error || `API request failed (${response.status})`);
-      }
-      return payload;
-    })
-    .then((payload) => {
-      const shoots = payload.shoots || [];
-      if (!shoots.length) {
-        shootsStatus.textContent = "No shoots found yet.";
-        return;
-      }
+  const shootsState = { nextCursor: null, loaded: 0, loading: false, requestId: 0 };
+
+  const loadShoots = (reset) => {
+    if (shootsState.loading && !reset) return;
+    const filters = readShootFilters();
+    const params = new URLSearchParams({ limit: String(SHOOTS_PAGE_SIZE), ...filters });
+    if (!reset && shootsState.nextCursor) params.set("cursor", shootsState.nextCursor);
+
+    // Later filter changes win over slower, earlier responses.
+    shootsState.requestId += 1;
+    const requestId = shootsState.requestId;
+    shootsState.loading = true;
+    if (reset) {
+      shootsState.nextCursor = null;
+      shootsState.loaded = 0;
+      shootsStatus.textContent = "Loading shoots...";
+    }
+    if (shootsLoadMore) shootsLoadMore.disabled = true;
 
-      shootsStatus.textContent = `${shoots.length} shoots loaded.`;
-      shootGrid.innerHTML = shoots.map((shoot) => {
-        const thumbKey = normalizeMediaKey(shoot.thumbnail_url || "");
-        const thumb = shoot.thumbnail_url
-          ? `<img class="shoot-thumb" src="${escapeHtml(shoot.thumbnail_url)}" alt="${escapeHtml(shoot.address)}" loading="lazy" />`
-          : `<div class="shoot-thumb"></div>`;
-        const dedupedThumbs = [];
-        const seenThumbKeys = new Set(thumbKey ? [thumbKey] : []);
-        if (Array.isArray(shoot.photos)) {
-          shoot.photos.forEach((url) => {
-            const key = normalizeMediaKey(url);
-            if (!key || seenThumbKeys.has(key)) return;
-            seenThumbKeys.add(key);
-            dedupedThumbs.push(url);
-          });
+    fetch(apiUrl(`/api/shoots?${params}`))
+      .then(async (response) => {
+        const payload = await response.json();
+        if (!response.ok) {
+          throw new Error(payload?.error || `API request failed (${response.status})`);
         }
-        const photoThumbs = dedupedThumbs.slice(0, 8);
-        const photoGrid = photoThumbs.length
-          ? `<div class="shoot-photos">${photoThumbs.map((url) => `<img class="shoot-photo" src="${escapeHtml(url)}" alt="${escapeHtml(shoot.address)} photo" loading="lazy" />`).join("")}</div>`
-          : "";
-        const titleLabel = formatLocationLabel(shoot.address || "Property");
-        const detailHref = `shoot.html?order_id=${encodeURIComponent(shoot.id)}&label=${encodeURIComponent(titleLabel)}`;
+        return payload;
+      })
+      .then((payload) => {
+        if (requestId !== shootsState.requestId) return;
+        const shoots = payload.shoots || [];
+        const total = Number(payload.total ?? shoots.length);
 
-        return `
-          <article class="shoot-card">
-            ${thumb}
-            <div class="shoot-body">
-              <h3><a class="shoot-title-link" href="${detailHref}">${escapeHtml(titleLabel)}</a></h3>
-              ${photoGrid}
-            </div>
-          </article>
-        `;
-      }).join("");
+        if (shootFilters && payload.facets) {
+          fillFilterOptions(shootFilters.elements.namedItem("status"), payload.facets.statuses);
+          fillFilterOptions(shootFilters.elements.namedItem("city"), payload.facets.cities);
+        }
 
-      // Remove broken images so failed URLs do not show broken placeholders.
-      shootGrid.querySelectorAll("img.shoot-thumb, img.shoot-photo").forEach((img) => {
-        img.addEventListener("error", () => {
-          img.remove();
-        }, { once: true });
+        const markup = shoots.map((shoot) => renderShootCard(shoot, { apiBase })).join("");
+        if (reset) {
+          shootGrid.innerHTML = markup;
+        } else {
+          shootGrid.insertAdjacentHTML("beforeend", markup);
+        }
+        shootsState.loaded += shoots.length;
+        shootsState.nextCursor = payload.next_cursor || null;
+
+        if (!shootsState.loaded) {
+          shootsStatus.textContent = Object.keys(filters).length ? "No shoots match these filters." : "No shoots found yet.";
+        } else {
+          shootsStatus.textContent = `${shootsState.loaded} of ${total} shoots loaded.`;
+        }
+        if (shootsLoadMore) shootsLoadMore.hidden = !shootsState.nextCursor;
+
+        // The image proxy answers broken photos with a placeholder; this only catches the proxy itself failing.
+        shootGrid.querySelectorAll("img.shoot-thumb:not([data-watched]), img.shoot-photo:not([data-watched])").forEach((img) => {
+          img.dataset.watched = "true";
+          img.addEventListener("error", () => {
+            img.remove();
+          }, { once: true });
+        });
+      })
+      .catch((error) => {
+        if (requestId !== shootsState.requestId) return;
+        shootsStatus.textContent = `Could not load shoots: ${error.message}`;
+      })
+      .finally(() => {
+        if (requestId !== shootsState.requestId) return;
+        shootsState.loading = false;
+        if (shootsLoadMore) shootsLoadMore.disabled = false;
       });
-    })
-    .catch((error) => {
-      shootsStatus.textContent = `Could not load shoots: ${error.message}`;
+  };
+
+  applyShootFiltersFromUrl();
+  loadShoots(true);
+
+  if (shootFilters) {
+    let filterTimer = null;
+    const onFiltersChanged = () => {
+      clearTimeout(filterTimer);
+      filterTimer = setTimeout(() => {
+        syncShootFiltersToUrl(readShootFilters());
+        loadShoots(true);
+      }, 300);
+    };
+    shootFilters.addEventListener("input", onFiltersChanged);
+    shootFilters.addEventListener("change", onFiltersChanged);
+    // Reset fires before the fields clear, so wait a tick before reading them.
+    shootFilters.addEventListener("reset", () => setTimeout(onFiltersChanged, 0));
+    shootFilters.addEventListener("submit", (event) => {
+      event.preventDefault();
+      onFiltersChanged();
     });
+  }
+
+  if (shootsLoadMore) {
+    shootsLoadMore.addEventListener("click", () => loadShoots(false));
+
+    if ("IntersectionObserver" in window) {
+      const observer = new IntersectionObserver((entries) => {
+        if (entries.some((entry) => entry.isIntersecting) && shootsState.nextCursor && !shootsState.loading) {
+          loadShoots(false);
+        }
+      }, { rootMargin: "400px 0px" });
+      observer.observe(shootsLoadMore);
+    }
+  }
 }
 
 const orderStatusForm = document.getElementById("orderStatusForm");
 const orderStatusMessage = document.getElementById("orderStatusMessage");
+const orderTimelineWrap = document.getElementById("orderTimelineWrap");
+const orderTimelineTitle = document.getElementById("orderTimelineTitle");
+const orderTimelineSummary = document.getElementById("orderTimelineSummary");
+const orderTimeline = document.getElementById("orderTimeline");
+
+function rateLimitedMessage(payload, response) {
+  const waitSeconds = Number(payload?.retry_after_seconds || response.headers.get("Retry-After") || 0);
+  return waitSeconds
+    ? `You've checked a lot of orders in a short time. Please wait about ${formatWaitTime(waitSeconds)} and try again.`
+    : "You've checked a lot of orders in a short time. Please wait a moment and try again.";
+}
+
+function renderOrderTimeline(payload) {
+  orderTimelineTitle.textContent = payload.address || `Order ${payload.order_id}`;
+  const appointment = payload.scheduled_at ? ` | Shoot: ${formatDate(payload.scheduled_at)}` : "";
+  orderTimelineSummary.textContent = `Status: ${payload.status || "Unknown"}${appointment}${payload.live ? "" : " | Showing last known status"}`;
+
+  orderTimeline.innerHTML = (payload.stages || []).map((stage) => {
+    const classes = ["timeline-step"];
+    if (stage.reached) classes.push("is-reached");
+    if (stage.key === payload.current_stage) classes.push("is-current");
+    const when = stage.reached
+      ? (stage.reached_at ? formatDate(stage.reached_at) : "Completed")
+      : "Pending";
+
+    return `
+      <li class="${classes.join(" ")}">
+        <strong>${escapeHtml(stage.label)}</strong>
+        <span class="shoot-meta">${escapeHtml(when)}</span>
+      </li>
+    `;
+  }).join("");
+  orderTimelineWrap.hidden = false;
+}
+
+async function loadOrderTimeline(orderId) {
+  orderStatusMessage.textContent = "Loading order timeline...";
+
+  try {
+    const response = await fetch(apiUrl(`/api/order-timeline?order_id=${encodeURIComponent(orderId)}`));
+    const payload = await response.json();
+
+    if (response.status === 429) {
+      orderStatusMessage.textContent = rateLimitedMessage(payload, response);
+      return;
+    }
+
+    if (!response.ok) {
+      orderStatusMessage.textContent = payload.error || "Unable to load that order.";
+      return;
+    }
+
+    orderStatusMessage.textContent = "";
+    renderOrderTimeline(payload);
+
+    const shareUrl = new URL(window.location.href);
+    shareUrl.searchParams.set("order", payload.order_id);
+    window.history.replaceState(null, "", shareUrl);
+  } catch (error) {
+    orderStatusMessage.textContent = `Status check failed: ${error.message}`;
+  }
+}
+
+function renderOrderCandidates(payload) {
+  const items = (payload.candidates || []).map((candidate) => `
+    <li>
+      <strong>${escapeHtml(candidate.address || "Address hidden")}</strong>
+      <span class="shoot-meta">${escapeHtml(candidate.status || "Unknown")} | ${escapeHtml(formatDate(candidate.scheduled_at))} | ${Math.round(Number(candidate.confidence || 0) * 100)}% match</span>
+    </li>
+  `).join("");
+
+  return `
+    <p>Several listings match "${escapeHtml(payload.query || "")}". Enter the full street address or your order number to pick one:</p>
+    <ul class="order-candidates">${items}</ul>
+  `;
+}
+
+async function lookupOrderStatus(orderId) {
+  orderStatusMessage.textContent = "Checking status...";
+
+  try {
+    const response = await fetch(apiUrl(`/api/order-status?order_id=${encodeURIComponent(orderId)}`));
+    const payload = await response.json();
+
+    if (response.status === 429) {
+      orderStatusMessage.textContent = rateLimitedMessage(payload, response);
+      return;
+    }
+
+    if (!response.ok) {
+      orderStatusMessage.textContent = payload.error || "Unable to look up that order ID or address.";
+      return;
+    }
+
+    if (payload.ambiguous) {
+      orderStatusMessage.innerHTML = renderOrderCandidates(payload);
+      return;
+    }
+
+    if (orderTimelineWrap && orderTimeline) {
+      loadOrderTimeline(payload.order_id);
+      return;
+    }
+
+    orderStatusMessage.textContent = `Order ${payload.order_id}: ${payload.status} | ${payload.address} | ${formatDate(payload.scheduled_at)}`;
+  } catch (error) {
+    orderStatusMessage.textContent = `Status check failed: ${error.message}`;
+  }
+}
 
 if (orderStatusForm && orderStatusMessage) {
-  orderStatusForm.addEventListener("submit", async (event) => {
+  orderStatusForm.addEventListener("submit", (event) => {
     event.preventDefault();
 
     const formData = new FormData(orderStatusForm);
     const orderId = String(formData.get("order_id") || "").trim();
     if (!orderId) return;
 
-    orderStatusMessage.textContent = "Checking status...";
+    lookupOrderStatus(orderId);
+  });
 
-    try {
-      const response = await fetch(apiUrl(`/api/order-status?order_id=${encodeURIComponent(orderId)}`));
-      const payload = await response.json();
+  const sharedOrderId = new URLSearchParams(window.location.search).get("order");
+  if (sharedOrderId && orderTimelineWrap && orderTimeline) {
+    const orderInput = orderStatusForm.querySelector("input[name='order_id']");
+    if (orderInput) orderInput.value = sharedOrderId;
+    loadOrderTimeline(sharedOrderId);
+  }
+}
 
-      if (!response.ok) {
-        orderStatusMessage.textContent = payload.error || "Unable to look up that order ID or address.";
-        return;
-      }
+const leadPipelineList = document.getElementById("leadPipelineList");
+const adminDashboard = document.getElementById("adminDashboard");
 
-      orderStatusMessage.textContent = `Order ${payload.order_id}: ${payload.status} | ${payload.address} | ${formatDate(payload.scheduled_at)}`;
-    } catch (error) {
-      orderStatusMessage.textContent = `Status check failed: ${error.message}`;
-    }
-  });
+function renderLeadPipeline(events) {
+  if (!events.length) {
+    leadPipelineList.innerHTML = "<p class=\"hero-copy\">No webhook events captured yet.</p>";
+    return;
+  }
+
+  leadPipelineList.innerHTML = events.map((event) => `
+    <article class="pipeline-item">
+      <p><strong>${escapeHtml(event.event_type || "event")}</strong></p>
+      <p>Order: ${escapeHtml(event.order_id || event.order_ref || "n/a")}</p>
+      <p>Status: ${escapeHtml(event.status || "n/a")}</p>
+      <p>Address: ${escapeHtml(event.address || "n/a")}</p>
+      <p>Captured: ${escapeHtml(formatDate(event.received_at))}</p>
+    </article>
+  `).join("");
 }
 
-const leadPipelineList = document.getElementById("leadPipelineList");
-if (leadPipelineList) {
+// The admin page loads the feed itself once signed in, so it gets unredacted events.
+if (leadPipelineList && !adminDashboard) {
   fetch(apiUrl("/api/pipeline/leads?limit=12"))
     .then(async (response) => {
       const payload = await response.json();
@@ -243,43 +534,195 @@ if (leadPipelineList) {
       }
       return payload;
     })
-    .then((payload) => {
-      const events = payload.events || [];
-      if (!events.length) {
-        leadPipelineList.innerHTML = "<p class=\"hero-copy\">No webhook events captured yet.</p>";
-        return;
-      }
-
-      leadPipelineList.innerHTML = events.map((event) => `
-        <article class="pipeline-item">
-          <p><strong>${escapeHtml(event.event_type || "event")}</strong></p>
-          <p>Order: ${escapeHtml(event.order_id || "n/a")}</p>
-          <p>Status: ${escapeHtml(event.status || "n/a")}</p>
-          <p>Address: ${escapeHtml(event.address || "n/a")}</p>
-          <p>Captured: ${escapeHtml(formatDate(event.received_at))}</p>
-        </article>
-      `).join("");
-    })
+    .then((payload) => renderLeadPipeline(payload.events || []))
     .catch((error) => {
       leadPipelineList.innerHTML = `<p class=\"hero-copy\">Unable to load pipeline feed: ${escapeHtml(error.message)}</p>`;
     });
 }
 
+if (adminDashboard && leadPipelineList) {
+  const adminLogin = document.getElementById("adminLogin");
+  const adminLoginForm = document.getElementById("adminLoginForm");
+  const adminLoginMessage = document.getElementById("adminLoginMessage");
+  const adminLogout = document.getElementById("adminLogout");
+  const adminSessionInfo = document.getElementById("adminSessionInfo");
+  const adminCacheStatus = document.getElementById("adminCacheStatus");
+  const adminRefreshCache = document.getElementById("adminRefreshCache");
+  const adminRefreshMessage = document.getElementById("adminRefreshMessage");
+  const adminWebhookStatus = document.getElementById("adminWebhookStatus");
+  const adminCircuit = document.getElementById("adminCircuit");
+  const adminAryeoErrors = document.getElementById("adminAryeoErrors");
+  const pipelineFilterForm = document.getElementById("pipelineFilterForm");
+  let adminPollTimer = null;
+
+  // The session cookie is SameSite=Strict, so admin calls always go to this page's own origin.
+  const adminFetch = async (pathnameAndQuery, init = {}) => {
+    const response = await fetch(pathnameAndQuery, { credentials: "same-origin", ...init });
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(payload?.error || `API request failed (${response.status})`);
+      error.status = response.status;
+      throw error;
+    }
+    return payload;
+  };
+
+  const formatStamp = (iso) => (iso ? new Date(iso).toLocaleString() : "Never");
+
+  const renderStats = (list, rows) => {
+    list.innerHTML = rows.map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join("");
+  };
+
+  const cacheState = (cache) => {
+    if (cache.refreshing) return "Refreshing now";
+    if (cache.consecutive_failures) return `Failing (${cache.consecutive_failures} in a row)`;
+    return cache.fresh ? "Fresh" : "Stale";
+  };
+
+  const renderOverview = (overview) => {
+    const { cache, webhooks, aryeo } = overview;
+    renderStats(adminCacheStatus, [
+      ["Last full pull", formatStamp(cache.updated_at)],
+      ["Last webhook patch", formatStamp(cache.patched_at)],
+      ["Records", String(cache.record_count)],
+      ["State", cacheState(cache)],
+      ["Next refresh", formatStamp(cache.next_refresh_at)],
+      ["Last refresh error", cache.last_error || "None"]
+    ]);
+    renderStats(adminWebhookStatus, [
+      ["Last webhook", formatStamp(webhooks.last_accepted_at)],
+      ["Accepted", String(webhooks.accepted)],
+      ["Rejected", String(webhooks.rejected)],
+      ["Last rejection", webhooks.last_rejected_reason ? `${webhooks.last_rejected_reason} at ${formatStamp(webhooks.last_rejected_at)}` : "None"],
+      ["Signing secret", webhooks.has_secret ? "Configured" : "Missing"]
+    ]);
+
+    adminCircuit.textContent = `Mode: ${aryeo.mode}. Circuit: ${aryeo.circuit?.state || "closed"}.`;
+    adminAryeoErrors.innerHTML = aryeo.recent_errors.length
+      ? aryeo.recent_errors.map((error) => `
+        <li>
+          <strong>${escapeHtml(error.code)}${error.status ? ` (${escapeHtml(error.status)})` : ""}</strong>
+          <span>${escapeHtml(formatStamp(error.at))} · ${escapeHtml(error.path)}</span>
+          <span>${escapeHtml(error.message)}</span>
+        </li>
+      `).join("")
+      : "<li>No errors since the server started.</li>";
+  };
+
+  const loadAdminPipeline = () => {
+    const params = new URLSearchParams({ limit: "50" });
+    new FormData(pipelineFilterForm).forEach((value, key) => {
+      if (String(value).trim()) params.set(key, String(value).trim());
+    });
+    return adminFetch(`/api/pipeline/leads?${params}`).then((payload) => renderLeadPipeline(payload.events || []));
+  };
+
+  const showSignedOut = (message = "") => {
+    window.clearInterval(adminPollTimer);
+    adminPollTimer = null;
+    adminDashboard.hidden = true;
+    adminLogout.hidden = true;
+    adminLogin.hidden = false;
+    adminLoginMessage.textContent = message;
+  };
+
+  const refreshDashboard = () => Promise.all([
+    adminFetch("/api/admin/overview").then(renderOverview),
+    loadAdminPipeline()
+  ]).catch((error) => {
+    if (error.status === 401) {
+      showSignedOut("Your session expired. Sign in again.");
+      return;
+    }
+    adminRefreshMessage.textContent = `Unable to load the dashboard: ${error.message}`;
+  });
+
+  const showDashboard = (session) => {
+    adminSessionInfo.textContent = `Signed in as ${session.name} (${session.role}).`;
+    adminLogin.hidden = true;
+    adminDashboard.hidden = false;
+    adminLogout.hidden = false;
+    // Refreshing the cache changes it for everyone, so viewers only get to watch.
+    adminRefreshCache.hidden = session.role !== "admin";
+    refreshDashboard();
+    window.clearInterval(adminPollTimer);
+    adminPollTimer = window.setInterval(refreshDashboard, 15000);
+  };
+
+  adminLoginForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    adminLoginMessage.textContent = "Signing in...";
+    adminFetch("/api/admin/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ api_key: adminLoginForm.elements.api_key.value })
+    })
+      .then((session) => {
+        adminLoginForm.reset();
+        adminLoginMessage.textContent = "";
+        showDashboard(session);
+      })
+      .catch((error) => {
+        adminLoginMessage.textContent = error.message;
+      });
+  });
+
+  adminLogout.addEventListener("click", () => {
+    adminFetch("/api/admin/logout", { method: "POST" })
+      .catch(() => null)
+      .then(() => showSignedOut("Signed out."));
+  });
+
+  adminRefreshCache.addEventListener("click", () => {
+    adminRefreshCache.disabled = true;
+    adminRefreshMessage.textContent = "Pulling every order from Aryeo...";
+    adminFetch("/api/admin/cache/refresh", { method: "POST" })
+      .then((payload) => {
+        adminRefreshMessage.textContent = `Refreshed: ${payload.cache.record_count} records.`;
+      })
+      .catch((error) => {
+        adminRefreshMessage.textContent = `Refresh failed: ${error.message}`;
+      })
+      .finally(() => {
+        adminRefreshCache.disabled = false;
+        refreshDashboard();
+      });
+  });
+
+  pipelineFilterForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    loadAdminPipeline().catch((error) => {
+      leadPipelineList.innerHTML = `<p class="hero-copy">Unable to load pipeline feed: ${escapeHtml(error.message)}</p>`;
+    });
+  });
+
+  adminFetch("/api/admin/session")
+    .then(showDashboard)
+    .catch(() => showSignedOut());
+}
+
 const shootDetailTitle = document.getElementById("shootTitle");
 const shootDetailStatus = document.getElementById("shootDetailStatus");
 const shootDetailGrid = document.getElementById("shootDetailGrid");
+const shootDownload = document.getElementById("shootDownload");
 
 if (shootDetailTitle && shootDetailStatus && shootDetailGrid) {
   const params = new URLSearchParams(window.location.search);
+  const shareToken = params.get("token");
   const orderId = params.get("order_id");
   const fallbackLabel = params.get("label") || "Shoot";
+  // Share links carry a signed token; older links and admin previews use the raw order ID.
+  const shootQuery = shareToken
+    ? `token=${encodeURIComponent(shareToken)}`
+    : `order_id=${encodeURIComponent(orderId || "")}`;
 
-  shootDetailTitle.textContent = fallbackLabel;
+  // The server may have rendered the real title already.
+  if (shootDetailTitle.textContent.trim() === "Loading...") shootDetailTitle.textContent = fallbackLabel;
 
-  if (!orderId) {
+  if (!shareToken && !orderId) {
     shootDetailStatus.textContent = "Missing order ID.";
   } else {
-    fetch(apiUrl(`/api/shoot?order_id=${encodeURIComponent(orderId)}`))
+    fetch(apiUrl(`/api/shoot?${shootQuery}`))
       .then(async (response) => {
         const payload = await response.json();
         if (!response.ok) {
@@ -294,7 +737,7 @@ if (shootDetailTitle && shootDetailStatus && shootDetailGrid) {
         }
 
         const shoot = payload.shoot;
-        const titleLabel = formatLocationLabel(shoot.address || fallbackLabel);
+        const titleLabel = shoot.title || formatLocationLabel(shoot.address || fallbackLabel);
         const photos = Array.isArray(shoot.photos) ? shoot.photos : [];
 
         shootDetailTitle.textContent = titleLabel;
@@ -304,12 +747,252 @@ if (shootDetailTitle && shootDetailStatus && shootDetailGrid) {
         }
 
         shootDetailStatus.textContent = `${photos.length} photos loaded.`;
-        shootDetailGrid.innerHTML = photos.map((url) => `
-          <img class="shoot-detail-photo" src="${escapeHtml(url)}" alt="${escapeHtml(titleLabel)} photo" loading="lazy" />
-        `).join("");
+        if (shootDownload) {
+          shootDownload.href = apiUrl(`/api/shoot/download?${shootQuery}`);
+          shootDownload.hidden = false;
+        }
+        shootDetailGrid.innerHTML = renderShootDetailPhotos(photos, titleLabel, { apiBase });
+
+        const lightboxItems = photos.map((url, index) => ({
+          src: proxiedImageUrl(url, 1600, apiBase),
+          alt: `${titleLabel} photo ${index + 1}`,
+          caption: titleLabel
+        }));
+        shootDetailGrid.addEventListener("click", (event) => {
+          const button = event.target.closest("[data-photo-index]");
+          if (!button) return;
+          openLightbox(lightboxItems, Number(button.dataset.photoIndex), { deepLink: true });
+        });
+        window.addEventListener("hashchange", () => openLightboxFromHash(lightboxItems));
+        openLightboxFromHash(lightboxItems);
       })
       .catch((error) => {
         shootDetailStatus.textContent = `Could not load shoot photos: ${error.message}`;
       });
   }
 }
+
+const availabilityStatus = document.getElementById("availabilityStatus");
+const availabilityDays = document.getElementById("availabilityDays");
+const AVAILABILITY_DAYS_SHOWN = 5;
+const AVAILABILITY_SLOTS_SHOWN = 4;
+let availabilityRequestId = 0;
+
+function formatSlotTime(iso, timeZone) {
+  return new Date(iso).toLocaleTimeString([], { hour: "numeric", minute: "2-digit", timeZone });
+}
+
+function formatAvailabilityDay(date, timeZone) {
+  return new Date(`${date}T12:00:00Z`).toLocaleDateString([], { weekday: "long", month: "short", day: "numeric", timeZone: "UTC" });
+}
+
+// addOns lengthen the shoot, which can close up shorter gaps in the day.
+function loadAvailability(addOns = []) {
+  if (!availabilityStatus || !availabilityDays) return;
+  availabilityRequestId += 1;
+  const requestId = availabilityRequestId;
+  const params = new URLSearchParams();
+  if (addOns.length) params.set("add_ons", addOns.join(","));
+
+  fetch(apiUrl(`/api/availability?${params}`))
+    .then(async (response) => {
+      const payload = await response.json();
+      if (!response.ok) throw new Error(payload?.error || `Availability failed (${response.status})`);
+      return payload;
+    })
+    .then((availability) => {
+      if (requestId !== availabilityRequestId) return;
+      const openDays = availability.days.filter((day) => day.slots.length).slice(0, AVAILABILITY_DAYS_SHOWN);
+      if (!openDays.length) {
+        availabilityStatus.textContent = "No open times in the next two weeks. Send an order anyway and we'll work out a time.";
+        availabilityDays.innerHTML = "";
+        return;
+      }
+
+      availabilityStatus.textContent = `Showing times for a ${availability.duration_minutes}-minute shoot.`;
+      availabilityDays.innerHTML = openDays.map((day) => {
+        const times = day.slots.slice(0, AVAILABILITY_SLOTS_SHOWN).map((slot) => formatSlotTime(slot.start, availability.timezone));
+        const more = day.slots.length > times.length ? ` +${day.slots.length - times.length} more` : "";
+        return `
+          <li class="availability-day">
+            <strong>${escapeHtml(formatAvailabilityDay(day.date))}</strong>
+            <span>${escapeHtml(times.join(", "))}${escapeHtml(more)}</span>
+          </li>
+        `;
+      }).join("");
+    })
+    .catch((error) => {
+      if (requestId !== availabilityRequestId) return;
+      availabilityStatus.textContent = `Could not load open days: ${error.message}`;
+    });
+}
+
+loadAvailability();
+
+const quoteForm = document.getElementById("quoteForm");
+const quoteAddOns = document.getElementById("quoteAddOns");
+const quoteResult = document.getElementById("quoteResult");
+
+function formatQuoteAmount(amount) {
+  return amount === null ? "Custom quote" : `$${Number(amount).toLocaleString("en-US")}`;
+}
+
+function renderQuote(quote) {
+  const rows = quote.items.map((item) => `
+    <tr>
+      <td>${escapeHtml(item.label)}</td>
+      <td>${escapeHtml(formatQuoteAmount(item.amount))}</td>
+    </tr>
+  `).join("");
+  // With custom lines the priced ones still add up to a number; the rest is confirmed after ordering.
+  const footer = quote.custom_quote
+    ? `
+        <tr>
+          <th>Subtotal</th>
+          <th>${escapeHtml(formatQuoteAmount(quote.subtotal))}</th>
+        </tr>
+        <tr>
+          <td colspan="2">We will confirm the lines marked custom after you order.</td>
+        </tr>
+      `
+    : `
+        <tr>
+          <th>Estimate</th>
+          <th>${escapeHtml(formatQuoteAmount(quote.total))}</th>
+        </tr>
+      `;
+
+  quoteResult.innerHTML = `
+    <table class="rate-table">
+      <tbody>${rows}</tbody>
+      <tfoot>${footer}</tfoot>
+    </table>
+    ${quote.note ? `<p class="pricing-note">${escapeHtml(quote.note)}</p>` : ""}
+  `;
+}
+
+if (quoteForm && quoteAddOns && quoteResult) {
+  let quoteTimer = null;
+  let quoteRequestId = 0;
+
+  const requestQuote = () => {
+    const formData = new FormData(quoteForm);
+    const sqft = Number(formData.get("sqft"));
+    const zip = String(formData.get("zip") || "").trim();
+    if (!sqft || !/^\d{5}$/.test(zip)) return;
+
+    quoteRequestId += 1;
+    const requestId = quoteRequestId;
+    fetch(apiUrl("/api/quote"), {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ sqft, zip, add_ons: formData.getAll("add_ons") })
+    })
+      .then(async (response) => {
+        const payload = await response.json();
+        if (!response.ok) throw new Error(payload?.error || `Quote failed (${response.status})`);
+        return payload;
+      })
+      .then((quote) => {
+        if (requestId === quoteRequestId) renderQuote(quote);
+      })
+      .catch((error) => {
+        if (requestId !== quoteRequestId) return;
+        quoteResult.innerHTML = `<p class="hero-copy">Could not calculate a quote: ${escapeHtml(error.message)}</p>`;
+      });
+  };
+
+  quoteForm.addEventListener("input", (event) => {
+    window.clearTimeout(quoteTimer);
+    quoteTimer = window.setTimeout(requestQuote, 250);
+    if (event.target.name === "add_ons") loadAvailability(new FormData(quoteForm).getAll("add_ons"));
+  });
+  quoteForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    requestQuote();
+  });
+
+  fetch(apiUrl("/api/pricing"))
+    .then((response) => (response.ok ? response.json() : Promise.reject(new Error(`Pricing failed (${response.status})`))))
+    .then((pricing) => {
+      quoteAddOns.insertAdjacentHTML("beforeend", pricing.add_ons.map((addOn) => `
+        <label class="quote-add-on">
+          <input type="checkbox" name="add_ons" value="${escapeHtml(addOn.key)}" />
+          <span>${escapeHtml(addOn.label)} (${escapeHtml(formatQuoteAmount(addOn.price))})</span>
+        </label>
+      `).join(""));
+    })
+    .catch(() => {
+      quoteAddOns.hidden = true;
+    });
+}
+
+const leadForm = document.getElementById("leadForm");
+const leadStatus = document.getElementById("leadStatus");
+
+function showLeadErrors(errors) {
+  leadForm.querySelectorAll("[data-error-for]").forEach((node) => {
+    node.textContent = errors[node.dataset.errorFor] || "";
+  });
+  leadForm.querySelectorAll("input, textarea").forEach((field) => {
+    if (errors[field.name]) {
+      field.setAttribute("aria-invalid", "true");
+    } else {
+      field.removeAttribute("aria-invalid");
+    }
+  });
+  const firstInvalid = leadForm.querySelector("[aria-invalid='true']");
+  if (firstInvalid) firstInvalid.focus();
+}
+
+function refreshLeadFormToken() {
+  const tokenInput = leadForm.querySelector("input[name='form_token']");
+  return fetch(apiUrl("/api/leads/form-token"))
+    .then((response) => (response.ok ? response.json() : Promise.reject(new Error(`Form token failed (${response.status})`))))
+    .then((payload) => {
+      tokenInput.value = payload.token;
+    })
+    .catch(() => {});
+}
+
+if (leadForm && leadStatus) {
+  // Static hosting serves index.html without a token, so fetch one from the API.
+  if (!leadForm.querySelector("input[name='form_token']").value) refreshLeadFormToken();
+
+  leadForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    const formData = new FormData(leadForm);
+    const body = Object.fromEntries(formData.entries());
+    body.services = formData.getAll("services");
+    const submitButton = leadForm.querySelector("button[type='submit']");
+
+    submitButton.disabled = true;
+    leadStatus.textContent = "Sending...";
+    fetch(apiUrl("/api/leads"), {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body)
+    })
+      .then(async (response) => {
+        const payload = await response.json();
+        if (response.status === 400 && payload.fields) {
+          showLeadErrors(payload.fields);
+          leadStatus.textContent = payload.error;
+          if (payload.fields.form) refreshLeadFormToken();
+          return;
+        }
+        if (!response.ok) throw new Error(payload?.error || `Request failed (${response.status})`);
+
+        showLeadErrors({});
+        leadForm.reset();
+        leadStatus.textContent = "Thanks! Your request is in. We typically reply within 48 hours.";
+        refreshLeadFormToken();
+      })
+      .catch((error) => {
+        leadStatus.textContent = `Could not send your request: ${error.message}. You can also call or text 352.228.3237.`;
+      })
+      .finally(() => {
+        submitButton.disabled = false;
+      });
+  });
+}
@@ -0,0 +1,123 @@
+// Shoot card and gallery markup shared by script.js in the browser and api/pages.js on the server,
+// so pre-rendered pages match what the client renders over them. Loaded as window.SHOOT_MARKUP
+// by a plain <script> tag, or with require() in Node.
+(function exposeShootMarkup(root, markup) {
+  if (typeof module === "object" && module.exports) module.exports = markup;
+  else root.SHOOT_MARKUP = markup;
+})(typeof window === "undefined" ? globalThis : window, (() => {
+  const IMAGE_WIDTHS = [320, 640, 1024, 1600];
+  const SHOOT_CARD_SIZES = "(max-width: 900px) 100vw, (max-width: 1024px) 50vw, 33vw";
+  const SHOOT_PHOTO_SIZES = "(max-width: 900px) 34vw, (max-width: 1024px) 13vw, 9vw";
+
+  function escapeHtml(value) {
+    return String(value ?? "")
+      .replaceAll("&", "&amp;")
+      .replaceAll("<", "&lt;")
+      .replaceAll(">", "&gt;")
+      .replaceAll("\"", "&quot;")
+      .replaceAll("'", "&#039;");
+  }
+
+  function formatLocationLabel(address) {
+    if (!address) return "View Photos";
+    const parts = String(address).split(",").map((part) => part.trim()).filter(Boolean);
+    for (let index = 0; index < parts.length; index += 1) {
+      const zipMatch = parts[index].match(/\b\d{5}(?:-\d{4})?\b/);
+      if (zipMatch) {
+        const city = parts[index - 1] || parts[index] || "Location";
+        return `${city}, ${zipMatch[0]}`;
+      }
+    }
+    return String(address);
+  }
+
+  function shootTitle(shoot, fallback = "Property") {
+    return shoot.title || formatLocationLabel(shoot.address || fallback);
+  }
+
+  function normalizeMediaKey(url) {
+    if (!url) return "";
+    const raw = String(url).trim();
+    const uuidMatch = raw.toLowerCase().match(/[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}/);
+    if (uuidMatch) return `uuid:${uuidMatch[0]}`;
+
+    try {
+      const parsed = new URL(raw);
+      return `${parsed.hostname}${decodeURIComponent(parsed.pathname).toLowerCase()
+        .replace(/-\d+x\d+(?=\.[a-z0-9]+$)/g, "")
+        .replace(/_(thumb|thumbnail|small|medium|large|xl)(?=\.[a-z0-9]+$)/g, "")}`;
+    } catch {
+      return raw.toLowerCase();
+    }
+  }
+
+  // apiBase is "" for same-origin requests, or the configured API origin in the browser.
+  function proxiedImageUrl(url, width, apiBase = "") {
+    return `${apiBase}/api/image?url=${encodeURIComponent(url)}&w=${width}`;
+  }
+
+  // src/srcset/sizes attributes that load photos through the /api/image proxy.
+  function responsiveImageAttrs(url, sizes, fallbackWidth = 640, apiBase = "") {
+    const srcset = IMAGE_WIDTHS.map((width) => `${proxiedImageUrl(url, width, apiBase)} ${width}w`).join(", ");
+    return `src="${escapeHtml(proxiedImageUrl(url, fallbackWidth, apiBase))}" srcset="${escapeHtml(srcset)}" sizes="${escapeHtml(sizes)}"`;
+  }
+
+  function shootPageHref(shoot) {
+    return shoot.share_token
+      ? `shoot.html?token=${encodeURIComponent(shoot.share_token)}`
+      : `shoot.html?order_id=${encodeURIComponent(shoot.id)}`;
+  }
+
+  function renderShootCard(shoot, { apiBase = "" } = {}) {
+    const thumbKey = normalizeMediaKey(shoot.thumbnail_url || "");
+    const thumb = shoot.thumbnail_url
+      ? `<img class="shoot-thumb" ${responsiveImageAttrs(shoot.thumbnail_url, SHOOT_CARD_SIZES, 640, apiBase)} alt="${escapeHtml(shoot.address)}" loading="lazy" />`
+      : `<div class="shoot-thumb"></div>`;
+    const dedupedThumbs = [];
+    const seenThumbKeys = new Set(thumbKey ? [thumbKey] : []);
+    if (Array.isArray(shoot.photos)) {
+      shoot.photos.forEach((url) => {
+        const key = normalizeMediaKey(url);
+        if (!key || seenThumbKeys.has(key)) return;
+        seenThumbKeys.add(key);
+        dedupedThumbs.push(url);
+      });
+    }
+    const photoThumbs = dedupedThumbs.slice(0, 8);
+    const photoGrid = photoThumbs.length
+      ? `<div class="shoot-photos">${photoThumbs.map((url) => `<img class="shoot-photo" ${responsiveImageAttrs(url, SHOOT_PHOTO_SIZES, 320, apiBase)} alt="${escapeHtml(shoot.address)} photo" loading="lazy" />`).join("")}</div>`
+      : "";
+    const titleLabel = shootTitle(shoot);
+    const detailHref = `${shootPageHref(shoot)}&label=${encodeURIComponent(titleLabel)}`;
+
+    return `
+    <article class="shoot-card">
+      ${thumb}
+      <div class="shoot-body">
+        <h3><a class="shoot-title-link" href="${escapeHtml(detailHref)}">${escapeHtml(titleLabel)}</a></h3>
+        ${photoGrid}
+      </div>
+    </article>
+  `;
+  }
+
+  // The buttons shoot.html's lightbox opens from, one per photo.
+  function renderShootDetailPhotos(photos, titleLabel, { apiBase = "" } = {}) {
+    return photos.map((url, index) => `
+          <button class="shoot-detail-open" type="button" data-photo-index="${index}" aria-label="View photo ${index + 1} of ${photos.length}">
+            <img class="shoot-detail-photo" ${responsiveImageAttrs(url, SHOOT_CARD_SIZES, 1024, apiBase)} alt="${escapeHtml(titleLabel)} photo" loading="lazy" />
+          </button>
+        `).join("");
+  }
+
+  return {
+    escapeHtml,
+    formatLocationLabel,
+    shootTitle,
+    normalizeMediaKey,
+    proxiedImageUrl,
+    shootPageHref,
+    renderShootCard,
+    renderShootDetailPhotos
+  };
+})());
@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  createAryeoClient,
+  AryeoHttpError,
+  AryeoRateLimitError,
+  AryeoTimeoutError,
+  AryeoCircuitOpenError
+} = require("../api/aryeo-client");
+
+function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json", ...headers } });
+}
+
+// Answers each call with the next response in the list, repeating the last one.
+function scriptedFetch(responses) {
+  const calls = [];
+  const fetchImpl = async (url) => {
+    calls.push(url.toString());
+    return responses[Math.min(calls.length - 1, responses.length - 1)].clone();
+  };
+  return { calls, fetchImpl };
+}
+
+function makeClient(fetchImpl, options = {}) {
+  return createAryeoClient({ apiBase: "https://api.aryeo.test/v1", apiToken: "token", retryBaseMs: 1, fetchImpl, ...options });
+}
+
+test("5xx answers are retried with jittered backoff until one succeeds", async (t) => {
+  const jitter = t.mock.method(Math, "random", () => 0.5);
+  const { calls, fetchImpl } = scriptedFetch([jsonResponse({}, 503), jsonResponse({}, 502), jsonResponse({ data: [] })]);
+  const client = makeClient(fetchImpl, { maxRetries: 2 });
+
+  assert.deepEqual(await client.request("/orders"), { data: [] });
+  assert.equal(calls.length, 3);
+  assert.equal(jitter.mock.callCount(), 2);
+  assert.equal(client.getCircuitState().state, "closed");
+});
+
+test("429 waits for Retry-After unless it is longer than maxRetryAfterMs", async () => {
+  const limited = scriptedFetch([jsonResponse({}, 429, { "Retry-After": "0.05" }), jsonResponse({ data: [] })]);
+  const started = Date.now();
+  assert.deepEqual(await makeClient(limited.fetchImpl).request("/orders"), { data: [] });
+  assert.ok(Date.now() - started >= 45);
+  assert.equal(limited.calls.length, 2);
+
+  const capped = scriptedFetch([jsonResponse({}, 429, { "Retry-After": "60" })]);
+  const error = await makeClient(capped.fetchImpl, { maxRetryAfterMs: 1000 }).request("/orders").catch((caught) => caught);
+  assert.ok(error instanceof AryeoRateLimitError);
+  assert.equal(error.retryAfterMs, 60000);
+  assert.equal(capped.calls.length, 1);
+});
+
+test("a request that outlives timeoutMs becomes an AryeoTimeoutError", async () => {
+  // AbortSignal.timeout doesn't keep the process alive, so hold it open until the abort fires.
+  const hang = (url, init) => new Promise((resolve, reject) => {
+    const keepAlive = setTimeout(() => {}, 1000);
+    init.signal.addEventListener("abort", () => {
+      clearTimeout(keepAlive);
+      reject(init.signal.reason);
+    });
+  });
+  const client = makeClient(hang, { timeoutMs: 20, maxRetries: 0 });
+  await assert.rejects(client.request("/orders"), (error) => error instanceof AryeoTimeoutError && error.code === "timeout");
+});
+
+test("a 2xx body that is not JSON is a bad_response error, not a crash", async () => {
+  const { fetchImpl } = scriptedFetch([new Response("<html>Gateway</html>", { status: 200 })]);
+  const client = makeClient(fetchImpl);
+  await assert.rejects(client.request("/orders"), (error) => error instanceof AryeoHttpError && error.code === "bad_response");
+  assert.equal(client.getRecentErrors()[0].code, "bad_response");
+});
+
+test("the circuit opens after repeated failures, probes once after the cooldown and closes on success", async () => {
+  let healthy = false;
+  const statesDuringProbe = [];
+  let client;
+  const fetchImpl = async () => {
+    statesDuringProbe.push(client.getCircuitState().state);
+    return healthy ? jsonResponse({ data: [] }) : jsonResponse({}, 503);
+  };
+  client = makeClient(fetchImpl, { maxRetries: 0, circuitFailureThreshold: 2, circuitCooldownMs: 30 });
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  await assert.rejects(client.request("/orders"), AryeoHttpError);
+  await assert.rejects(client.request("/orders"), AryeoHttpError);
+  assert.equal(client.getCircuitState().state, "open");
+  // While open, requests fail fast without reaching Aryeo.
+  await assert.rejects(client.request("/orders"), AryeoCircuitOpenError);
+  assert.equal(statesDuringProbe.length, 2);
+
+  // A failed probe opens it again.
+  await wait(40);
+  await assert.rejects(client.request("/orders"), AryeoHttpError);
+  assert.equal(statesDuringProbe.at(-1), "half_open");
+  assert.equal(client.getCircuitState().state, "open");
+
+  await wait(40);
+  healthy = true;
+  assert.deepEqual(await client.request("/orders"), { data: [] });
+  assert.equal(statesDuringProbe.at(-1), "half_open");
+  assert.deepEqual(client.getCircuitState(), { state: "closed", consecutive_failures: 0, opened_at: null });
+});
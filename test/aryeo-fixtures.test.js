@@ -0,0 +1,164 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { createFixtureFetch, createRecordingFetch, scrubAryeoPayload } = require("../api/aryeo-fixtures");
+const { createAryeoClient, AryeoNotFoundError } = require("../api/aryeo-client");
+
+function makeFixturesDir(fixture) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "aryeo-fixtures-"));
+  if (fixture) fs.writeFileSync(path.join(dir, "orders.json"), JSON.stringify(fixture));
+  return dir;
+}
+
+const orders = [1, 2, 3].map((n) => ({ id: `order-${n}`, status: "OPEN" }));
+
+test("fixture fetch paginates /orders", async () => {
+  const fixtureFetch = createFixtureFetch(makeFixturesDir({ orders }));
+  const response = await fixtureFetch("https://api.aryeo.test/v1/orders?page=2&page_size=2");
+  const payload = await response.json();
+  assert.equal(response.status, 200);
+  assert.deepEqual(payload.data.map((order) => order.id), ["order-3"]);
+  assert.equal(payload.meta.last_page, 2);
+});
+
+test("fixture fetch serves /orders/:id and 404s unknown orders", async () => {
+  const client = createAryeoClient({
+    apiBase: "https://api.aryeo.test/v1",
+    apiToken: "fixtures",
+    fetchImpl: createFixtureFetch(makeFixturesDir({ orders }))
+  });
+  const payload = await client.request("/orders/order-2");
+  assert.equal(payload.data.id, "order-2");
+  await assert.rejects(client.request("/orders/missing"), AryeoNotFoundError);
+});
+
+test("include rejections fall back the same way as live Aryeo", async () => {
+  const seenIncludes = [];
+  const fixtureFetch = createFixtureFetch(makeFixturesDir({ allowed_includes: ["listing"], orders }));
+  const client = createAryeoClient({
+    apiBase: "https://api.aryeo.test/v1",
+    apiToken: "fixtures",
+    fetchImpl: (url, init) => {
+      seenIncludes.push(new URL(url).searchParams.get("include"));
+      return fixtureFetch(url, init);
+    }
+  });
+
+  const payload = await client.requestWithIncludeFallback("/orders/order-1", { include: "listing,tags" }, ["listing"]);
+  assert.equal(payload.data.id, "order-1");
+  assert.deepEqual(seenIncludes, ["listing,tags", "listing"]);
+});
+
+test("client keeps recent failures newest first and skips not-found answers", async () => {
+  let calls = 0;
+  const client = createAryeoClient({
+    apiBase: "https://api.aryeo.test/v1",
+    apiToken: "fixtures",
+    maxRetries: 0,
+    recentErrorLimit: 2,
+    fetchImpl: async (url) => {
+      calls += 1;
+      const status = new URL(url).pathname.endsWith("/missing") ? 404 : 500 + calls;
+      return new Response(JSON.stringify({ message: "nope" }), { status });
+    }
+  });
+
+  await assert.rejects(client.request("/orders"));
+  await assert.rejects(client.request("/orders/missing"), AryeoNotFoundError);
+  await assert.rejects(client.request("/orders"));
+  await assert.rejects(client.request("/orders"));
+
+  const errors = client.getRecentErrors();
+  assert.deepEqual(errors.map((error) => error.status), [504, 503]);
+  assert.equal(errors[0].code, "upstream_error");
+  assert.equal(errors[0].path, "/v1/orders");
+  assert.ok(errors[0].at);
+});
+
+test("scrubAryeoPayload removes tokens and contact details", () => {
+  const scrubbed = scrubAryeoPayload({
+    id: "order-1",
+    access_token: "abc",
+    customer: { name: "Jane Seller", email: "jane@home.com", phone: "352-555-1234" },
+    listing: {
+      name: "Lake House",
+      address: { street_address: "9 Real Rd", city: "Ocala" },
+      images: [{ url: "https://cdn.example.com/a.jpg?X-Amz-Signature=secret&w=800" }]
+    }
+  });
+
+  assert.equal(scrubbed.access_token, "[redacted]");
+  assert.notEqual(scrubbed.customer.name, "Jane Seller");
+  assert.match(scrubbed.customer.email, /@example\.com$/);
+  assert.equal(scrubbed.customer.phone, "555-0100");
+  assert.equal(scrubbed.listing.name, "Lake House");
+  assert.match(scrubbed.listing.address.street_address, /^\d+ Sample St$/);
+  assert.equal(scrubbed.listing.address.city, "Ocala");
+  assert.equal(scrubbed.listing.images[0].url, "https://cdn.example.com/a.jpg?w=800");
+});
+
+test("recording fetch merges scrubbed orders into the fixtures", async () => {
+  const dir = makeFixturesDir(null);
+  const liveFetch = async () => new Response(JSON.stringify({
+    data: [{ id: "order-9", customer: { email: "real@person.com" } }]
+  }), { status: 200, headers: { "Content-Type": "application/json" } });
+
+  const response = await createRecordingFetch(dir, liveFetch)("https://api.aryeo.test/v1/orders?page=1");
+  assert.equal((await response.json()).data[0].customer.email, "real@person.com");
+
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, "orders.json"), "utf8"));
+  assert.equal(saved.orders.length, 1);
+  assert.equal(saved.orders[0].id, "order-9");
+  assert.match(saved.orders[0].customer.email, /@example\.com$/);
+});
+
+test("recording a realistic order leaves no personal data in the fixture", async () => {
+  const dir = makeFixturesDir(null);
+  const order = {
+    id: "order-42",
+    number: "1042",
+    status: "SCHEDULED",
+    internal_notes: "Lockbox 2817, call Dana Whitfield at 352-555-8812 first",
+    special_instructions: "Gate code 9921",
+    customer: { name: "Dana Whitfield", email: "dana@whitfieldhomes.com", phone: "(352) 555-8812" },
+    listing: {
+      name: "2817 SE Magnolia Dr",
+      description: "Charming home owned by the Whitfields",
+      address: {
+        unparsed_address: "2817 SE Magnolia Dr, Ocala, FL 34471",
+        address_line_1: "2817 SE Magnolia Dr",
+        city: "Ocala",
+        state_or_province: "FL",
+        postal_code: "34471",
+        latitude: 29.163412,
+        longitude: "-82.104377"
+      },
+      list_agent_name: "Morgan Pryce",
+      delivery_contact: "Morgan Pryce <morgan@pryce.realty>"
+    },
+    appointments: [{
+      id: "appt-42",
+      start_at: "2026-10-20T14:00:00Z",
+      notes: ["Seller home until noon"],
+      users: [{ first_name: "Riley", last_name: "Okafor", email: "riley@elevate.example" }],
+      location: "2817 SE Magnolia Dr, Ocala, FL"
+    }]
+  };
+  const liveFetch = async () => new Response(JSON.stringify({ data: order }), { status: 200, headers: { "Content-Type": "application/json" } });
+  await createRecordingFetch(dir, liveFetch)("https://api.aryeo.test/v1/orders/order-42");
+
+  const text = fs.readFileSync(path.join(dir, "orders.json"), "utf8");
+  ["Whitfield", "Dana", "352", "8812", "2817", "Magnolia", "9921", "Morgan", "Pryce", "Riley", "Okafor", "Seller home", "29.163412", "104377"].forEach((needle) => {
+    assert.ok(!text.includes(needle), `fixture still contains ${needle}`);
+  });
+
+  const saved = JSON.parse(text).orders[0];
+  assert.match(saved.listing.address.unparsed_address, /^\d+ Sample St, Ocala, FL 34471$/);
+  assert.equal(saved.listing.address.latitude, 29.16);
+  assert.equal(saved.listing.address.longitude, "-82.1");
+  assert.equal(saved.listing.address.postal_code, "34471");
+  assert.equal(saved.appointments[0].start_at, "2026-10-20T14:00:00Z");
+});
@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { loadSchedule, computeAvailability } = require("../api/availability");
+
+const schedule = loadSchedule(path.join(__dirname, "..", "api", "schedule.example.json"));
+const now = Date.parse("2026-10-19T12:00:00Z");
+
+test("availability respects working hours, lead time and existing appointments", () => {
+  const result = computeAvailability(schedule, {
+    from: "2026-10-20",
+    to: "2026-10-25",
+    now,
+    appointments: [{ start_at: "2026-10-22T15:30:00Z" }]
+  });
+  assert.equal(result.duration_minutes, 75);
+
+  const byDate = Object.fromEntries(result.days.map((day) => [day.date, day.slots]));
+  // Tuesday opens at 9:00 New York time (13:00 UTC), after the 18 hour lead time has passed.
+  assert.equal(byDate["2026-10-20"][0].start, "2026-10-20T13:00:00.000Z");
+  // Sunday is closed.
+  assert.deepEqual(byDate["2026-10-25"], []);
+  // Saturday 9:00-13:00 fits slots up to 11:30 for a 75 minute shoot.
+  assert.equal(byDate["2026-10-24"].at(-1).start, "2026-10-24T15:30:00.000Z");
+
+  // The 11:30 appointment (90 min default) plus 60 min buffer and travel blocks 10:30-14:00 local.
+  const thursday = byDate["2026-10-22"].map((slot) => slot.start);
+  assert.ok(thursday.includes("2026-10-22T13:00:00.000Z"));
+  assert.ok(!thursday.includes("2026-10-22T13:30:00.000Z"));
+  assert.ok(!thursday.includes("2026-10-22T17:30:00.000Z"));
+  assert.ok(thursday.includes("2026-10-22T18:00:00.000Z"));
+});
+
+test("availability lengthens shoots for add-ons and validates input", () => {
+  assert.equal(computeAvailability(schedule, { from: "2026-10-20", to: "2026-10-20", addOns: ["drone", "reel"], now }).duration_minutes, 140);
+  assert.match(computeAvailability(schedule, { addOns: ["jetpack"], now }).error, /jetpack/);
+  assert.match(computeAvailability(schedule, { from: "2026-10-20", to: "2026-12-31", now }).error, /at most/);
+  assert.match(computeAvailability(schedule, { from: "tuesday", now }).error, /YYYY-MM-DD/);
+  // Nothing inside the lead time is offered.
+  const monday = computeAvailability(schedule, { from: "2026-10-19", to: "2026-10-19", now });
+  assert.deepEqual(monday.days[0].slots, []);
+});
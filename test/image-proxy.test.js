@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { createImageProxy, parseResizeParams, ImageProxyError } = require("../api/image-proxy");
+
+const JPEG_BYTES = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46]);
+
+function makeProxy(fetchImpl) {
+  return createImageProxy({
+    cacheDir: fs.mkdtempSync(path.join(os.tmpdir(), "image-cache-")),
+    allowedHosts: ["images.unsplash.com", "aryeo.com"],
+    resizeParams: parseResizeParams("images.unsplash.com:w"),
+    fetchImpl
+  });
+}
+
+function imageResponse(url) {
+  const response = new Response(JPEG_BYTES, { status: 200, headers: { "Content-Type": "image/jpeg" } });
+  Object.defineProperty(response, "url", { value: url });
+  return response;
+}
+
+test("image proxy rejects hosts outside the allowlist", async () => {
+  const proxy = makeProxy(async () => assert.fail("should not fetch"));
+  await assert.rejects(proxy.getImage("https://evil.example.com/a.jpg", 640), (error) => error instanceof ImageProxyError && error.statusCode === 403);
+  await assert.rejects(proxy.getImage("not a url", 640), (error) => error.statusCode === 400);
+  assert.equal(proxy.isAllowedHost("cdn.aryeo.com"), true);
+  assert.equal(proxy.isAllowedHost("notaryeo.com"), false);
+});
+
+test("image proxy snaps widths, resizes upstream and caches on disk", async () => {
+  const requested = [];
+  const proxy = makeProxy(async (url) => {
+    requested.push(url);
+    return imageResponse(url);
+  });
+
+  const first = await proxy.getImage("https://images.unsplash.com/photo-1?fm=jpg", 500);
+  assert.equal(first.placeholder, false);
+  assert.equal(first.content_type, "image/jpeg");
+  assert.ok(first.etag);
+  assert.equal(new URL(requested[0]).searchParams.get("w"), "640");
+
+  const second = await proxy.getImage("https://images.unsplash.com/photo-1?fm=jpg", 600);
+  assert.equal(second.etag, first.etag);
+  assert.equal(requested.length, 1);
+
+  // Hosts without a resize parameter share one cached original across widths.
+  await proxy.getImage("https://cdn.aryeo.com/a.jpg", 320);
+  await proxy.getImage("https://cdn.aryeo.com/a.jpg", 1600);
+  assert.equal(requested.filter((url) => url.includes("aryeo")).length, 1);
+});
+
+test("image proxy returns a placeholder for broken upstream images", async () => {
+  let calls = 0;
+  const proxy = makeProxy(async () => {
+    calls += 1;
+    return new Response("nope", { status: 404, headers: { "Content-Type": "text/html" } });
+  });
+
+  const image = await proxy.getImage("https://cdn.aryeo.com/missing.jpg", 640);
+  assert.equal(image.placeholder, true);
+  assert.equal(image.content_type, "image/svg+xml");
+
+  await proxy.getImage("https://cdn.aryeo.com/missing.jpg", 640);
+  assert.equal(calls, 1);
+});
+
+test("image proxy refuses SVG and checks every redirect hop before requesting it", async () => {
+  const requested = [];
+  const proxy = makeProxy(async (url, init) => {
+    requested.push(url);
+    assert.equal(init.redirect, "manual");
+    if (url.endsWith("/vector.svg")) return new Response("<svg onload=alert(1)>", { status: 200, headers: { "Content-Type": "image/svg+xml" } });
+    if (url.endsWith("/moved.jpg")) return new Response(null, { status: 302, headers: { Location: "/a.jpg" } });
+    if (url.endsWith("/escape.jpg")) return new Response(null, { status: 302, headers: { Location: "https://evil.example.com/x.svg" } });
+    return imageResponse(url);
+  });
+
+  const svg = await proxy.getImage("https://cdn.aryeo.com/vector.svg", 640);
+  assert.equal(svg.placeholder, true);
+  assert.match(svg.reason, /not a supported image/);
+
+  const moved = await proxy.getImage("https://cdn.aryeo.com/moved.jpg", 640);
+  assert.equal(moved.placeholder, false);
+  assert.equal(requested.at(-1), "https://cdn.aryeo.com/a.jpg");
+
+  const escaped = await proxy.getImage("https://cdn.aryeo.com/escape.jpg", 640);
+  assert.equal(escaped.placeholder, true);
+  assert.ok(requested.every((url) => !url.includes("evil.example.com")));
+});
@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createFormToken, checkFormToken, validateLead } = require("../api/leads");
+
+const SECRET = "lead-test-secret";
+const WINDOW = { minSeconds: 3, maxSeconds: 3600 };
+
+test("checkFormToken enforces the signature and the form age window", () => {
+  const issuedAt = Date.parse("2026-10-19T12:00:00Z");
+  const token = createFormToken(SECRET, issuedAt);
+
+  assert.deepEqual(checkFormToken(SECRET, token, { ...WINDOW, now: issuedAt + 10000 }), { ok: true });
+  assert.equal(checkFormToken(SECRET, token, { ...WINDOW, now: issuedAt + 1000 }).reason, "too_fast");
+  assert.equal(checkFormToken(SECRET, token, { ...WINDOW, now: issuedAt + 7200000 }).reason, "expired");
+  assert.equal(checkFormToken("other-secret", token, { ...WINDOW, now: issuedAt + 10000 }).reason, "invalid");
+  assert.equal(checkFormToken(SECRET, "", WINDOW).reason, "invalid");
+});
+
+test("validateLead normalizes a valid lead", () => {
+  const { lead, errors } = validateLead({
+    name: " Dana Reyes ",
+    phone: "(352) 555-0148",
+    address: "12 Main St, Ocala, FL 34470",
+    sqft: "2,200",
+    preferred_date: "2026-10-25",
+    services: "drone"
+  }, { services: ["photos", "drone"], today: "2026-10-19" });
+
+  assert.deepEqual(errors, {});
+  assert.equal(lead.name, "Dana Reyes");
+  assert.equal(lead.email, null);
+  assert.equal(lead.sqft, 2200);
+  assert.deepEqual(lead.services, ["drone"]);
+});
+
+test("validateLead reports every invalid field", () => {
+  const { lead, errors } = validateLead({
+    email: "not-an-email",
+    sqft: "big",
+    preferred_date: "2026-10-01",
+    services: ["photos", "yacht"]
+  }, { services: ["photos"], today: "2026-10-19" });
+
+  assert.equal(lead, null);
+  assert.deepEqual(Object.keys(errors).sort(), ["address", "email", "name", "preferred_date", "services", "sqft"]);
+  assert.match(validateLead({ name: "A", address: "B" }, { services: [] }).errors.email, /email or a phone/);
+});
@@ -0,0 +1,121 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { normalizeShoot, canonicalImageKey, collectImageUrls, tokenizeAddress, parseAddressParts, replayRefreshPatches, bookedAppointments } = require("../api/server");
+
+test("canonicalImageKey collapses resized variants of the same image", () => {
+  const original = canonicalImageKey("https://cdn.example.com/media/house.jpg");
+  assert.equal(canonicalImageKey("https://cdn.example.com/media/house-800x600.jpg"), original);
+  assert.equal(canonicalImageKey("https://cdn.example.com/media/house_thumb.jpg"), original);
+  assert.equal(canonicalImageKey("https://cdn.example.com/fit-in/300x200/media/house.jpg"), original);
+});
+
+test("canonicalImageKey prefers embedded UUIDs and handles non-URLs", () => {
+  const uuid = "3f2b9c1e-8a4b-4c61-9f0e-1a2b3c4d5e6f";
+  assert.equal(canonicalImageKey(`https://a.example.com/${uuid}/large.jpg`), `uuid:${uuid}`);
+  assert.equal(canonicalImageKey(`https://b.example.com/x/${uuid}.png`), `uuid:${uuid}`);
+  assert.equal(canonicalImageKey("  Not A URL  "), "not a url");
+  assert.equal(canonicalImageKey(42), "");
+});
+
+test("collectImageUrls walks nested payloads and keeps the best variant per image", () => {
+  const results = collectImageUrls({
+    listing: {
+      images: [
+        { thumbnail_url: "https://cdn.example.com/p/one_thumb.jpg" },
+        { original_url: "https://cdn.example.com/p/original/one.jpg" },
+        { large_url: "https://cdn.example.com/p/one_large.jpg" }
+      ]
+    },
+    video_url: "https://cdn.example.com/p/tour.mp4",
+    floorplan: { url: "https://cdn.example.com/p/plan.webp" }
+  });
+
+  const urls = [...results.values()].map((entry) => entry.url);
+  assert.ok(urls.includes("https://cdn.example.com/p/one_large.jpg"));
+  assert.ok(!urls.includes("https://cdn.example.com/p/one_thumb.jpg"));
+  assert.ok(urls.includes("https://cdn.example.com/p/plan.webp"));
+  assert.ok(!urls.some((url) => url.endsWith(".mp4")));
+});
+
+test("normalizeShoot flattens an Aryeo order", () => {
+  const shoot = normalizeShoot({
+    id: "order-1",
+    number: 1001,
+    status: "DELIVERED",
+    created_at: "2026-01-01T09:00:00Z",
+    updated_at: "2026-01-03T09:00:00Z",
+    listing: {
+      address: { street_address: "123 Main St", city: "Ocala", state: "FL", postal_code: "34470" },
+      images: [
+        { large_url: "https://cdn.example.com/a.jpg" },
+        { large_url: "https://cdn.example.com/b.jpg" }
+      ]
+    },
+    appointments: [{ start_at: "2026-01-02T14:00:00Z" }]
+  });
+
+  assert.equal(shoot.id, "order-1");
+  assert.deepEqual(shoot.identifiers, ["order-1", "1001"]);
+  assert.equal(shoot.address, "123 Main St, Ocala, FL, 34470");
+  assert.equal(shoot.status, "DELIVERED");
+  assert.equal(shoot.scheduled_at, "2026-01-02T14:00:00Z");
+  assert.equal(shoot.thumbnail_url, "https://cdn.example.com/a.jpg");
+  assert.deepEqual(shoot.photos, ["https://cdn.example.com/b.jpg"]);
+});
+
+test("normalizeShoot tolerates sparse orders", () => {
+  const shoot = normalizeShoot({});
+  assert.equal(shoot.id, "unknown");
+  assert.equal(shoot.status, "Unknown");
+  assert.equal(shoot.thumbnail_url, "");
+  assert.deepEqual(shoot.photos, []);
+});
+
+test("tokenizeAddress normalizes suffixes and separates unit numbers", () => {
+  assert.deepEqual(tokenizeAddress("123 Main Street, Apt 4"), { streetTokens: ["123", "main", "st"], unitTokens: ["4"] });
+  assert.deepEqual(tokenizeAddress("123 main st #4"), { streetTokens: ["123", "main", "st"], unitTokens: ["4"] });
+  // Only the state before the ZIP is abbreviated; "Florida" in a street or city name stays.
+  assert.deepEqual(tokenizeAddress("9 Florida Ave, Florida City, Florida 33034").streetTokens, ["9", "florida", "ave", "florida", "city", "fl", "33034"]);
+});
+
+test("parseAddressParts finds city, state and ZIP in normalized addresses", () => {
+  assert.deepEqual(parseAddressParts("123 Main St, Ocala, FL, 34470"), { city: "Ocala", state: "FL", zip: "34470" });
+  assert.deepEqual(parseAddressParts("9 Bay Rd, Tampa, FL 33601-1234"), { city: "Tampa", state: "FL", zip: "33601" });
+  assert.deepEqual(parseAddressParts("Address unavailable"), { city: null, state: null, zip: null });
+});
+
+test("replayRefreshPatches keeps webhook patches made during a full pull unless the pull is newer", () => {
+  const pulled = {
+    updated_at: "2026-10-19T12:00:00Z",
+    shoots: [
+      { id: "a", status: "SCHEDULED", updated_at: "2026-10-19T11:00:00Z", scheduled_at: "2026-10-20T14:00:00Z" },
+      { id: "b", status: "DELIVERED", updated_at: "2026-10-19T11:59:00Z", scheduled_at: "2026-10-18T14:00:00Z" },
+      { id: "c", status: "OPEN", updated_at: "2026-10-19T10:00:00Z", scheduled_at: "2026-10-21T14:00:00Z" }
+    ]
+  };
+  const patches = new Map([
+    ["a", { id: "a", status: "DELIVERED", updated_at: "2026-10-19T11:30:00Z", scheduled_at: "2026-10-20T14:00:00Z" }],
+    ["b", { id: "b", status: "SCHEDULED", updated_at: "2026-10-19T11:00:00Z", scheduled_at: "2026-10-18T14:00:00Z" }],
+    ["c", null]
+  ]);
+
+  const merged = replayRefreshPatches(pulled, patches);
+  const byId = Object.fromEntries(merged.shoots.map((shoot) => [shoot.id, shoot.status]));
+  assert.deepEqual(byId, { a: "DELIVERED", b: "DELIVERED" });
+  assert.equal(merged.source_count, 2);
+  assert.equal(replayRefreshPatches(pulled, new Map()), pulled);
+});
+
+test("bookedAppointments falls back to scheduled_at for shoots cached without appointments", () => {
+  const booked = bookedAppointments([
+    { id: "old-cache", status: "SCHEDULED", scheduled_at: "2026-10-22T15:30:00Z" },
+    { id: "new-cache", status: "SCHEDULED", scheduled_at: "2026-10-23T15:30:00Z", appointments: [
+      { start_at: "2026-10-23T15:30:00Z", end_at: "2026-10-23T17:00:00Z", status: "CONFIRMED" },
+      { start_at: "2026-10-24T15:30:00Z", status: "CANCELED" }
+    ] },
+    { id: "cancelled", status: "CANCELED", scheduled_at: "2026-10-25T15:30:00Z" },
+    { id: "unscheduled", status: "OPEN", scheduled_at: null }
+  ]);
+  assert.deepEqual(booked.map((appointment) => appointment.start_at), ["2026-10-22T15:30:00Z", "2026-10-23T15:30:00Z"]);
+});
@@ -0,0 +1,176 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+
+const { loadTemplates, renderMessage, createOptOutStore, createOutbox } = require("../api/notifications");
+const { createSmtpTransport } = require("../api/notification-transports");
+
+const templates = loadTemplates(path.join(__dirname, "..", "api", "notification-templates.json"));
+
+function tempFile(name) {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), "elevate-notify-")), name);
+}
+
+test("renderMessage fills templates per channel", () => {
+  const email = renderMessage(templates, "order_delivered", "email", { first_name: "Dana", address: "12 Main St", shoot_url: "https://example.com/s" });
+  assert.equal(email.subject, "Your photos for 12 Main St are ready");
+  assert.match(email.text, /^Hi Dana,/);
+  assert.match(email.text, /https:\/\/example\.com\/s/);
+
+  const sms = renderMessage(templates, "order_scheduled", "sms", { address: "12 Main St", scheduled_at: "Tuesday" });
+  assert.equal(sms.subject, null);
+  assert.match(sms.text, /booked for Tuesday/);
+  assert.equal(renderMessage({}, "new_order", "sms", {}), null);
+});
+
+test("outbox retries failed sends, survives a reload and respects opt-outs", async () => {
+  const file = tempFile("outbox.json");
+  const optOuts = createOptOutStore(tempFile("opt-outs.json"));
+  const sent = [];
+  let failNext = true;
+  const transports = {
+    email: {
+      name: "test",
+      async send(message) {
+        if (failNext) {
+          failNext = false;
+          throw new Error("SMTP down");
+        }
+        sent.push(message);
+      }
+    }
+  };
+  const logger = { warn() {}, error() {} };
+  const options = { file, transports, isOptedOut: optOuts.isOptedOut, retryBaseMs: 0, logger };
+
+  const outbox = createOutbox(options);
+  const message = { event: "order_delivered", channel: "email", to: "agent@example.com", subject: "Ready", text: "Hi", dedupeKey: "delivered:1" };
+  assert.ok(outbox.enqueue(message));
+  assert.equal(outbox.enqueue(message), null);
+
+  await outbox.drain();
+  assert.equal(outbox.stats().pending, 1);
+  assert.equal(outbox.stats().last_error, "SMTP down");
+
+  // A fresh outbox on the same file picks the message back up.
+  const reloaded = createOutbox(options);
+  await reloaded.drain();
+  assert.equal(sent.length, 1);
+  assert.equal(reloaded.stats().sent, 1);
+
+  optOuts.add("email", "Agent@Example.com", ["order_scheduled"]);
+  assert.equal(reloaded.enqueue({ ...message, event: "order_scheduled", dedupeKey: "scheduled:1" }), null);
+  assert.ok(reloaded.enqueue({ ...message, dedupeKey: "delivered:2" }));
+});
+
+test("outbox marks messages failed after the last attempt", async () => {
+  const outbox = createOutbox({
+    file: tempFile("outbox.json"),
+    transports: {},
+    maxAttempts: 1,
+    logger: { warn() {}, error() {} }
+  });
+  outbox.enqueue({ event: "new_order", channel: "sms", to: "+13525550100", text: "New order" });
+  await outbox.drain();
+  assert.equal(outbox.stats().failed, 1);
+  assert.match(outbox.list()[0].last_error, /No sms transport/);
+
+  assert.equal(outbox.retryFailed(), 1);
+  assert.equal(outbox.stats().pending, 1);
+});
+
+test("outbox keeps events until they expand into messages", async () => {
+  const file = tempFile("outbox.json");
+  const sent = [];
+  let lookupDown = true;
+  const options = {
+    file,
+    transports: { email: { name: "test", async send(message) { sent.push(message); } } },
+    async expandEvent(payload) {
+      if (lookupDown) throw new Error("Aryeo unavailable");
+      return [{ event: payload.event, channel: "email", to: "agent@example.com", text: `Order ${payload.order_id}`, dedupeKey: `x:${payload.order_id}` }];
+    },
+    retryBaseMs: 0,
+    logger: { warn() {}, error() {} }
+  };
+
+  const outbox = createOutbox(options);
+  assert.ok(outbox.enqueueEvent({ event: "order_delivered", payload: { event: "order_delivered", order_id: "o1" }, dedupeKey: "event:d1" }));
+  assert.equal(outbox.enqueueEvent({ event: "order_delivered", payload: {}, dedupeKey: "event:d1" }), null);
+  await outbox.drain();
+  assert.equal(outbox.stats().pending, 1);
+  assert.equal(outbox.stats().last_error, "Aryeo unavailable");
+
+  // Once the lookup works, a reloaded outbox expands the event and sends in the same drain.
+  lookupDown = false;
+  const reloaded = createOutbox(options);
+  await reloaded.drain();
+  assert.deepEqual(sent.map((message) => message.text), ["Order o1"]);
+  assert.deepEqual(reloaded.stats(), { ...reloaded.stats(), pending: 0, sent: 2 });
+});
+
+test("SMTP transport authenticates, hands off the message and refuses unsafe auth or headers", async () => {
+  const received = [];
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let inData = false;
+    socket.write("220 test ESMTP\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      let index;
+      while ((index = buffer.indexOf("\r\n")) >= 0) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (inData) {
+          if (line === ".") {
+            inData = false;
+            socket.write("250 queued\r\n");
+          } else {
+            received.push(line);
+          }
+          continue;
+        }
+        received.push(line);
+        if (line.startsWith("EHLO")) socket.write("250-test\r\n250 AUTH PLAIN\r\n");
+        else if (line.startsWith("AUTH")) socket.write("235 ok\r\n");
+        else if (line === "DATA") {
+          inData = true;
+          socket.write("354 go ahead\r\n");
+        } else if (line === "QUIT") socket.end("221 bye\r\n");
+        else socket.write("250 ok\r\n");
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  try {
+    const transport = createSmtpTransport({
+      host: "127.0.0.1",
+      port: server.address().port,
+      user: "mailer",
+      pass: "secret",
+      from: "Elevate <notify@example.com>",
+      allowInsecureAuth: true
+    });
+    await transport.send({ channel: "email", to: "agent@example.com", subject: "Ready", text: "Hello" });
+
+    assert.ok(received.includes("MAIL FROM:<notify@example.com>"));
+    assert.ok(received.includes("RCPT TO:<agent@example.com>"));
+    assert.ok(received.includes("Subject: Ready"));
+    assert.ok(received.includes(Buffer.from("Hello").toString("base64")));
+
+    // Without TLS the password is never sent unless the caller opts in.
+    received.length = 0;
+    const strict = createSmtpTransport({ host: "127.0.0.1", port: server.address().port, user: "mailer", pass: "secret", from: "notify@example.com" });
+    await assert.rejects(strict.send({ channel: "email", to: "agent@example.com", subject: "Ready", text: "Hello" }), /offered no TLS/);
+    assert.ok(!received.some((line) => line.startsWith("AUTH")));
+
+    await assert.rejects(transport.send({ channel: "email", to: "agent@example.com>\r\nRCPT TO:<other@example.com", text: "Hi" }), /line breaks/);
+    await assert.rejects(transport.send({ channel: "email", to: "agent@example.com", text: "Hi", headers: { "List-Unsubscribe": "<x>\r\nBcc: other@example.com" } }), /line breaks/);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { resolveRange, computePipelineStats, pipelineEventsToCsv } = require("../api/pipeline-stats");
+
+const timeZone = "America/New_York";
+const stageOf = (eventObj) => ({ "order.created": "created", "order.scheduled": "scheduled", "order.delivered": "delivered" })[eventObj.event_type] || null;
+const cityOf = (address) => String(address || "").split(",")[1]?.trim() || null;
+
+function orderEvents(orderId, city, steps) {
+  return steps.map(([eventType, receivedAt]) => ({ event_type: eventType, order_id: orderId, address: `1 Main St, ${city}, FL 34470`, received_at: receivedAt }));
+}
+
+const events = [
+  ...orderEvents("a", "Ocala", [["order.created", "2026-10-05T14:00:00Z"], ["order.scheduled", "2026-10-06T14:00:00Z"], ["order.delivered", "2026-10-07T14:00:00Z"]]),
+  ...orderEvents("b", "Ocala", [["order.created", "2026-10-06T14:00:00Z"], ["order.delivered", "2026-10-10T14:00:00Z"]]),
+  ...orderEvents("c", "Gainesville", [["order.created", "2026-10-12T14:00:00Z"], ["order.scheduled", "2026-10-13T14:00:00Z"]]),
+  // Created before the range, delivered inside it: counts for turnaround but not the funnel.
+  ...orderEvents("d", "Tampa", [["order.created", "2026-09-20T14:00:00Z"], ["order.delivered", "2026-10-05T14:00:00Z"]]),
+  // Its log starts at "scheduled", so there is no created time to measure turnaround from.
+  ...orderEvents("e", "Tampa", [["order.scheduled", "2026-09-28T14:00:00Z"], ["order.delivered", "2026-10-08T14:00:00Z"]]),
+  { event_type: "website.lead", source: "website", order_id: null, received_at: "2026-10-12T15:00:00Z" }
+];
+
+test("resolveRange defaults to the last 30 local days and validates input", () => {
+  // 02:00 UTC on the 19th is still the 18th in New York.
+  assert.deepEqual(resolveRange({ timeZone, now: Date.parse("2026-10-19T02:00:00Z") }), { from: "2026-09-19", to: "2026-10-18" });
+  assert.match(resolveRange({ from: "2026-10-05", to: "2026-10-01", timeZone }).error, /on or after/);
+  assert.match(resolveRange({ from: "yesterday", timeZone }).error, /YYYY-MM-DD/);
+  assert.match(resolveRange({ from: "2025-01-01", to: "2026-10-01", timeZone }).error, /at most 366 days/);
+});
+
+test("stats count events per week, follow the order funnel and time deliveries", () => {
+  const stats = computePipelineStats(events, { from: "2026-10-05", to: "2026-10-18", interval: "week", timeZone, stageOf, cityOf });
+
+  assert.equal(stats.event_count, 10);
+  assert.deepEqual(stats.periods.map((period) => [period.period, period.total]), [["2026-10-05", 7], ["2026-10-12", 3]]);
+  assert.equal(stats.periods[1].by_type["website.lead"], 1);
+
+  assert.deepEqual(stats.funnel, [
+    { step: "created", orders: 3, rate: 1 },
+    { step: "scheduled", orders: 3, rate: 1 },
+    { step: "delivered", orders: 2, rate: 0.667 }
+  ]);
+  assert.deepEqual(stats.turnaround, { orders: 3, median_hours: 96, p90_hours: 307.2 });
+  assert.deepEqual(stats.cities, [
+    { city: "Ocala", orders: 2, delivered: 2 },
+    { city: "Gainesville", orders: 1, delivered: 0 }
+  ]);
+});
+
+test("daily stats include empty days", () => {
+  const stats = computePipelineStats([], { from: "2026-10-01", to: "2026-10-03", timeZone, stageOf, cityOf });
+  assert.deepEqual(stats.periods.map((period) => period.period), ["2026-10-01", "2026-10-02", "2026-10-03"]);
+  assert.deepEqual(stats.turnaround, { orders: 0, median_hours: null, p90_hours: null });
+  assert.equal(stats.funnel[0].rate, null);
+});
+
+test("CSV export quotes cells and defuses formulas", () => {
+  const csv = pipelineEventsToCsv([
+    { received_at: "2026-10-12T15:00:00Z", event_type: "website.lead", name: "=HYPERLINK(\"x\")", address: "1 Main St, Ocala, FL 34470", services: ["drone", "video"] },
+    { received_at: "2026-10-12T16:00:00Z", event_type: "website.lead", name: "\t=1+1", message: "\r=1+1" }
+  ], { cityOf });
+  const [header, row, tabRow] = csv.split("\r\n");
+  assert.equal(header, "received_at,event_type,source,order_id,lead_id,status,address,city,name,email,phone,services,message");
+  assert.equal(row, "2026-10-12T15:00:00Z,website.lead,,,,,\"1 Main St, Ocala, FL 34470\",Ocala,\"'=HYPERLINK(\"\"x\"\")\",,,drone;video,");
+  assert.match(tabRow, /,'\t=1\+1,/);
+  assert.match(csv, /"'\r=1\+1"\r\n$/);
+});
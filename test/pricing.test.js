@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { loadPricing, calculateQuote, photoTierRows } = require("../api/pricing");
+
+const shipped = loadPricing(path.join(__dirname, "..", "api", "pricing.json"));
+// The shipped file leaves travel zones to the owner, so the zone tests bring their own.
+const pricing = {
+  ...shipped,
+  travel_zones: [
+    { label: "Home county", fee: 0, zip_prefixes: ["34428", "34429"] },
+    { label: "Region", fee: 35, zip_prefixes: ["344"] }
+  ]
+};
+
+test("photoTierRows labels square-footage ranges", () => {
+  assert.deepEqual(photoTierRows(pricing).map((row) => row.label), [
+    "Up to 1,500 sqft",
+    "1,501 - 2,500 sqft",
+    "2,501 - 3,500 sqft",
+    "3,501 - 5,000 sqft",
+    "5,001+ sqft"
+  ]);
+});
+
+test("calculateQuote itemizes the tier, add-ons and travel", () => {
+  const quote = calculateQuote(pricing, { sqft: 2200, add_ons: ["drone", "rush"], zip: "34470" });
+  assert.deepEqual(quote.items.map((item) => item.amount), [225, 95, 75, 35]);
+  assert.equal(quote.total, 430);
+  assert.equal(quote.subtotal, 430);
+  assert.equal(calculateQuote(shipped, { sqft: 2200, zip: "34470" }).travel.fee, null);
+  assert.equal(quote.travel.zone, "Region");
+
+  // A county ZIP beats the wider 344 prefix.
+  assert.equal(calculateQuote(pricing, { sqft: 1200, zip: "34429" }).travel.fee, 0);
+});
+
+test("calculateQuote falls back to a custom quote and rejects bad input", () => {
+  assert.equal(calculateQuote(pricing, { sqft: 6000, zip: "34429" }).total, null);
+  const outOfArea = calculateQuote(pricing, { sqft: 1200, zip: "90210" });
+  assert.equal(outOfArea.custom_quote, true);
+  assert.equal(outOfArea.subtotal, 175);
+  assert.match(calculateQuote(pricing, { sqft: 1200, zip: "3442" }).error, /ZIP/);
+  assert.match(calculateQuote(pricing, { sqft: 1200, zip: "34429", add_ons: ["jetpack"] }).error, /jetpack/);
+});
+
+test("loadPricing keeps the last good copy when the file breaks", () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "elevate-pricing-")), "pricing.json");
+  const logged = [];
+  const logger = { error: (line) => logged.push(line) };
+  fs.writeFileSync(file, JSON.stringify(shipped));
+  assert.equal(loadPricing(file, logger).add_ons.length, shipped.add_ons.length);
+
+  fs.writeFileSync(file, "{ not json");
+  fs.utimesSync(file, new Date(), new Date(Date.now() + 5000));
+  assert.equal(loadPricing(file, logger).add_ons.length, shipped.add_ons.length);
+  assert.equal(loadPricing(file, logger).currency, shipped.currency);
+  assert.equal(logged.length, 1);
+
+  assert.throws(() => loadPricing(path.join(path.dirname(file), "missing.json"), logger));
+});
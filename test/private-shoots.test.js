@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// With SHOOT_ORDER_ID_ACCESS=0 an order ID opens nothing publicly, so public output must not leak one.
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "elevate-private-"));
+process.env.DATA_DIR = dataDir;
+process.env.ARYEO_MODE = "fixtures";
+process.env.SHOOT_ORDER_ID_ACCESS = "0";
+process.env.ADMIN_SESSION_SECRET = "test-session-secret";
+process.env.SHARE_LINK_SECRET = "test-share-secret";
+
+const { server } = require("../api/server");
+
+const orderIds = require("../api/fixtures/aryeo/orders.json").orders.map((order) => order.id);
+let baseUrl;
+
+test.before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  await fetch(`${baseUrl}/api/shoots`);
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test("feeds link shoots by share token and never name an order ID", async () => {
+  for (const feedPath of ["/feed.atom", "/feed.rss"]) {
+    const feed = await (await fetch(`${baseUrl}${feedPath}`)).text();
+    orderIds.forEach((orderId) => assert.ok(!feed.includes(orderId), `${feedPath} exposes ${orderId}`));
+
+    const links = [...feed.matchAll(/shoot\.html\?token=([^"<]+)/g)].map((match) => match[1]);
+    assert.ok(links.length > 0);
+    const shared = await fetch(`${baseUrl}/api/shoot?token=${links[0]}`);
+    assert.equal(shared.status, 200);
+  }
+});
+
+test("a shoot page opened by share link keeps the token out of its meta tags and JSON-LD", async () => {
+  const feed = await (await fetch(`${baseUrl}/feed.atom`)).text();
+  const token = decodeURIComponent(feed.match(/shoot\.html\?token=([^"<]+)/)[1]);
+  const html = await (await fetch(`${baseUrl}/shoot.html?token=${encodeURIComponent(token)}`)).text();
+  assert.match(html, /"@type": "ImageGallery"/);
+  assert.match(html, /<meta name="robots" content="noindex" \/>/);
+  assert.ok(!html.includes(token));
+  assert.ok(!html.includes(encodeURIComponent(token)));
+});
@@ -0,0 +1,675 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "elevate-data-"));
+process.env.DATA_DIR = dataDir;
+process.env.ARYEO_MODE = "fixtures";
+process.env.WEBHOOK_SECRET = "test-webhook-secret";
+process.env.ADMIN_API_KEYS = "ops:admin:test-admin-key,va:viewer:test-viewer-key";
+process.env.ADMIN_SESSION_SECRET = "test-session-secret";
+process.env.SHARE_LINK_SECRET = "test-share-secret";
+process.env.LEAD_FORM_SECRET = "test-lead-secret";
+process.env.NOTIFY_EMAIL_TRANSPORT = "file";
+process.env.WEBHOOK_RELAY_MAX_ATTEMPTS = "1";
+process.env.TRUST_PROXY = "1";
+process.env.SCHEDULE_FILE = path.join(__dirname, "..", "api", "schedule.example.json");
+
+const { server } = require("../api/server");
+const { createFormToken } = require("../api/leads");
+
+const DELIVERED_ORDER_ID = "0d1f6a3e-8a4b-4c61-9f0e-1a2b3c4d5e01";
+let baseUrl;
+
+test.before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function signedWebhook(payload, { secret = process.env.WEBHOOK_SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  const body = JSON.stringify(payload);
+  const signature = crypto.createHmac("sha256", secret).update(body).digest("hex");
+  return {
+    method: "POST",
+    body,
+    headers: {
+      "Content-Type": "application/json",
+      "x-webhook-signature": `sha256=${signature}`,
+      "x-webhook-timestamp": String(timestamp)
+    }
+  };
+}
+
+test("GET /api/health reports fixture mode", async () => {
+  const response = await fetch(`${baseUrl}/api/health`);
+  const payload = await response.json();
+  assert.equal(response.status, 200);
+  assert.equal(payload.aryeo_mode, "fixtures");
+});
+
+test("GET /api/shoots loads the fixtures through the include fallback", async () => {
+  const response = await fetch(`${baseUrl}/api/shoots?limit=3`);
+  const payload = await response.json();
+  assert.equal(response.status, 200);
+  assert.equal(payload.shoots.length, 3);
+  assert.equal(payload.source_count, 5);
+  assert.ok(payload.shoots.every((shoot) => shoot.thumbnail_url));
+  assert.equal(payload.cache.last_error, null);
+});
+
+test("GET /api/shoots filters by status, city, ZIP, date range and search text", async () => {
+  const query = async (params) => (await fetch(`${baseUrl}/api/shoots?${new URLSearchParams(params)}`)).json();
+
+  assert.equal((await query({ status: "delivered" })).total, 3);
+  assert.equal((await query({ status: "open,scheduled" })).total, 2);
+  assert.equal((await query({ city: "ocala" })).shoots[0].id, DELIVERED_ORDER_ID);
+  assert.equal((await query({ zip: "326" })).total, 1);
+  assert.equal((await query({ from: "2026-08-01", to: "2026-09-30" })).total, 2);
+  assert.equal((await query({ q: "main" })).total, 2);
+
+  const facets = (await query({})).facets;
+  assert.ok(facets.cities.includes("The Villages"));
+  assert.ok(facets.statuses.includes("DELIVERED"));
+});
+
+test("GET /api/shoots pages through every shoot with a cursor", async () => {
+  const seen = [];
+  let cursor = "";
+  for (let page = 0; page < 5; page += 1) {
+    const params = new URLSearchParams({ limit: "2" });
+    if (cursor) params.set("cursor", cursor);
+    const payload = await (await fetch(`${baseUrl}/api/shoots?${params}`)).json();
+    seen.push(...payload.shoots.map((shoot) => shoot.id));
+    cursor = payload.next_cursor;
+    if (!cursor) break;
+  }
+  assert.equal(seen.length, 5);
+  assert.equal(new Set(seen).size, 5);
+
+  const offsetPage = await (await fetch(`${baseUrl}/api/shoots?limit=2&offset=4`)).json();
+  assert.deepEqual(offsetPage.shoots.map((shoot) => shoot.id), seen.slice(4));
+  assert.equal((await fetch(`${baseUrl}/api/shoots?cursor=garbage`)).status, 400);
+});
+
+test("GET /api/order-status resolves IDs, order numbers and ambiguous addresses", async () => {
+  let response = await fetch(`${baseUrl}/api/order-status?order_id=${DELIVERED_ORDER_ID}`);
+  let payload = await response.json();
+  assert.equal(payload.order_id, DELIVERED_ORDER_ID);
+  assert.equal(payload.match, "id");
+
+  response = await fetch(`${baseUrl}/api/order-status?order_id=1003`);
+  payload = await response.json();
+  assert.equal(payload.address, "55 Sunset Boulevard, Tampa, FL, 33601");
+
+  response = await fetch(`${baseUrl}/api/order-status?order_id=${encodeURIComponent("123 Main")}`);
+  payload = await response.json();
+  assert.equal(payload.ambiguous, true);
+  assert.equal(payload.candidates.length, 2);
+  payload.candidates.forEach((candidate) => {
+    assert.equal(candidate.order_id, undefined);
+    assert.match(candidate.address, /^\*\*\*, /);
+  });
+
+  // A bare house number is not enough to match anything.
+  response = await fetch(`${baseUrl}/api/order-status?order_id=123`);
+  assert.equal(response.status, 404);
+
+  response = await fetch(`${baseUrl}/api/order-status?order_id=${encodeURIComponent("55 sunset blvd tampa")}`);
+  payload = await response.json();
+  assert.equal(payload.match, "address");
+
+  response = await fetch(`${baseUrl}/api/order-status?order_id=${encodeURIComponent("999 Nowhere Rd")}`);
+  assert.equal(response.status, 404);
+});
+
+test("GET /api/shoot supports conditional requests", async () => {
+  const first = await fetch(`${baseUrl}/api/shoot?order_id=${DELIVERED_ORDER_ID}`);
+  const payload = await first.json();
+  assert.equal(first.status, 200);
+  assert.equal(payload.shoot.id, DELIVERED_ORDER_ID);
+
+  const etag = first.headers.get("etag");
+  assert.ok(etag);
+  const second = await fetch(`${baseUrl}/api/shoot?order_id=${DELIVERED_ORDER_ID}`, { headers: { "If-None-Match": etag } });
+  assert.equal(second.status, 304);
+
+  const missing = await fetch(`${baseUrl}/api/shoot?order_id=does-not-exist`);
+  assert.equal(missing.status, 404);
+});
+
+test("POST /api/webhooks/aryeo verifies signatures and rejects replays", async () => {
+  const payload = { id: "delivery-1", type: "order.updated", data: { id: DELIVERED_ORDER_ID, status: "DELIVERED" } };
+
+  let response = await fetch(`${baseUrl}/api/webhooks/aryeo`, signedWebhook(payload, { secret: "wrong" }));
+  assert.equal(response.status, 401);
+
+  response = await fetch(`${baseUrl}/api/webhooks/aryeo`, signedWebhook(payload, { timestamp: 1000 }));
+  assert.equal(response.status, 401);
+
+  response = await fetch(`${baseUrl}/api/webhooks/aryeo`, signedWebhook(payload));
+  assert.equal(response.status, 200);
+
+  response = await fetch(`${baseUrl}/api/webhooks/aryeo`, signedWebhook(payload));
+  assert.equal(response.status, 409);
+
+  // A tampered body breaks the signature, and the captured body under a fresh timestamp is still a replay.
+  const captured = signedWebhook(payload, { timestamp: Math.floor(Date.now() / 1000) - 10 });
+  response = await fetch(`${baseUrl}/api/webhooks/aryeo`, { ...captured, body: captured.body.replace("DELIVERED", "CANCELED") });
+  assert.equal(response.status, 401);
+  response = await fetch(`${baseUrl}/api/webhooks/aryeo`, { ...captured, headers: { ...captured.headers, "x-webhook-timestamp": String(Math.floor(Date.now() / 1000)) } });
+  assert.equal(response.status, 409);
+
+  // Without a payload id, a byte-identical body is caught by its digest.
+  const anonymous = signedWebhook({ type: "order.updated", data: { id: "order-without-delivery-id", status: "OPEN" } });
+  assert.equal((await fetch(`${baseUrl}/api/webhooks/aryeo`, anonymous)).status, 200);
+  assert.equal((await fetch(`${baseUrl}/api/webhooks/aryeo`, anonymous)).status, 409);
+
+  const lines = fs.readFileSync(path.join(dataDir, "lead-pipeline.jsonl"), "utf8").trim().split("\n");
+  assert.equal(lines.length, 2);
+});
+
+test("GET /api/pipeline/leads redacts events for non-admin callers", async () => {
+  let response = await fetch(`${baseUrl}/api/pipeline/leads`);
+  let payload = await response.json();
+  assert.equal(payload.redacted, true);
+  assert.ok(payload.events.every((eventObj) => !("raw" in eventObj)));
+  assert.ok(payload.events.every((eventObj) => !("order_id" in eventObj) && /^[0-9a-f]{12}$/.test(eventObj.order_ref)));
+
+  response = await fetch(`${baseUrl}/api/pipeline/leads`, { headers: { Authorization: "Bearer test-viewer-key" } });
+  payload = await response.json();
+  assert.equal(payload.redacted, true);
+
+  response = await fetch(`${baseUrl}/api/pipeline/leads`, { headers: { Authorization: "Bearer test-admin-key" } });
+  payload = await response.json();
+  assert.equal(payload.redacted, false);
+  assert.ok(payload.events[0].raw);
+});
+
+test("GET /api/order-timeline merges pipeline history", async () => {
+  const response = await fetch(`${baseUrl}/api/order-timeline?order_id=${DELIVERED_ORDER_ID}`);
+  const payload = await response.json();
+  assert.equal(response.status, 200);
+  assert.deepEqual(payload.stages.map((stage) => stage.key), ["received", "scheduled", "shot", "delivered"]);
+  assert.equal(payload.current_stage, "delivered");
+  assert.equal(payload.events.length, 1);
+});
+
+test("portfolio overrides hide, pin and retitle shoots", async () => {
+  const pinnedId = "0d1f6a3e-8a4b-4c61-9f0e-1a2b3c4d5e04";
+  const hiddenId = "0d1f6a3e-8a4b-4c61-9f0e-1a2b3c4d5e03";
+  const admin = { "Content-Type": "application/json", Authorization: "Bearer test-admin-key" };
+  const overrideUrl = (orderId) => `${baseUrl}/api/admin/portfolio-overrides/${orderId}`;
+
+  let response = await fetch(overrideUrl(hiddenId), {
+    method: "POST",
+    headers: { ...admin, Authorization: "Bearer test-viewer-key" },
+    body: JSON.stringify({ hidden: true })
+  });
+  assert.equal(response.status, 403);
+
+  response = await fetch(overrideUrl(pinnedId), { method: "POST", headers: admin, body: JSON.stringify({ title: "" }) });
+  assert.equal(response.status, 400);
+
+  response = await fetch(overrideUrl(hiddenId), { method: "POST", headers: admin, body: JSON.stringify({ hidden: true }) });
+  assert.equal(response.status, 200);
+  response = await fetch(overrideUrl(pinnedId), {
+    method: "POST",
+    headers: admin,
+    body: JSON.stringify({ pinned: true, pin_rank: 1, title: "Lakeside retreat" })
+  });
+  assert.equal(response.status, 200);
+
+  const payload = await (await fetch(`${baseUrl}/api/shoots?limit=10`)).json();
+  assert.equal(payload.shoots[0].id, pinnedId);
+  assert.equal(payload.shoots[0].title, "Lakeside retreat");
+  assert.ok(payload.shoots.every((shoot) => shoot.id !== hiddenId));
+  assert.equal((await fetch(`${baseUrl}/api/shoot?order_id=${hiddenId}`)).status, 404);
+  assert.equal((await fetch(`${baseUrl}/api/shoot?order_id=${hiddenId}`, { headers: { Authorization: "Bearer test-viewer-key" } })).status, 200);
+
+  // Share links for a hidden order keep working.
+  const link = await (await fetch(`${baseUrl}/api/admin/share-links`, { method: "POST", headers: admin, body: JSON.stringify({ order_id: hiddenId }) })).json();
+  assert.equal((await fetch(`${baseUrl}/api/shoot?token=${encodeURIComponent(link.token)}`)).status, 200);
+
+  // "__proto__" is stored as an ordinary order ID.
+  assert.equal((await fetch(overrideUrl("__proto__"), { method: "POST", headers: admin, body: JSON.stringify({ hidden: true }) })).status, 200);
+  assert.equal((await (await fetch(`${baseUrl}/api/admin/portfolio-overrides`, { headers: admin })).json()).orders.__proto__.hidden, true);
+  assert.equal((await fetch(overrideUrl("__proto__"), { method: "DELETE", headers: admin })).status, 200);
+  assert.equal((await fetch(`${baseUrl}/api/shoots?limit=10`)).status, 200);
+
+  assert.equal((await fetch(overrideUrl(hiddenId), { method: "DELETE", headers: admin })).status, 200);
+  assert.equal((await fetch(overrideUrl(pinnedId), { method: "DELETE", headers: admin })).status, 200);
+  assert.equal((await fetch(`${baseUrl}/api/shoot?order_id=${hiddenId}`)).status, 200);
+});
+
+test("GET /api/image only proxies allowlisted hosts", async () => {
+  const response = await fetch(`${baseUrl}/api/image?url=${encodeURIComponent("https://evil.example.com/a.jpg")}&w=640`);
+  assert.equal(response.status, 403);
+  assert.equal((await fetch(`${baseUrl}/api/image`)).status, 400);
+});
+
+test("GET /api/shoot/download requires a known order", async () => {
+  assert.equal((await fetch(`${baseUrl}/api/shoot/download`)).status, 400);
+  // More misses than download slots: each one gives its slot back.
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    assert.equal((await fetch(`${baseUrl}/api/shoot/download?order_id=does-not-exist`)).status, 404);
+  }
+});
+
+// Answers requests to the fixture photo host in place of the real one; everything else goes out as usual.
+async function withStubbedImageHost(respond, run) {
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = (url, init) => (new URL(String(url)).hostname === "images.unsplash.com" ? respond(String(url)) : realFetch(url, init));
+  try {
+    return await run();
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+}
+
+function zipEntryNames(archive) {
+  const eocd = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  let cursor = archive.readUInt32LE(eocd + 16);
+  return Array.from({ length: archive.readUInt16LE(eocd + 10) }, () => {
+    const nameLength = archive.readUInt16LE(cursor + 28);
+    const name = archive.toString("utf8", cursor + 46, cursor + 46 + nameLength);
+    cursor += 46 + nameLength + archive.readUInt16LE(cursor + 30) + archive.readUInt16LE(cursor + 32);
+    return name;
+  });
+}
+
+test("GET /api/shoot/download streams a fixture shoot's photos as a ZIP", async () => {
+  const requested = [];
+  // The second photo fails upstream and is left out; the rest are numbered in order.
+  const respond = async (url) => {
+    requested.push(url);
+    return requested.length === 2
+      ? new Response("gone", { status: 404 })
+      : new Response("jpeg bytes", { headers: { "Content-Type": requested.length === 3 ? "image/png" : "image/jpeg" } });
+  };
+  await withStubbedImageHost(respond, async () => {
+    const response = await fetch(`${baseUrl}/api/shoot/download?order_id=${DELIVERED_ORDER_ID}`);
+    const archive = Buffer.from(await response.arrayBuffer());
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("content-type"), "application/zip");
+    assert.equal(response.headers.get("content-disposition"), 'attachment; filename="123-main-street-ocala-fl-34470-photos.zip"');
+    assert.equal(requested.length, 4);
+    assert.deepEqual(zipEntryNames(archive), ["123-main-street-ocala-fl-34470-01.jpg", "123-main-street-ocala-fl-34470-02.png", "123-main-street-ocala-fl-34470-03.jpg"]);
+  });
+});
+
+test("share links open shoots until they expire", async () => {
+  const response = await fetch(`${baseUrl}/api/admin/share-links`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: "Bearer test-admin-key" },
+    body: JSON.stringify({ order_id: DELIVERED_ORDER_ID, ttl_days: 7 })
+  });
+  const link = await response.json();
+  assert.equal(response.status, 201);
+  assert.ok(link.path.startsWith("/shoot.html?token="));
+
+  const shared = await fetch(`${baseUrl}/api/shoot?token=${encodeURIComponent(link.token)}`);
+  assert.equal(shared.status, 200);
+  assert.equal((await shared.json()).shoot.id, DELIVERED_ORDER_ID);
+
+  const tampered = `${link.token.slice(0, -2)}xx`;
+  assert.equal((await fetch(`${baseUrl}/api/shoot?token=${encodeURIComponent(tampered)}`)).status, 403);
+
+  const body = Buffer.from(JSON.stringify({ order_id: DELIVERED_ORDER_ID, exp: 1000 })).toString("base64url");
+  const signature = crypto.createHmac("sha256", process.env.SHARE_LINK_SECRET).update(`share.${body}`).digest("base64url");
+  assert.equal((await fetch(`${baseUrl}/api/shoot?token=${body}.${signature}`)).status, 410);
+
+  const viewer = await fetch(`${baseUrl}/api/admin/share-links`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: "Bearer test-viewer-key" },
+    body: JSON.stringify({ order_id: DELIVERED_ORDER_ID })
+  });
+  assert.equal(viewer.status, 403);
+});
+
+test("portfolio and shoot pages are rendered server-side", async () => {
+  await fetch(`${baseUrl}/api/shoots`);
+
+  const portfolio = await (await fetch(`${baseUrl}/portfolio.html`)).text();
+  assert.match(portfolio, /<article class="shoot-card">/);
+  assert.match(portfolio, /"@type": "CollectionPage"/);
+
+  const response = await fetch(`${baseUrl}/shoot.html?order_id=${DELIVERED_ORDER_ID}`);
+  const html = await response.text();
+  assert.equal(response.status, 200);
+  assert.match(html, /<title>FL, 34470 \| Elevate Real Estate Photography<\/title>/);
+  assert.match(html, /<meta property="og:image" content="https:\/\/images\.unsplash\.com\//);
+  assert.match(html, /"@type": "ImageGallery"/);
+  assert.match(html, /<h1 id="shootTitle">FL, 34470<\/h1>/);
+  assert.match(html, new RegExp(`<link rel="canonical" href="[^"]*shoot\\.html\\?order_id=${DELIVERED_ORDER_ID}" />`));
+
+  // Without public order_id access the order_id URL 403s, so it must not be advertised as canonical.
+  const { renderShootPage } = require("../api/pages");
+  const template = fs.readFileSync(path.join(__dirname, "..", "shoot.html"), "utf8");
+  const privatePage = renderShootPage(template, { shoot: { id: "o1", address: "1 Main St, Ocala, FL 34470", photos: [] }, siteUrl: "https://example.com", orderIdAccess: false });
+  assert.doesNotMatch(privatePage, /rel="canonical"|og:url|"url": "https:\/\/example\.com\/shoot/);
+  assert.match(privatePage, /<meta name="robots" content="noindex" \/>/);
+
+  // The browser loads the same card markup the server renders with.
+  assert.equal((await fetch(`${baseUrl}/shoot-markup.js`)).status, 200);
+
+  const unknown = await (await fetch(`${baseUrl}/shoot.html?order_id=does-not-exist`)).text();
+  assert.match(unknown, /<h1 id="shootTitle">Loading...<\/h1>/);
+});
+
+test("sitemap, robots.txt and feeds list public shoots", async () => {
+  await fetch(`${baseUrl}/api/shoots`);
+
+  const sitemap = await (await fetch(`${baseUrl}/sitemap.xml`)).text();
+  assert.match(sitemap, /<loc>https:\/\/www\.elevaterealestate\.photography\/<\/loc>/);
+  assert.match(sitemap, new RegExp(`shoot\\.html\\?order_id=${DELIVERED_ORDER_ID}</loc>`));
+
+  const robots = await (await fetch(`${baseUrl}/robots.txt`)).text();
+  assert.match(robots, /Sitemap: https:\/\/www\.elevaterealestate\.photography\/sitemap\.xml/);
+
+  const atomResponse = await fetch(`${baseUrl}/feed.atom`);
+  const atom = await atomResponse.text();
+  assert.equal(atomResponse.headers.get("content-type"), "application/atom+xml; charset=utf-8");
+  assert.match(atom, /<link rel="enclosure" type="image\/jpeg"/);
+  // Only delivered shoots make it into the feed; the SCHEDULED fixture order must not.
+  assert.doesNotMatch(atom, /0d1f6a3e-8a4b-4c61-9f0e-1a2b3c4d5e02/);
+
+  const rss = await (await fetch(`${baseUrl}/feed.rss`)).text();
+  assert.match(rss, /<rss version="2.0"/);
+  assert.match(rss, new RegExp(DELIVERED_ORDER_ID));
+});
+
+test("POST /api/quote prices a shoot and the home page renders the rate tables", async () => {
+  const response = await fetch(`${baseUrl}/api/quote`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ sqft: 1400, zip: "34429", add_ons: ["twilight"] })
+  });
+  const quote = await response.json();
+  assert.equal(response.status, 200);
+  // The shipped pricing has no travel zones, so travel is quoted separately but the priced lines still add up.
+  assert.deepEqual(quote.items.map((item) => item.amount), [175, 125, null]);
+  assert.equal(quote.subtotal, 300);
+  assert.equal(quote.total, null);
+  assert.equal(quote.custom_quote, true);
+
+  const invalid = await fetch(`${baseUrl}/api/quote`, { method: "POST", body: JSON.stringify({ sqft: "big" }) });
+  assert.equal(invalid.status, 400);
+
+  const home = await (await fetch(`${baseUrl}/`)).text();
+  assert.match(home, /<td>Up to 1,500 sqft<\/td>\s*<td>\$175<\/td>/);
+  assert.match(home, /<td>Rush Delivery \(24 hrs\)<\/td>\s*<td>\$75<\/td>/);
+});
+
+test("GET /api/availability returns open days and validates ranges", async () => {
+  const response = await fetch(`${baseUrl}/api/availability?add_ons=drone`);
+  const payload = await response.json();
+  assert.equal(response.status, 200);
+  assert.equal(payload.timezone, "America/New_York");
+  assert.equal(payload.days.length, 14);
+  assert.ok(Array.isArray(payload.next_open_days));
+
+  assert.equal((await fetch(`${baseUrl}/api/availability?from=2026-10-20&to=2026-10-01`)).status, 400);
+});
+
+test("POST /api/leads stores website leads and re-renders rejected form posts", async () => {
+  const formToken = createFormToken(process.env.LEAD_FORM_SECRET, Date.now() - 10000);
+  const lead = { name: "Dana Reyes", email: "dana@example.com", address: "12 Main St, Ocala, FL 34470", services: ["photos"], message: "Gate code 1234", form_token: formToken };
+  const postJson = (body) => fetch(`${baseUrl}/api/leads`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+
+  assert.equal((await postJson(lead)).status, 201);
+  // Honeypot hits look accepted but are never stored.
+  assert.equal((await postJson({ ...lead, name: "Spam Bot", website: "http://spam.example" })).status, 201);
+
+  const invalid = await postJson({ ...lead, email: "nope" });
+  assert.equal(invalid.status, 400);
+  assert.match((await invalid.json()).fields.email, /valid email/);
+
+  const tooFast = await postJson({ ...lead, name: "Quick Bot", form_token: createFormToken(process.env.LEAD_FORM_SECRET) });
+  assert.equal(tooFast.status, 201);
+
+  const formPost = await fetch(`${baseUrl}/api/leads`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ name: "Dana Reyes", address: "", email: "dana@example.com", form_token: formToken }).toString(),
+    redirect: "manual"
+  });
+  const html = await formPost.text();
+  assert.equal(formPost.status, 400);
+  assert.match(html, /<input type="email" name="email" value="dana@example.com"/);
+  assert.match(html, /data-error-for="address">Please enter the property address\.</);
+
+  const events = (await (await fetch(`${baseUrl}/api/pipeline/leads`, { headers: { Authorization: "Bearer test-admin-key" } })).json()).events
+    .filter((eventObj) => eventObj.source === "website");
+  assert.deepEqual(events.map((eventObj) => eventObj.name), ["Dana Reyes"]);
+  assert.equal(events[0].event_type, "website.lead");
+
+  const redacted = (await (await fetch(`${baseUrl}/api/pipeline/leads`)).json()).events.find((eventObj) => eventObj.source === "website");
+  assert.equal(redacted.name, "D. R.");
+  assert.equal(redacted.message, undefined);
+});
+
+test("webhooks queue customer notifications that honour unsubscribe links", async () => {
+  const admin = { Authorization: "Bearer test-admin-key" };
+  const scheduledOrderId = "0d1f6a3e-8a4b-4c61-9f0e-1a2b3c4d5e02";
+  const response = await fetch(`${baseUrl}/api/webhooks/aryeo`, signedWebhook({
+    id: "delivery-notify-1",
+    type: "order.updated",
+    data: { id: scheduledOrderId, status: "SCHEDULED" }
+  }));
+  assert.equal(response.status, 200);
+
+  let message;
+  for (let attempt = 0; attempt < 50 && !message; attempt += 1) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    const payload = await (await fetch(`${baseUrl}/api/admin/notifications`, { headers: admin })).json();
+    message = payload.messages.find((entry) => entry.event === "order_scheduled" && entry.status === "sent");
+  }
+  assert.ok(message, "scheduled confirmation was sent");
+  assert.equal(message.to, "agent@example.com");
+  assert.ok(fs.readdirSync(path.join(dataDir, "notification-drop")).some((name) => name.endsWith(".eml")));
+
+  const unsubscribeUrl = message.headers["List-Unsubscribe"].slice(1, -1);
+  const token = new URL(unsubscribeUrl).searchParams.get("token");
+  const page = await fetch(`${baseUrl}/api/notifications/unsubscribe?token=${encodeURIComponent(token)}`);
+  assert.match(await page.text(), /Stop shoot confirmations/);
+
+  const confirm = await fetch(`${baseUrl}/api/notifications/unsubscribe`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ token, scope: "event" }).toString()
+  });
+  assert.equal(confirm.status, 200);
+  const optOuts = (await (await fetch(`${baseUrl}/api/admin/notifications`, { headers: admin })).json()).opt_outs;
+  assert.deepEqual(optOuts["email:agent@example.com"], ["order_scheduled"]);
+
+  assert.equal((await fetch(`${baseUrl}/api/notifications/unsubscribe?token=forged.token`)).status, 400);
+});
+
+test("webhooks are relayed to subscribers and failures can be redelivered", async () => {
+  const admin = { "Content-Type": "application/json", Authorization: "Bearer test-admin-key" };
+  const received = [];
+  let status = 500;
+  const receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(status);
+      res.end();
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+  fs.writeFileSync(path.join(dataDir, "webhook-subscribers.json"), JSON.stringify({
+    subscribers: [{ name: "crm", url: `http://127.0.0.1:${receiver.address().port}/hook`, secret: "crm-secret", events: ["listing.*"] }]
+  }));
+
+  const relayState = async (query = "") => (await fetch(`${baseUrl}/api/admin/webhook-relay${query}`, { headers: admin })).json();
+  const waitFor = async (check) => {
+    for (let attempt = 0; attempt < 50; attempt += 1) {
+      const state = await relayState();
+      if (check(state)) return state;
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    throw new Error("relay did not settle");
+  };
+
+  try {
+    const response = await fetch(`${baseUrl}/api/webhooks/aryeo`, signedWebhook({
+      id: "delivery-relay-1",
+      type: "listing.updated",
+      data: { id: DELIVERED_ORDER_ID, status: "DELIVERED" }
+    }));
+    assert.equal(response.status, 200);
+
+    const state = await waitFor((current) => current.deliveries[0]?.status === "dead");
+    assert.equal(state.deliveries[0].last_status, 500);
+    assert.equal(state.subscribers[0].secret, undefined);
+
+    const [{ headers, body }] = received;
+    const expected = crypto.createHmac("sha256", "crm-secret").update(`${headers["x-elevate-timestamp"]}.${body}`).digest("hex");
+    assert.equal(headers["x-elevate-signature"], `sha256=${expected}`);
+    assert.equal(JSON.parse(body).data.order_id, DELIVERED_ORDER_ID);
+
+    status = 200;
+    const redeliver = await fetch(`${baseUrl}/api/admin/webhook-relay/redeliver`, {
+      method: "POST",
+      headers: admin,
+      body: JSON.stringify({ ids: [state.deliveries[0].id] })
+    });
+    assert.deepEqual(await redeliver.json(), { requeued: 1 });
+    await waitFor((current) => current.deliveries[0]?.status === "delivered");
+    assert.equal(received.length, 2);
+    assert.equal(received[1].headers["x-elevate-delivery"], headers["x-elevate-delivery"]);
+    assert.equal((await fetch(`${baseUrl}/api/admin/webhook-relay`, { headers: { Authorization: "Bearer test-viewer-key" } })).status, 403);
+  } finally {
+    receiver.close();
+  }
+});
+
+test("admin overview, cache refresh and pipeline filters back the admin page", async () => {
+  let response = await fetch(`${baseUrl}/api/admin/overview`);
+  assert.equal(response.status, 401);
+
+  response = await fetch(`${baseUrl}/api/admin/overview`, { headers: { Authorization: "Bearer test-viewer-key" } });
+  let payload = await response.json();
+  assert.equal(response.status, 200);
+  assert.ok(payload.cache.record_count > 0);
+  assert.ok(payload.webhooks.last_accepted_at);
+  assert.equal(payload.aryeo.mode, "fixtures");
+  assert.ok(Array.isArray(payload.aryeo.recent_errors));
+
+  response = await fetch(`${baseUrl}/api/admin/cache/refresh`, { method: "POST", headers: { Authorization: "Bearer test-viewer-key" } });
+  assert.equal(response.status, 403);
+
+  response = await fetch(`${baseUrl}/api/admin/cache/refresh`, { method: "POST", headers: { Authorization: "Bearer test-admin-key" } });
+  payload = await response.json();
+  assert.equal(response.status, 200);
+  assert.ok(payload.cache.updated_at);
+  assert.equal(payload.cache.refreshing, false);
+
+  response = await fetch(`${baseUrl}/api/pipeline/leads?source=website`, { headers: { Authorization: "Bearer test-admin-key" } });
+  payload = await response.json();
+  assert.ok(payload.events.length);
+  assert.ok(payload.events.every((eventObj) => eventObj.event_type === "website.lead"));
+
+  response = await fetch(`${baseUrl}/api/pipeline/leads?type=order.&q=${DELIVERED_ORDER_ID.slice(-6)}`, { headers: { Authorization: "Bearer test-admin-key" } });
+  payload = await response.json();
+  assert.ok(payload.events.length);
+  assert.ok(payload.events.every((eventObj) => eventObj.event_type.startsWith("order.") && eventObj.order_id === DELIVERED_ORDER_ID));
+
+  // Redacted callers search the masked view, so the hidden street line can't be probed.
+  response = await fetch(`${baseUrl}/api/pipeline/leads?q=${encodeURIComponent("12 Main")}`);
+  assert.equal((await response.json()).events.length, 0);
+  response = await fetch(`${baseUrl}/api/pipeline/leads?q=${DELIVERED_ORDER_ID.slice(-6)}`);
+  assert.equal((await response.json()).events.length, 0);
+  response = await fetch(`${baseUrl}/api/pipeline/leads?q=${encodeURIComponent("12 Main")}`, { headers: { Authorization: "Bearer test-admin-key" } });
+  assert.ok((await response.json()).events.length);
+
+  const robots = await (await fetch(`${baseUrl}/robots.txt`)).text();
+  assert.match(robots, /Disallow: \/admin\.html/);
+});
+
+test("GET /api/pipeline/stats and /api/pipeline/export summarise the pipeline log", async () => {
+  await fetch(`${baseUrl}/api/webhooks/aryeo`, signedWebhook({
+    id: "delivery-stats-1",
+    type: "order.created",
+    data: { id: "order-stats-1", status: "OPEN", listing: { address: { street_address: "9 Oak Ave", city: "Ocala", state: "FL", postal_code: "34470" } } }
+  }));
+
+  let response = await fetch(`${baseUrl}/api/pipeline/stats`);
+  assert.equal(response.status, 401);
+
+  response = await fetch(`${baseUrl}/api/pipeline/stats?interval=month`, { headers: { Authorization: "Bearer test-viewer-key" } });
+  assert.equal(response.status, 400);
+
+  response = await fetch(`${baseUrl}/api/pipeline/stats?interval=week`, { headers: { Authorization: "Bearer test-viewer-key" } });
+  const stats = await response.json();
+  assert.equal(response.status, 200);
+  assert.ok(stats.event_count > 0);
+  assert.equal(stats.funnel[0].step, "created");
+  assert.ok(stats.funnel[2].orders >= 1);
+  assert.ok(stats.cities.some((entry) => entry.city === "Ocala"));
+
+  response = await fetch(`${baseUrl}/api/pipeline/export`, { headers: { Authorization: "Bearer test-viewer-key" } });
+  const redacted = await response.text();
+  assert.equal(response.headers.get("content-type"), "text/csv; charset=utf-8");
+  assert.match(response.headers.get("content-disposition"), /^attachment; filename="pipeline-\d{4}-\d{2}-\d{2}-to-\d{4}-\d{2}-\d{2}\.csv"$/);
+  assert.match(redacted, /^received_at,event_type,/);
+  assert.match(redacted, /website\.lead/);
+  assert.doesNotMatch(redacted, /12 Main St|dana@example\.com|Gate code/);
+
+  response = await fetch(`${baseUrl}/api/pipeline/export`, { headers: { Authorization: "Bearer test-admin-key" } });
+  const full = await response.text();
+  assert.match(full, /"12 Main St, Ocala, FL 34470",Ocala,Dana Reyes,dana@example\.com/);
+});
+
+test("rate limits key on the proxy-added X-Forwarded-For entry, not the client's", async () => {
+  const statuses = [];
+  for (let index = 0; index < 11; index += 1) {
+    const response = await fetch(`${baseUrl}/api/order-status?order_id=1001`, {
+      headers: { "X-Forwarded-For": `198.51.100.${index}, 203.0.113.9` }
+    });
+    statuses.push(response.status);
+  }
+  assert.equal(statuses.at(-1), 429);
+});
+
+test("GET /api/order-status answers 429 with Retry-After once the bucket is empty, then refills", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.now() });
+  const lookup = () => fetch(`${baseUrl}/api/order-status?order_id=1001`, { headers: { "X-Forwarded-For": "203.0.113.50" } });
+
+  // The default burst is 10, refilled at 20 a minute (one every 3 seconds).
+  for (let index = 0; index < 10; index += 1) assert.equal((await lookup()).status, 200);
+  const limited = await lookup();
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get("retry-after"), "3");
+  assert.equal((await limited.json()).retry_after_seconds, 3);
+
+  t.mock.timers.tick(3000);
+  assert.equal((await lookup()).status, 200);
+  assert.equal((await lookup()).status, 429);
+});
+
+test("POST /api/admin/login is rate limited per IP", async () => {
+  const statuses = [];
+  for (let index = 0; index < 6; index += 1) {
+    const response = await fetch(`${baseUrl}/api/admin/login`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Forwarded-For": "203.0.113.77" },
+      body: JSON.stringify({ api_key: `guess-${index}` })
+    });
+    statuses.push(response.status);
+  }
+  assert.deepEqual(statuses, [401, 401, 401, 401, 401, 429]);
+});
@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("events");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+// A stale cache on disk and an Aryeo that fails, so the server has to serve the old copy and back off.
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "elevate-stale-"));
+fs.writeFileSync(path.join(dataDir, "shoots-cache.json"), JSON.stringify({
+  updated_at: new Date(Date.now() - 2 * 86400 * 1000).toISOString(),
+  source_count: 1,
+  shoots: [{ id: "stale-1", address: "12 Main St, Ocala, FL 34470", status: "DELIVERED", thumbnail_url: "", photos: [] }]
+}));
+process.env.DATA_DIR = dataDir;
+process.env.ARYEO_MODE = "live";
+process.env.ARYEO_API_TOKEN = "test-token";
+process.env.ARYEO_MAX_RETRIES = "0";
+
+let aryeoHits = 0;
+let releaseAryeo;
+const aryeoAnswered = new Promise((resolve) => {
+  releaseAryeo = resolve;
+});
+const aryeo = http.createServer(async (req, res) => {
+  aryeoHits += 1;
+  await aryeoAnswered;
+  res.writeHead(503, { "Content-Type": "application/json" });
+  res.end(JSON.stringify({ message: "down" }));
+});
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  aryeo.listen(0, "127.0.0.1");
+  await once(aryeo, "listening");
+  process.env.ARYEO_API_BASE = `http://127.0.0.1:${aryeo.address().port}/v1`;
+  // Required only now so the server picks up the stub's address.
+  server = require("../api/server").startServer(0, "127.0.0.1");
+  await once(server, "listening");
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  aryeo.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function shootsPayload() {
+  const response = await fetch(`${baseUrl}/api/shoots`);
+  assert.equal(response.status, 200);
+  return response.json();
+}
+
+test("a stale cache is served at once while the refresh runs, and a failed refresh backs off", async () => {
+  // The startup refresh finds the cache stale and calls Aryeo, which holds the answer back.
+  for (let attempt = 0; attempt < 50 && !aryeoHits; attempt += 1) await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.equal(aryeoHits, 1);
+
+  // The old shoots come back straight away, and the request doesn't start a second pull.
+  const stale = await shootsPayload();
+  assert.deepEqual(stale.shoots.map((shoot) => shoot.id), ["stale-1"]);
+  assert.equal(stale.cache.fresh, false);
+  assert.equal(stale.cache.refreshing, true);
+  assert.equal(aryeoHits, 1);
+
+  releaseAryeo();
+  let status = stale.cache;
+  for (let attempt = 0; attempt < 50 && !status.consecutive_failures; attempt += 1) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    status = (await shootsPayload()).cache;
+  }
+  assert.equal(status.consecutive_failures, 1);
+  assert.match(status.last_error, /503/);
+  assert.ok(new Date(status.next_refresh_at).getTime() > Date.now());
+
+  // Until next_refresh_at, requests keep serving the stale copy without calling Aryeo again.
+  for (let request = 0; request < 3; request += 1) {
+    const payload = await shootsPayload();
+    assert.deepEqual(payload.shoots.map((shoot) => shoot.id), ["stale-1"]);
+    assert.equal(payload.cache.refreshing, false);
+  }
+  assert.equal(aryeoHits, 1);
+});
@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { loadSubscribers, eventMatches, signRelayBody, createWebhookRelay } = require("../api/webhook-relay");
+
+const quietLogger = { warn() {}, error() {} };
+const SUBSCRIBERS = [
+  { name: "crm", url: "https://crm.example.com/hook", secret: "crm-secret", events: ["order.*"], include_raw: false, enabled: true },
+  { name: "sheet", url: "https://sheet.example.com/hook", secret: "sheet-secret", events: ["order.delivered"], include_raw: true, enabled: true }
+];
+
+function queueFile() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), "elevate-relay-")), "queue.json");
+}
+
+function orderEvent(eventType) {
+  return { received_at: "2026-10-19T12:00:00.000Z", event_type: eventType, order_id: "order-1", status: "DELIVERED", address: "12 Main St", raw: { secret: "payload" } };
+}
+
+test("eventMatches supports exact names and trailing wildcards", () => {
+  assert.ok(eventMatches(["*"], "anything"));
+  assert.ok(eventMatches(["order.*"], "order.updated"));
+  assert.ok(!eventMatches(["order.*"], "listing.updated"));
+  assert.ok(eventMatches(["listing.updated", "order.delivered"], "order.delivered"));
+});
+
+test("loadSubscribers validates the file and defaults events to everything", () => {
+  const file = queueFile();
+  fs.writeFileSync(file, JSON.stringify({ subscribers: [{ name: "crm", url: "https://crm.example.com", secret: "s" }] }));
+  assert.deepEqual(loadSubscribers(file)[0].events, ["*"]);
+
+  fs.writeFileSync(file, JSON.stringify({ subscribers: [{ name: "crm", url: "ftp://nope", secret: "s" }] }));
+  assert.throws(() => loadSubscribers(file), /http\(s\) url/);
+  assert.deepEqual(loadSubscribers(`${file}.missing`), []);
+});
+
+test("publish fans out to matching subscribers with signed, filtered payloads", async () => {
+  const requests = [];
+  const relay = createWebhookRelay({
+    file: queueFile(),
+    getSubscribers: () => SUBSCRIBERS,
+    logger: quietLogger,
+    fetchImpl: async (url, init) => {
+      requests.push({ url, init });
+      return new Response("ok");
+    }
+  });
+
+  assert.equal(relay.publish(orderEvent("order.updated")), 1);
+  assert.equal(relay.publish({ ...orderEvent("order.delivered"), delivery_id: "aryeo-7" }), 2);
+  // Aryeo resending the same delivery doesn't queue it again.
+  assert.equal(relay.publish({ ...orderEvent("order.delivered"), delivery_id: "aryeo-7" }), 0);
+  assert.equal(relay.publish(orderEvent("listing.updated")), 0);
+  await relay.drain();
+  assert.deepEqual(relay.stats(), { pending: 0, delivered: 3, dead: 0 });
+
+  const sheet = requests.find((request) => request.url.startsWith("https://sheet"));
+  const headers = sheet.init.headers;
+  assert.equal(headers["X-Elevate-Signature"], `sha256=${signRelayBody("sheet-secret", headers["X-Elevate-Timestamp"], sheet.init.body)}`);
+  assert.deepEqual(JSON.parse(sheet.init.body).raw, { secret: "payload" });
+  assert.equal(JSON.parse(sheet.init.body).id, "aryeo-7");
+
+  const crmBody = JSON.parse(requests.find((request) => request.url.startsWith("https://crm")).init.body);
+  assert.equal(crmBody.type, "order.updated");
+  assert.equal(crmBody.data.order_id, "order-1");
+  assert.equal(crmBody.raw, undefined);
+});
+
+test("failed deliveries back off, dead-letter and can be redelivered", async () => {
+  let healthy = false;
+  const file = queueFile();
+  const options = {
+    file,
+    getSubscribers: () => SUBSCRIBERS.slice(0, 1),
+    maxAttempts: 2,
+    retryBaseMs: 0,
+    logger: quietLogger,
+    fetchImpl: async () => new Response("nope", { status: healthy ? 200 : 503 })
+  };
+  const relay = createWebhookRelay(options);
+  relay.publish(orderEvent("order.updated"));
+
+  await relay.drain();
+  assert.equal(relay.list()[0].status, "pending");
+  assert.equal(relay.list()[0].last_status, 503);
+  await relay.drain();
+  assert.equal(relay.stats().dead, 1);
+
+  // The dead letter survives a restart and goes out once redelivered.
+  const reloaded = createWebhookRelay(options);
+  healthy = true;
+  assert.equal(reloaded.redeliver({ subscriber: "crm" }), 1);
+  await reloaded.drain();
+  assert.equal(reloaded.list()[0].status, "delivered");
+  assert.equal(reloaded.redeliver(), 0);
+});
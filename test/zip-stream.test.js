@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { PassThrough, Readable } = require("stream");
+
+const { createZipWriter, crc32 } = require("../api/zip-stream");
+
+async function buildZip(files) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on("data", (chunk) => chunks.push(chunk));
+  const zip = createZipWriter(output);
+  for (const [name, content] of files) {
+    await zip.addFile(name, Readable.from([Buffer.from(content)]));
+  }
+  await zip.finish();
+  return Buffer.concat(chunks);
+}
+
+function readCentralDirectory(archive) {
+  const eocd = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = archive.readUInt16LE(eocd + 10);
+  let cursor = archive.readUInt32LE(eocd + 16);
+  const entries = [];
+  for (let index = 0; index < count; index += 1) {
+    assert.equal(archive.readUInt32LE(cursor), 0x02014b50);
+    const nameLength = archive.readUInt16LE(cursor + 28);
+    const offset = archive.readUInt32LE(cursor + 42);
+    const size = archive.readUInt32LE(cursor + 24);
+    const localNameLength = archive.readUInt16LE(offset + 26);
+    entries.push({
+      name: archive.toString("utf8", cursor + 46, cursor + 46 + nameLength),
+      crc: archive.readUInt32LE(cursor + 16),
+      data: archive.subarray(offset + 30 + localNameLength, offset + 30 + localNameLength + size)
+    });
+    cursor += 46 + nameLength;
+  }
+  return entries;
+}
+
+test("crc32 matches the standard check value", () => {
+  assert.equal(crc32(Buffer.from("123456789")), 0xcbf43926);
+});
+
+test("zip writer streams stored entries with a valid central directory", async () => {
+  const archive = await buildZip([["main-st-01.jpg", "first photo"], ["main-st-02.jpg", "second"]]);
+  const entries = readCentralDirectory(archive);
+  assert.deepEqual(entries.map((entry) => entry.name), ["main-st-01.jpg", "main-st-02.jpg"]);
+  assert.equal(entries[0].data.toString(), "first photo");
+  assert.equal(entries[1].crc, crc32(Buffer.from("second")));
+});